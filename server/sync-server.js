@@ -0,0 +1,159 @@
+// LAN sync server for running the app on several PCs. Terminals push their changed
+// receipts and master data here and pull everyone else's; conflicts are settled by
+// the same rules the app uses (src/lib/replication.js). Plain Node, no dependencies:
+//
+//   npm run sync-server -- --port 8787 --data ./sync-data.json
+//
+// Set SYNC_TOKEN in the environment to require that token from every terminal
+// (Settings > Sync token). All data is kept in one JSON file, rewritten on each push.
+//
+//   GET  /api/health              { ok, seq }
+//   GET  /api/changes?since=<seq>  { seq, receipts, masters } changed after <seq>
+//   POST /api/push                { receipts, masters } -> { seq, accepted, conflicts, masters, duplicates }
+//
+// A pushed record that loses to the stored one is not applied; the stored winner is
+// sent back in `conflicts` (or `masters`) so the terminal can replace its copy.
+// A pushed receipt whose RST another terminal already issued in the same series is
+// still stored, but listed in `duplicates` so the operator can amend one of them.
+
+import http from 'node:http';
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+import { duplicateRstIds, isNewer } from '../src/lib/replication.js';
+
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const PORT = Number(option('port', process.env.SYNC_PORT || 8787));
+const DATA_FILE = resolve(option('data', process.env.SYNC_DATA || 'sync-data.json'));
+const TOKEN = process.env.SYNC_TOKEN || '';
+
+// { seq, receipts: { [id]: { seq, record } }, masters: { seq, record } | null }
+const loadStore = async () => {
+  try {
+    return JSON.parse(await readFile(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { seq: 0, receipts: {}, masters: null };
+    throw error;
+  }
+};
+
+const store = await loadStore();
+
+// Write to a temp file first so a crash mid-write can't leave half a file
+const saveStore = async () => {
+  await writeFile(`${DATA_FILE}.tmp`, JSON.stringify(store));
+  await rename(`${DATA_FILE}.tmp`, DATA_FILE);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolveBody, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request too large.'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      reject(Object.assign(new Error('Body is not valid JSON.'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+const changesSince = (since) => ({
+  seq: store.seq,
+  receipts: Object.values(store.receipts).filter(e => e.seq > since).map(e => e.record),
+  masters: store.masters && store.masters.seq > since ? store.masters.record : null,
+});
+
+const applyPush = async ({ receipts = [], masters = null }) => {
+  const accepted = [];
+  const conflicts = [];
+  for (const record of receipts) {
+    if (!record || record.id === undefined || record.id === null) continue;
+    const stored = store.receipts[record.id];
+    if (isNewer(record, stored?.record)) {
+      store.seq += 1;
+      store.receipts[record.id] = { seq: store.seq, record };
+      accepted.push(record.id);
+    } else if (isNewer(stored.record, record)) {
+      conflicts.push(stored.record);
+    } else {
+      accepted.push(record.id);
+    }
+  }
+
+  let mastersWinner = null;
+  if (masters) {
+    if (isNewer(masters, store.masters?.record)) {
+      store.seq += 1;
+      store.masters = { seq: store.seq, record: masters };
+    } else if (isNewer(store.masters.record, masters)) {
+      mastersWinner = store.masters.record;
+    }
+  }
+
+  const duplicateIds = duplicateRstIds(Object.values(store.receipts).map(e => e.record));
+  const duplicates = accepted.filter(id => duplicateIds.has(id)).map(id => store.receipts[id].record);
+
+  await saveStore();
+  return { seq: store.seq, accepted, conflicts, masters: mastersWinner, duplicates };
+};
+
+// Pushes are applied one at a time so two terminals can't interleave a save
+let queue = Promise.resolve();
+const serially = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'Wrong or missing sync token.' });
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/api/health') {
+      return send(res, 200, { ok: true, seq: store.seq });
+    }
+    if (req.method === 'GET' && url.pathname === '/api/changes') {
+      return send(res, 200, changesSince(Number(url.searchParams.get('since')) || 0));
+    }
+    if (req.method === 'POST' && url.pathname === '/api/push') {
+      const body = await readBody(req);
+      return send(res, 200, await serially(() => applyPush(body)));
+    }
+    return send(res, 404, { error: 'Not found.' });
+  } catch (error) {
+    console.error(error);
+    return send(res, error.status || 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server on port ${server.address().port}, data in ${DATA_FILE}${TOKEN ? ', token required' : ''}`);
+});
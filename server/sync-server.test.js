@@ -0,0 +1,79 @@
+import { spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+
+import { stampRecord } from '../src/lib/replication.js';
+import { syncNow } from '../src/lib/sync.js';
+
+// Each terminal keeps its outbox and sync state in its own localStorage
+class MemoryStorage {
+  items = new Map();
+  getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+  setItem(key, value) { this.items.set(key, String(value)); }
+  removeItem(key) { this.items.delete(key); }
+}
+
+let dir;
+let server;
+let syncUrl;
+
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'sync-server-'));
+  server = spawn(process.execPath, ['server/sync-server.js', '--port', '0', '--data', join(dir, 'sync-data.json')], { env: { ...process.env, SYNC_TOKEN: '' } });
+  const port = await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      const match = String(chunk).match(/port (\d+)/);
+      if (match) resolve(Number(match[1]));
+    });
+    server.on('exit', code => reject(new Error(`Sync server exited with ${code}`)));
+  });
+  syncUrl = `http://127.0.0.1:${port}`;
+});
+
+afterAll(async () => {
+  server?.kill();
+  await rm(dir, { recursive: true, force: true });
+});
+
+const terminal = (terminalId) => ({ terminalId, storage: new MemoryStorage(), receipts: [], masters: {} });
+
+const sync = async (t) => {
+  globalThis.localStorage = t.storage;
+  const result = await syncNow({ syncUrl, syncToken: '', terminalId: t.terminalId }, { receipts: t.receipts, masters: t.masters });
+  const byId = new Map(result.receipts.map(r => [r.id, r]));
+  t.receipts = [...result.receipts.filter(r => !t.receipts.some(mine => mine.id === r.id)), ...t.receipts.map(r => byId.get(r.id) || r)];
+  return result;
+};
+
+const ticket = (id, rstNo, terminalId) => stampRecord({ id, rstNo, rstSeries: 'default', vehicleNo: 'MH17CV3329', netWeight: 14440 }, terminalId);
+
+describe('sync server', () => {
+  it('passes a ticket pushed by one terminal to another', async () => {
+    const a = terminal('T-A');
+    const b = terminal('T-B');
+    a.receipts = [ticket(1, '1', 'T-A')];
+
+    const pushed = await sync(a);
+    expect(pushed.duplicates).toEqual([]);
+    const pulled = await sync(b);
+    expect(pulled.receipts.map(r => r.rstNo)).toEqual(['1']);
+
+    const saved = JSON.parse(await readFile(join(dir, 'sync-data.json'), 'utf8'));
+    expect(Object.keys(saved.receipts)).toEqual(['1']);
+  });
+
+  it('flags an RST issued on two terminals while apart', async () => {
+    const a = terminal('T-A');
+    const b = terminal('T-B');
+    a.receipts = [ticket(10, '7', 'T-A')];
+    b.receipts = [ticket(11, '7', 'T-B')];
+
+    await sync(a);
+    const second = await sync(b);
+    expect(second.duplicates.map(r => r.id).sort()).toEqual([10, 11]);
+    const first = await sync(a);
+    expect(first.duplicates.map(r => r.id).sort()).toEqual([10, 11]);
+  });
+});
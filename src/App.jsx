@@ -1,84 +1,118 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Save, Printer, FileText, Trash2, Download, PlusCircle, Search, Settings, X, AlertTriangle, CheckCircle } from 'lucide-react';
-
-import { jsPDF } from 'jspdf';
-import html2canvas from 'html2canvas';
-
-
-
-// Generates PDF from a React component's DOM element using html2canvas and jspdf
-const generatePDF = async (elementRef, filename, toast) => {
-  const element = elementRef.current;
-  if (!element) return;
-
-  try {
-    const canvas = await html2canvas(element, { scale: 3, useCORS: true });
-    const imgData = canvas.toDataURL('image/jpeg', 1.0);
-
-    const pdf = new jsPDF('p', 'mm', 'a4');
-
-    const pdfWidth = pdf.internal.pageSize.getWidth();
-    const pdfHeight = pdf.internal.pageSize.getHeight();
-
-    // Use the 3mm margin set in the CSS
-    const margin = 3;
-    const imgWidth = pdfWidth - (2 * margin);
-    const imgHeight = (imgWidth * canvas.height) / canvas.width;
-
-    let heightLeft = imgHeight;
-    let position = margin;
-
-    pdf.addImage(imgData, 'JPEG', margin, position, imgWidth, imgHeight);
-    heightLeft -= (pdfHeight - position);
-
-    while (heightLeft >= 0) {
-      position = heightLeft - imgHeight + margin;
-      pdf.addPage();
-      pdf.addImage(imgData, 'JPEG', margin, position, imgWidth, imgHeight);
-      heightLeft -= pdfHeight;
-    }
-
-    pdf.save(filename);
-
-    toast({ message: 'Receipt downloaded as PDF!', type: 'success' });
-  } catch (error) {
-    console.error("PDF Generation Error:", error);
-    toast({ message: `Failed to generate PDF: ${error.message || 'Unknown error'}`, type: 'error' });
-  }
-};
-
-
-// Converts a number to uppercase digit words (e.g., 14440 -> ONE FOUR FOUR FOUR ZERO)
-const numberToDigitWords = (num) => {
-  if (num === '' || num === null || isNaN(num) || num === 0) return 'ZERO';
-  const words = ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE'];
-  const absNum = Math.abs(Math.round(parseFloat(num)));
-  return absNum.toString().split('').map(d => words[parseInt(d)] || '').join(' ').toUpperCase();
-};
-
-const formatDate = (dateStr) => {
-  if (!dateStr) return '';
-  const d = new Date(dateStr);
-  return d.toLocaleDateString('en-GB', { year: 'numeric', month: '2-digit', day: '2-digit' }).replace(/\//g, '/'); // 04/12/2025
-};
-
-const formatTime = (dateStr) => {
-  if (!dateStr) return '';
-  const d = new Date(dateStr);
-  return d.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }); // 17:54 (24-hour format)
-};
-
-// Default template configuration
-const DEFAULT_CONFIG = {
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  Save, Printer, FileText, Trash2, Download, PlusCircle, Search, Settings, X, AlertTriangle, CheckCircle, ClipboardList,
+  Filter, ChevronLeft, ChevronRight, BarChart3, FileSpreadsheet, DatabaseBackup, CheckSquare, BookUser, ReceiptIndianRupee,
+  Lock, History, FilePenLine, Ban, RotateCcw, ShieldCheck, Cloud, CloudOff, Users, LogOut, Keyboard,
+} from 'lucide-react';
+
+import PendingVehicles from './components/PendingVehicles';
+import RstGapReport from './components/RstGapReport';
+import ScaleCapture from './components/ScaleCapture';
+import HistoryFilters from './components/HistoryFilters';
+import ReportsPanel from './components/ReportsPanel';
+import SummaryReport from './components/SummaryReport';
+import ImportExportPanel from './components/ImportExportPanel';
+import BackupPanel from './components/BackupPanel';
+import BatchActions from './components/BatchActions';
+import CompactReceipt from './components/CompactReceipt';
+import TemplateDesigner from './components/TemplateDesigner';
+import UpdatePrompt from './components/UpdatePrompt';
+import MasterDataPanel from './components/MasterDataPanel';
+import RateCardPanel from './components/RateCardPanel';
+import AmendDialog from './components/AmendDialog';
+import AuditTrail from './components/AuditTrail';
+import VoidDialog from './components/VoidDialog';
+import RecycleBin from './components/RecycleBin';
+import ReceiptQrCode from './components/ReceiptQrCode';
+import VerifyReceiptPanel from './components/VerifyReceiptPanel';
+import LoginScreen from './components/LoginScreen';
+import OperatorsPanel from './components/OperatorsPanel';
+import ShortcutHelp from './components/ShortcutHelp';
+import { formatDate, formatTime, toDateTimeLocal } from './lib/format';
+import { DEFAULT_WORDS_STYLE, WORDS_STYLES, weightInWords, rupeesInWords } from './lib/words';
+import { PENDING_STORAGE_KEY, createOpenTicket, completeTicket, isValidWeight } from './lib/weighing';
+import {
+  RST_RESET_RULES, loadSeriesState, saveSeriesState, peekNextRst, commitRst, voidRst, isDuplicateRst, buildGapReport,
+} from './lib/rstSeries';
+import { listScaleParsers } from './lib/scale';
+import { loadReceipts, putReceipt, putReceipts, deleteReceipt, replaceAllReceipts } from './lib/db';
+import { DEFAULT_HISTORY_QUERY, applyHistoryQuery, distinctValues, isQueryActive, paginate } from './lib/historyQuery';
+import { DEFAULT_EXPORT_COLUMNS } from './lib/spreadsheet';
+import { DEFAULT_TEMPLATE, normalizeTemplate, cellValue, visibleRows, operatorSignText } from './lib/template';
+import { DEFAULT_LAYOUT, getLayout, listLayouts, contentHeight, slotHeight } from './lib/layouts';
+import {
+  MASTER_TYPES, loadMasters, saveMasters, findEntry, addEntry, canonicalName, masterViolations, applyMerge,
+} from './lib/masters';
+import { getStoredTare, tareDrift } from './lib/tare';
+import { DEFAULT_RATE_CARD, isRateCardActive, priceReceipt, sameChargeInputs, isChargeOverridden, describeCharges } from './lib/rates';
+import { DEFAULT_VOID_RETENTION_DAYS, VOID_MARK, isVoided, voidReceipt, restoreReceipt, canPurge } from './lib/voids';
+import { newSecret } from './lib/verify';
+import { shortcutAction, nextField } from './lib/keyboard';
+import {
+  RULE_LEVELS, VALIDATION_RULES, DEFAULT_VALIDATION_LEVELS, DEFAULT_SCALE_CAPACITY_KG, validateReceipt, errorsOf, warningsOf, resultsFor,
+} from './lib/validation';
+import { stampRecord, tombstone, newTerminalId, duplicateRstIds } from './lib/replication';
+import { SYNC_INTERVAL_MS, queueReceipts, queueMasters, outboxSize, checkServer, syncNow } from './lib/sync';
+import {
+  loadOperators, saveOperators, isLoginRequired, can, loadSession, saveSession,
+} from './lib/operators';
+import { isLocked, isAmended, amendmentMark, lockReceipt, diffReceipts, amendReceipt } from './lib/audit';
+import {
+  DEFAULT_PROFILE_ID, createProfile, profileConfig, profileIdOf, migrateProfiles, setConfigValue,
+} from './lib/profiles';
+
+
+
+// Default letterhead and numbering of a company profile (see lib/profiles.js)
+const DEFAULT_PROFILE_SETTINGS = {
   companyName: "RAJDIP GINNING AND PRESSING PVT LTD",
   address: "JUNA BELWANDI KOTHAR ROAD SHRIGONDA\nDIST. AHMEDNAGAR",
   footer: "WB BY ROCKWAY WEIGHBRIDGE TECHNO, PUNE. PH NO: 020-26631444, 9623442386(SERVICE)",
   showCharges: true,
+  wordsStyle: DEFAULT_WORDS_STYLE, // see WORDS_STYLES
+  rstResetRule: 'none', // see RST_RESET_RULES
+  rstStart: 1,
+  template: DEFAULT_TEMPLATE, // see lib/template.js schema
+};
+
+// Default template configuration
+const DEFAULT_CONFIG = {
+  profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', ...DEFAULT_PROFILE_SETTINGS }],
+  activeProfileId: DEFAULT_PROFILE_ID,
+  scaleProtocol: 'rockway', // see lib/scale.js parsers
+  scaleBaudRate: 2400,
+  scaleSimulate: false,
+  allowManualWeights: true,
+  keyboardMode: false, // Enter/Tab field order and function-key shortcuts (lib/keyboard.js)
+  tareToleranceKg: 100, // stored-tare drift beyond this is flagged
+  scaleCapacityKg: DEFAULT_SCALE_CAPACITY_KG, // weights above this fail validation
+  validationRules: DEFAULT_VALIDATION_LEVELS, // rule id -> 'error' | 'warning' | 'off' (lib/validation.js)
+  voidRetentionDays: DEFAULT_VOID_RETENTION_DAYS, // voided tickets can be purged after this
+  verificationSecret: '', // HMAC key of receipt QR codes, generated on first run (lib/verify.js)
+  syncUrl: '', // LAN sync server (server/sync-server.js); blank keeps this PC on its own
+  syncToken: '',
+  terminalId: '', // this PC's name in sync conflicts, generated on first run
+  exportColumns: DEFAULT_EXPORT_COLUMNS,
+  printLayout: DEFAULT_LAYOUT, // see lib/layouts.js presets
+  rateCard: DEFAULT_RATE_CARD, // see lib/rates.js schema
+};
+
+// Stored or restored settings over the defaults, moved onto profiles if saved before
+// they existed, with every profile's template made safe to render
+const mergeConfig = (saved = {}) => {
+  const migrated = migrateProfiles(saved, DEFAULT_PROFILE_SETTINGS);
+  const profiles = migrated.profiles.map(p => ({ ...DEFAULT_PROFILE_SETTINGS, ...p, template: normalizeTemplate(p.template) }));
+  const activeProfileId = profiles.some(p => p.id === migrated.activeProfileId) ? migrated.activeProfileId : profiles[0].id;
+  const rateCard = { ...DEFAULT_RATE_CARD, ...migrated.rateCard };
+  const validationRules = { ...DEFAULT_VALIDATION_LEVELS, ...migrated.validationRules };
+  return { ...DEFAULT_CONFIG, ...migrated, profiles, activeProfileId, rateCard, validationRules };
 };
 
 const DEFAULT_RECEIPT = {
   id: null,
-  rstNo: '14877',
+  rstNo: '', // allocated from the RST series by handleNew
+  rstSeries: 'default',
+  profileId: DEFAULT_PROFILE_ID, // company profile whose letterhead and series the ticket uses
   vehicleNo: 'MH17CV3329',
   customer: 'RAHATA',
   material: 'SARKI',
@@ -91,7 +125,12 @@ const DEFAULT_RECEIPT = {
   dateTimeIn: new Date(2025, 11, 4, 16, 9).toISOString().slice(0, 16),
   dateTimeOut: new Date(2025, 11, 4, 17, 54).toISOString().slice(0, 16),
   charges: 0, // Image shows 0
+  vehicleClass: '', // rate-card class; '' = the card's default class
+  chargeBreakdown: null, // see computeCharges in lib/rates.js
+  manualCharges: false, // charges typed over the rate card
+  chargesReason: '', // why the calculated charges were overridden
   remarks: '',
+  operator: '', // signed-in operator who issued the ticket (lib/operators.js)
 };
 
 /**
@@ -135,11 +174,18 @@ const ConfirmModal = ({ message, onConfirm, onCancel }) => (
   </div>
 );
 
+// Validation messages under one editor field (lib/validation.js)
+const FieldIssues = ({ results, field }) => resultsFor(results, field).map(r => (
+  <p key={`${r.rule}-${r.message}`} className={`text-[11px] mt-0.5 ${r.level === 'error' ? 'text-red-600' : 'text-amber-600'}`}>
+    {r.message}
+  </p>
+));
 
 /**
  * RECEIPT TEMPLATE COMPONENT (Forwarded Ref)
  */
 const ReceiptTemplate = React.forwardRef(({ data, config }, ref) => {
+  const { labels, show, spacing } = config.template;
 
   // Use Gross Time for the main date display column (as it's the final time on the receipt)
   const dateOut = formatDate(data.dateTimeOut);
@@ -148,7 +194,7 @@ const ReceiptTemplate = React.forwardRef(({ data, config }, ref) => {
   const timeIn = formatTime(data.dateTimeIn);
 
   // Styling consistent with the image
-  const labelStyle = "w-20 shrink-0 text-sm";
+  const labelStyle = "shrink-0 text-sm";
   const colonStyle = "shrink-0 mr-4 text-sm";
   const weightValueStyle = "text-right w-20 font-bold text-base";
   const unitStyle = "ml-1 text-sm";
@@ -157,12 +203,41 @@ const ReceiptTemplate = React.forwardRef(({ data, config }, ref) => {
   const timeLabelStyle = "ml-4 w-12 shrink-0 text-sm";
   const timeValueStyle = "text-sm";
 
-  // A narrow column for the left side data (e.g., RST NO, MATERIAL)
-  const leftColWidth = "w-[240px]";
+  // Column widths and right-edge offsets come from the template's spacing (px)
+  const labelWidth = { width: `${spacing.labelWidth}px` };
+  const leftColWidth = { width: `${spacing.leftColumnWidth}px` };
+  const vehicleCustomerOffset = { paddingRight: `${spacing.rightOffset}px` };
+  const dateWordOffset = { paddingRight: `${spacing.dateOffset}px` };
+
+  // One "LABEL : value" cell of the detail block
+  const detailCell = (cell, width) => (
+    <>
+      <span className="shrink-0" style={{ width: `${width}px` }}>{cell.label}</span>
+      <span className={colonStyle}>:</span>
+      <span className={cell.bold ? 'font-bold' : ''}>{cellValue(cell, data)}</span>
+    </>
+  );
 
-  // Tailwind classes for right-side alignment offset (moving content away from the edge)
-  const vehicleCustomerOffset = "pr-6"; // ~10 spaces
-  const dateWordOffset = "pr-4"; // ~7 spaces
+  // Left Column Data (GROSS / TARE / NET Wt)
+  const weightCell = (label, value) => (
+    <div className="w-[200px] shrink-0 flex items-baseline">
+      <span className={labelStyle} style={labelWidth}>{label}</span>
+      <span className={colonStyle}>:</span>
+      <span className={weightValueStyle}>{value}</span>
+      <span className={unitStyle}>{labels.unit}</span>
+    </div>
+  );
+  // Right Column Data (Date / Time) - Apply offset to inner div
+  const dateTimeCell = (date, time) => (
+    <div className="flex-1 flex justify-end items-baseline">
+      <div className="flex" style={dateWordOffset}>
+        <span className={dateLabelStyle}>{labels.date}</span>
+        <span className={dateValueStyle}>{date}</span>
+        <span className={timeLabelStyle}>{labels.time}</span>
+        <span className={timeValueStyle}>{time}</span>
+      </div>
+    </div>
+  );
 
   return (
     <div
@@ -179,6 +254,21 @@ const ReceiptTemplate = React.forwardRef(({ data, config }, ref) => {
         whiteSpace: 'pre-wrap', // Allows \n in the address to work
       }}
     >
+      {/* Voided ticket watermark */}
+      {isVoided(data) && (
+        <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+          <span className="text-[96px] font-bold text-gray-400 opacity-40 -rotate-12 tracking-widest">{VOID_MARK}</span>
+        </div>
+      )}
+
+      {/* Signed verification code, clear of the centred letterhead */}
+      {show.qrCode && <ReceiptQrCode data={data} config={config} size="18mm" className="absolute top-1 left-1" />}
+
+      {/* Reprint of an amended ticket */}
+      {amendmentMark(data) && (
+        <div className="absolute top-1 right-1 border border-black px-1 text-[11px] font-bold">{amendmentMark(data)}</div>
+      )}
+
       {/* Header */}
       <div className="text-center mb-5">
         <h1 className="text-2xl font-bold tracking-tight uppercase" style={{ letterSpacing: '1px' }}>{config.companyName}</h1>
@@ -189,52 +279,20 @@ const ReceiptTemplate = React.forwardRef(({ data, config }, ref) => {
       {/* Content Grid - Structured to mimic the column alignment of the original image */}
       <div className="flex flex-col">
 
-        {/* Row 1: RST NO / VEHICLE NO */}
-        <div className="flex">
-          {/* Left Column Data (RST NO) */}
-          <div className={`${leftColWidth} shrink-0 flex`}>
-            <span className="w-20 shrink-0">RST NO</span>
-            <span className="shrink-0 mr-4">:</span>
-            <span className="font-bold">{data.rstNo}</span>
-          </div>
-          {/* Right Column Data (VEHICLE NO) - Apply offset to inner div */}
-          <div className="flex-1 flex justify-end">
-            <div className={`flex ${vehicleCustomerOffset}`}> {/* Added offset padding */}
-              <span className="w-24 shrink-0">VEHICLE NO</span>
-              <span className="shrink-0 mr-4">:</span>
-              <span className="font-bold uppercase">{data.vehicleNo}</span>
-            </div>
-          </div>
-        </div>
-
-        {/* Row 2: MATERIAL / CUSTOMER */}
-        <div className="flex">
-          {/* Left Column Data (MATERIAL) */}
-          <div className={`${leftColWidth} shrink-0 flex`}>
-            <span className="w-20 shrink-0">MATERIAL</span>
-            <span className={colonStyle}>:</span>
-            <span>{data.material}</span>
-          </div>
-          {/* Right Column Data (CUSTOMER) - Apply offset to inner div */}
-          <div className="flex-1 flex justify-end">
-            <div className={`flex ${vehicleCustomerOffset}`}> {/* Added offset padding */}
-              <span className="w-24 shrink-0">CUSTOMER</span>
-              <span className={colonStyle}>:</span>
-              <span>{data.customer}</span>
+        {/* Detail rows (RST NO / VEHICLE NO, ...) in the order set by the template designer */}
+        <div className="mb-4">
+          {visibleRows(config.template).map(row => (
+            <div className="flex" key={row.id}>
+              {/* Left Column Data */}
+              <div className="shrink-0 flex" style={leftColWidth}>
+                {row.left && detailCell(row.left, spacing.labelWidth)}
+              </div>
+              {/* Right Column Data - Apply offset to inner div */}
+              <div className="flex-1 flex justify-end">
+                {row.right && <div className="flex" style={vehicleCustomerOffset}>{detailCell(row.right, spacing.rightLabelWidth)}</div>}
+              </div>
             </div>
-          </div>
-        </div>
-
-        {/* Row 3: SUPPLIER / Empty or Date */}
-        <div className="flex mb-4">
-          {/* Left Column Data (SUPPLIER) */}
-          <div className={`${leftColWidth} shrink-0 flex`}>
-            <span className="w-20 shrink-0">SUPPLIER</span>
-            <span className={colonStyle}>:</span>
-            <span>{data.supplier}</span>
-          </div>
-          {/* Right Column is empty in the original image structure here */}
-          <div className="flex-1"></div>
+          ))}
         </div>
 
         {/* --- WEIGHTS SECTION --- */}
@@ -242,89 +300,62 @@ const ReceiptTemplate = React.forwardRef(({ data, config }, ref) => {
 
           {/* GROSS Wt / Date Out */}
           <div className="flex">
-            {/* Left Column Data (GROSS Wt) */}
-            <div className="w-[200px] shrink-0 flex items-baseline">
-              <span className={labelStyle}>GROSS Wt</span>
-              <span className={colonStyle}>:</span>
-              <span className={weightValueStyle}>{data.grossWeight}</span>
-              <span className={unitStyle}>kg</span>
-            </div>
-            {/* Right Column Data (Date Out) - Apply offset to inner div */}
-            <div className="flex-1 flex justify-end items-baseline">
-              <div className={`flex ${dateWordOffset}`}> {/* Added offset padding */}
-                <span className={dateLabelStyle}>Date:</span>
-                <span className={dateValueStyle}>{dateOut}</span>
-                <span className={timeLabelStyle}>Time:</span>
-                <span className={timeValueStyle}>{timeOut}</span>
-              </div>
-            </div>
+            {weightCell(labels.gross, data.grossWeight)}
+            {show.dateTime && dateTimeCell(dateOut, timeOut)}
           </div>
 
           {/* TARE Wt / Date In */}
           <div className="flex">
-            {/* Left Column Data (TARE Wt) */}
-            <div className="w-[200px] shrink-0 flex items-baseline">
-              <span className={labelStyle}>TARE Wt</span>
-              <span className={colonStyle}>:</span>
-              <span className={weightValueStyle}>{data.tareWeight}</span>
-              <span className={unitStyle}>kg</span>
-            </div>
-            {/* Right Column Data (Date In) - Apply offset to inner div */}
-            <div className="flex-1 flex justify-end items-baseline">
-              <div className={`flex ${dateWordOffset}`}> {/* Added offset padding */}
-                <span className={dateLabelStyle}>Date:</span>
-                <span className={dateValueStyle}>{dateIn}</span>
-                <span className={timeLabelStyle}>Time:</span>
-                <span className={timeValueStyle}>{timeIn}</span>
-              </div>
-            </div>
+            {weightCell(labels.tare, data.tareWeight)}
+            {show.dateTime && dateTimeCell(dateIn, timeIn)}
           </div>
 
           {/* NET Wt / Weight in Words */}
           <div className="flex items-start pt-1">
-            {/* Left Column Data (NET Wt) */}
-            <div className="w-[200px] shrink-0 flex items-baseline">
-              <span className={labelStyle}>NET Wt</span>
-              <span className={colonStyle}>:</span>
-              <span className={weightValueStyle}>{data.netWeight}</span>
-              <span className={unitStyle}>kg</span>
-            </div>
+            {weightCell(labels.net, data.netWeight)}
             {/* Right Column Data (Weight in Words) - Apply offset directly */}
-            <div className={`flex-1 flex justify-end font-bold text-sm tracking-widest leading-relaxed pt-0 ${dateWordOffset}`}> {/* Added offset padding */}
-              {numberToDigitWords(data.netWeight)} KG
-            </div>
+            {show.words && (
+              <div className="flex-1 flex justify-end font-bold text-sm tracking-widest leading-relaxed pt-0" style={dateWordOffset}>
+                {weightInWords(data.netWeight, config.wordsStyle, labels.wordsSuffix)}
+              </div>
+            )}
           </div>
         </div>
 
         {/* --- CHARGES --- */}
         {config.showCharges && (
-          <div className="flex mt-1 border-b border-black border-dashed pb-1">
-            <div className="w-[200px] shrink-0 flex">
-              <span className="w-24 shrink-0 text-sm">Charges(1):</span>
-              <span className="shrink-0 mr-4 text-sm">Rs.</span>
-              <span className="font-bold text-sm">{data.charges}</span>
+          <div className="mt-1 border-b border-black border-dashed pb-1">
+            <div className="flex">
+              <div className="w-[200px] shrink-0 flex">
+                <span className="shrink-0 text-sm" style={{ width: `${spacing.rightLabelWidth}px` }}>{labels.charges}</span>
+                <span className="shrink-0 mr-4 text-sm">{labels.currency}</span>
+                <span className="font-bold text-sm">{data.charges}</span>
+              </div>
+              {/* Right Column Data (rate-card breakdown, when there is one) */}
+              <div className="flex-1 flex justify-end text-xs" style={dateWordOffset}>{describeCharges(data)}</div>
             </div>
-            {/* Right column empty */}
-            <div className="flex-1"></div>
+            {show.chargesWords && <div className="text-xs font-bold">{rupeesInWords(data.charges)}</div>}
           </div>
         )}
 
         {/* --- SIGNATURES --- */}
-        <div className="flex mt-3">
-          {/* Left Column Data (Operator Sign) */}
-          <div className="w-[200px] shrink-0 flex">
-            <span className="w-48 border-t border-black border-dotted pt-1 text-sm uppercase">OPERATOR'S SIGNATURE:</span>
-          </div>
-          {/* Right Column Data (Party Sign) */}
-          <div className="flex-1 flex justify-end">
-            <span className="w-48 text-right border-t border-black border-dotted pt-1 text-sm uppercase">PARTY'S SIGN:</span>
+        {show.signatures && (
+          <div className="flex mt-3">
+            {/* Left Column Data (Operator Sign) */}
+            <div className="w-[200px] shrink-0 flex">
+              <span className="w-48 border-t border-black border-dotted pt-1 text-sm uppercase">{operatorSignText(labels, data)}</span>
+            </div>
+            {/* Right Column Data (Party Sign) */}
+            <div className="flex-1 flex justify-end">
+              <span className="w-48 text-right border-t border-black border-dotted pt-1 text-sm uppercase">{labels.partySign}</span>
+            </div>
           </div>
-        </div>
+        )}
 
         {/* --- FOOTER --- */}
         <div className="mt-2 pt-1 text-center">
           <p className="text-[12px] uppercase" style={{ whiteSpace: 'pre-wrap', lineHeight: '1.2' }}>{config.footer}</p>
-          {data.remarks && <p className="text-[10px] mt-1 font-bold">Note: {data.remarks}</p>}
+          {data.remarks && <p className="text-[10px] mt-1 font-bold">{labels.note} {data.remarks}</p>}
         </div>
       </div>
     </div>
@@ -332,35 +363,239 @@ const ReceiptTemplate = React.forwardRef(({ data, config }, ref) => {
 });
 
 
+// Settings the validation rules read (lib/validation.js)
+const validationOptions = (config) => ({
+  levels: config.validationRules, capacityKg: config.scaleCapacityKg, rateCard: config.rateCard,
+});
+
+// RSTs named in a merge confirmation before the rest are only counted
+const MERGE_RSTS_LISTED = 20;
+
+// Validation warnings spelled out in a confirmation before the rest are only counted
+const WARNINGS_LISTED = 5;
+
+// Signed tare drift for messages, e.g. "+320 kg"
+const formatDrift = (drift) => `${drift.difference > 0 ? '+' : ''}${drift.difference} kg`;
+
+// One printed copy in the layout's receipt variant
+const renderReceipt = (layout, data, config, ref) => (layout.variant === 'compact'
+  ? <CompactReceipt data={data} config={config} />
+  : <ReceiptTemplate ref={ref} data={data} config={config} />);
+
 /**
  * MAIN COMPONENT (unchanged logic)
  */
 export default function App() {
   const [receipt, setReceipt] = useState({ ...DEFAULT_RECEIPT, id: Date.now() });
   const [savedReceipts, setSavedReceipts] = useState([]);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(true);
+  const [pendingTickets, setPendingTickets] = useState([]);
+  const [seriesState, setSeriesState] = useState(loadSeriesState);
+  const [showGapReport, setShowGapReport] = useState(false);
   const [config, setConfig] = useState(DEFAULT_CONFIG);
   const [showConfig, setShowConfig] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
+  const [showDesigner, setShowDesigner] = useState(false);
+  const [historyQuery, setHistoryQuery] = useState(DEFAULT_HISTORY_QUERY);
+  const [historyPage, setHistoryPage] = useState(1);
+  const [showFilters, setShowFilters] = useState(false);
+  const [showReports, setShowReports] = useState(false);
+  const [reportToPrint, setReportToPrint] = useState(null);
+  const [showImportExport, setShowImportExport] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [masters, setMasters] = useState(loadMasters);
+  const [showMasters, setShowMasters] = useState(false);
+  const [showRateCard, setShowRateCard] = useState(false);
+  const [amendChanges, setAmendChanges] = useState(null);
+  const [showAuditTrail, setShowAuditTrail] = useState(false);
+  const [voidTarget, setVoidTarget] = useState(null);
+  const [showRecycleBin, setShowRecycleBin] = useState(false);
+  const [showVerify, setShowVerify] = useState(false);
+  const [operators, setOperators] = useState(loadOperators);
+  const [currentOperator, setCurrentOperator] = useState(() => loadSession(loadOperators()));
+  const [showOperators, setShowOperators] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const editorRef = useRef(null);
+  const scaleRef = useRef(null);
+  const shortcutActions = useRef(null);
+  // Runs after an amendment started by Save & Print is stored
+  const afterAmend = useRef(null);
+  const [syncStatus, setSyncStatus] = useState({ state: 'idle', message: '', lastSyncAt: null });
+  const [syncQueued, setSyncQueued] = useState(outboxSize);
+  const [syncRequest, setSyncRequest] = useState(0);
+  const syncSource = useRef(null);
+  const syncRunning = useRef(false);
+
+  // Batch selection for multi-ticket PDF / print
+  const [selectMode, setSelectMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [batchPerPage, setBatchPerPage] = useState(3);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [printBatch, setPrintBatch] = useState(null);
 
   // PDF Export States
   const [isExportingPdf, setIsExportingPdf] = useState(false);
   const receiptRef = useRef(null);
-  const printContainerRef = useRef(null);
 
   // Custom Modal/Toast States
   const [toast, setToast] = useState(null);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [confirmAction, setConfirmAction] = useState(null);
+  const [confirmMessage, setConfirmMessage] = useState('');
+
+  // Settings of the active company profile, and of the profile a given ticket was issued under
+  const activeConfig = profileConfig(config);
+  const configFor = (record) => profileConfig(config, profileIdOf(record));
+  const receiptConfig = configFor(receipt);
+  const inActiveProfile = (r) => profileIdOf(r) === activeConfig.profileId;
+
+  // Saved version of the ticket in the editor; once saved it can only be amended
+  const savedVersion = savedReceipts.find(r => r.id === receipt.id);
+  const editorLocked = isLocked(savedVersion);
+
+  const voidedReceipts = savedReceipts.filter(isVoided);
+
+  // What the signed-in operator's role allows (everything while no accounts exist)
+  const allowed = (permission) => can(currentOperator, permission, operators);
+  const operatorName = currentOperator ? currentOperator.name : '';
+  // A ticket not saved yet prints with the operator who would issue it
+  const printedReceipt = receipt.operator ? receipt : { ...receipt, operator: operatorName };
+
+  // Business rules for a ticket, and their results for the one in the editor. Both are
+  // worked out again only when their inputs change, not on every keystroke elsewhere.
+  const validate = (record) => validateReceipt(record, validationOptions(config));
+  const validation = useMemo(() => validateReceipt(receipt, validationOptions(config)), [receipt, config]);
+
+  // Stored tare of the vehicle in the editor, and how far the entered tare is from it
+  const storedTare = useMemo(
+    () => getStoredTare(savedReceipts.filter(r => r.id !== receipt.id), masters, receipt.vehicleNo),
+    [savedReceipts, masters, receipt.id, receipt.vehicleNo],
+  );
+  const tareCheck = tareDrift(storedTare, receipt.tareWeight, config.tareToleranceKg);
 
-  // 1. Load data on mount
+  // 1. Load data on mount (history comes from IndexedDB in the background)
   useEffect(() => {
-    const saved = localStorage.getItem('weight_receipts');
-    if (saved) setSavedReceipts(JSON.parse(saved));
+    let cancelled = false;
+
+    const pending = localStorage.getItem(PENDING_STORAGE_KEY);
+    const tickets = pending ? JSON.parse(pending) : [];
+    setPendingTickets(tickets);
 
     const savedConfig = localStorage.getItem('weight_config');
-    if (savedConfig) setConfig(JSON.parse(savedConfig));
+    const storedConfig = savedConfig ? mergeConfig(JSON.parse(savedConfig)) : DEFAULT_CONFIG;
+    // Each site signs its receipt QR codes with its own secret and each PC has its own
+    // sync terminal id, both made on first run
+    const loadedConfig = {
+      ...storedConfig,
+      verificationSecret: storedConfig.verificationSecret || newSecret(),
+      terminalId: storedConfig.terminalId || newTerminalId(),
+    };
+    setConfig(loadedConfig);
+    if (loadedConfig.verificationSecret !== storedConfig.verificationSecret || loadedConfig.terminalId !== storedConfig.terminalId) {
+      localStorage.setItem('weight_config', JSON.stringify(loadedConfig));
+    }
+
+    loadReceipts()
+      .then(receipts => {
+        if (cancelled) return;
+        setSavedReceipts(receipts);
+
+        // Give the initial ticket the next number in the series
+        const active = profileConfig(loadedConfig);
+        const next = peekNextRst(loadSeriesState(), [...receipts, ...tickets], active);
+        setReceipt(prev => ({ ...prev, ...next, profileId: active.profileId }));
+      })
+      .catch(error => {
+        console.error("History Load Error:", error);
+        if (!cancelled) setToast({ message: `Could not load saved receipts: ${error.message}`, type: 'error' });
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingHistory(false);
+      });
+
+    return () => { cancelled = true; };
   }, []);
 
+  const reportStorageError = (error) => {
+    console.error("Storage Error:", error);
+    setToast({ message: `Could not write to storage: ${error.message}`, type: 'error' });
+  };
+
+  // Multi-terminal sync (lib/sync.js). Every history and master data write gets a new
+  // version; with a server set it is also queued and goes out on the next sync round.
+  const stampForSync = (record) => {
+    const stored = savedReceipts.find(r => r.id === record.id);
+    return stampRecord({ ...record, version: Math.max(record.version || 0, stored?.version || 0) }, config.terminalId);
+  };
+
+  const queueForSync = (records) => {
+    if (!config.syncUrl) return;
+    queueReceipts(records);
+    setSyncQueued(outboxSize());
+  };
+
+  // What the next sync round compares against, always the latest
+  useEffect(() => {
+    syncSource.current = { receipts: savedReceipts, masters };
+  });
+
+  // Syncs on start, every SYNC_INTERVAL_MS, when the network comes back and on demand
+  useEffect(() => {
+    if (!config.syncUrl || isLoadingHistory) return;
+    const server = { syncUrl: config.syncUrl, syncToken: config.syncToken, terminalId: config.terminalId };
+
+    const apply = ({ receipts, deletedIds, masters: newMasters, conflicts, duplicates }) => {
+      if (receipts.length > 0 || deletedIds.length > 0) {
+        const byId = new Map(receipts.map(r => [r.id, r]));
+        const deleted = new Set(deletedIds);
+        setSavedReceipts(prev => {
+          const known = new Set(prev.map(r => r.id));
+          return [
+            ...receipts.filter(r => !known.has(r.id)),
+            ...prev.filter(r => !deleted.has(r.id)).map(r => byId.get(r.id) || r),
+          ];
+        });
+        putReceipts(receipts).catch(reportStorageError);
+        deletedIds.forEach(id => deleteReceipt(id).catch(reportStorageError));
+      }
+      if (newMasters) {
+        setMasters(newMasters);
+        saveMasters(newMasters);
+      }
+      const problems = [];
+      if (conflicts.length > 0) {
+        problems.push(`RST ${conflicts.map(c => c.lost.rstNo).join(', ')} was also changed on another PC; that version was kept.`);
+      }
+      if (duplicates.length > 0) {
+        problems.push(`RST ${[...new Set(duplicates.map(r => r.rstNo))].join(', ')} was issued on more than one PC; amend one of each pair.`);
+      }
+      if (problems.length > 0) setToast({ message: problems.join(' '), type: 'error' });
+    };
+
+    const run = async () => {
+      if (syncRunning.current) return;
+      syncRunning.current = true;
+      setSyncStatus(prev => ({ ...prev, state: 'syncing' }));
+      try {
+        // Applied even if the effect has since re-run: the round already moved the sync position
+        apply(await syncNow(server, syncSource.current));
+        setSyncStatus({ state: 'ok', message: '', lastSyncAt: new Date().toISOString() });
+      } catch (error) {
+        setSyncStatus(prev => ({ ...prev, state: 'error', message: error.message }));
+      } finally {
+        syncRunning.current = false;
+        setSyncQueued(outboxSize());
+      }
+    };
+
+    run();
+    const timer = setInterval(run, SYNC_INTERVAL_MS);
+    window.addEventListener('online', run);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', run);
+    };
+  }, [config.syncUrl, config.syncToken, config.terminalId, isLoadingHistory, syncRequest]);
+
 
 
   // Auto-calculate Net Weight
@@ -372,6 +607,18 @@ export default function App() {
     }
   }, [receipt.grossWeight, receipt.tareWeight, receipt.manualNetWeight]);
 
+  // Auto-calculate Charges from the rate card. A breakdown is only redone when the
+  // weight, material, customer or class it was worked out from changes, so loading a
+  // saved ticket never reprices it; hand-charged tickets without one stay as typed.
+  useEffect(() => {
+    const rateCard = config.rateCard;
+    if (!isRateCardActive(rateCard)) return;
+    setReceipt(prev => {
+      if (sameChargeInputs(prev, prev.chargeBreakdown) || (prev.manualCharges && !prev.chargeBreakdown)) return prev;
+      return priceReceipt(prev, rateCard);
+    });
+  }, [receipt.netWeight, receipt.material, receipt.customer, receipt.vehicleClass, receipt.chargeBreakdown, config.rateCard]);
+
   // Handlers
   const handleInputChange = (e) => {
     const { name, value, type } = e.target;
@@ -382,82 +629,692 @@ export default function App() {
     }));
   };
 
-  const handleSave = () => {
-    const newHistory = [...savedReceipts];
-    const index = newHistory.findIndex(r => r.id === receipt.id);
+  const handleCapture = (field, weight) => {
+    setReceipt(prev => ({ ...prev, [field]: weight }));
+    setToast({ message: `Captured ${weight} kg from scale.`, type: 'success' });
+  };
 
-    if (index >= 0) {
-      newHistory[index] = receipt;
-    } else {
-      newHistory.unshift({ ...receipt, id: Date.now() });
+  const saveConfig = (newConfig) => {
+    setConfig(newConfig);
+    localStorage.setItem('weight_config', JSON.stringify(newConfig));
+  };
+
+  // Letterhead, template and RST settings go to the active profile
+  const updateConfig = (key, value) => {
+    saveConfig(setConfigValue(config, key, value));
+  };
+
+  // Operator accounts; adding the first supervisor signs them in so the PC isn't locked out
+  const handleOperatorsChange = (next, added) => {
+    setOperators(next);
+    saveOperators(next);
+    const signedIn = currentOperator && next.find(o => o.id === currentOperator.id);
+    const session = signedIn || (!currentOperator && added && isLoginRequired(next) ? added : null);
+    setCurrentOperator(session || null);
+    saveSession(session || null);
+  };
+
+  const handleLogin = (operator) => {
+    setCurrentOperator(operator);
+    saveSession(operator);
+    setToast({ message: `Signed in as ${operator.name}.`, type: 'success' });
+  };
+
+  const handleLogout = () => {
+    setCurrentOperator(null);
+    saveSession(null);
+    setShowConfig(false);
+    setSelectMode(false);
+    setSelectedIds([]);
+  };
+
+  const persistSeries = (state) => {
+    setSeriesState(state);
+    saveSeriesState(state);
+  };
+
+  // Master data: autocomplete lists, optionally the only accepted values
+  const persistMasters = (next) => {
+    const stamped = stampRecord(next, config.terminalId);
+    setMasters(stamped);
+    saveMasters(stamped);
+    if (config.syncUrl) {
+      queueMasters(stamped);
+      setSyncQueued(outboxSize());
     }
+  };
 
-    setSavedReceipts(newHistory);
-    localStorage.setItem('weight_receipts', JSON.stringify(newHistory));
-    setToast({ message: 'Receipt Saved!', type: 'success' });
+  // Snaps a typed name to its master spelling ("Rahata " -> "RAHATA")
+  const handleMasterBlur = (e) => {
+    const { name, value } = e.target;
+    const type = MASTER_TYPES.find(t => t.field === name);
+    setReceipt(prev => ({ ...prev, [name]: canonicalName(masters, type.key, value) }));
+  };
+
+  const isOffMaster = (field) => {
+    const type = MASTER_TYPES.find(t => t.field === field);
+    return masters.enforced[type.key] && !!String(receipt[field] ?? '').trim() && !findEntry(masters, type.key, receipt[field]);
+  };
+
+  const checkMasters = (record) => {
+    const fields = masterViolations(masters, record);
+    if (fields.length === 0) return true;
+    setToast({ message: `${fields.join(', ')} must be chosen from the master list.`, type: 'error' });
+    return false;
+  };
+
+  // Rewrites every spelling in a merge suggestion to one name and lists it in the master,
+  // once the operator has seen which tickets it changes
+  const handleMerge = (suggestion, name) => {
+    const canonical = canonicalName(masters, suggestion.type, name.trim());
+    const reason = `Merged ${suggestion.field} spellings into "${canonical}"`;
+    const merged = applyMerge(savedReceipts, suggestion.field, suggestion.variants.map(v => v.value), canonical);
+
+    const action = () => {
+      const changed = merged
+        .map(r => stampForSync(isLocked(r) ? amendReceipt(savedReceipts.find(saved => saved.id === r.id), r, reason, operatorName) : r));
+      const byId = new Map(changed.map(r => [r.id, r]));
+
+      setSavedReceipts(savedReceipts.map(r => byId.get(r.id) || r));
+      putReceipts(changed).catch(reportStorageError);
+      queueForSync(changed);
+      if (!findEntry(masters, suggestion.type, canonical)) persistMasters(addEntry(masters, suggestion.type, canonical));
+      setToast({ message: `${changed.length} receipts now use "${canonical}".`, type: 'success' });
+    };
+
+    if (merged.length === 0) {
+      action();
+      return;
+    }
+    const rsts = merged.slice(0, MERGE_RSTS_LISTED).map(r => r.rstNo || '---').join(', ');
+    const more = merged.length > MERGE_RSTS_LISTED ? ` and ${merged.length - MERGE_RSTS_LISTED} more` : '';
+    const locked = merged.filter(isLocked).length;
+    setConfirmAction(() => action);
+    setConfirmMessage(`Change ${suggestion.field} to "${canonical}" on ${merged.length} receipts: RST ${rsts}${more}?`
+      + (locked > 0 ? ` ${locked} of them are locked and will be recorded as amended.` : ''));
+    setShowConfirmModal(true);
+  };
+
+  // Rejects an RST already used by another saved or pending ticket in the same series
+  const checkRstAvailable = (record) => {
+    if (!String(record.rstNo ?? '').trim()) {
+      setToast({ message: 'RST No is required.', type: 'error' });
+      return false;
+    }
+    if (isDuplicateRst([...savedReceipts, ...pendingTickets], record)) {
+      setToast({ message: `RST No ${record.rstNo} is already used by another ticket.`, type: 'error' });
+      return false;
+    }
+    return true;
+  };
+
+  // Runs `action` if `results` pass: errors stop it, warnings (plus any `extraWarnings`)
+  // ask for a confirmation first
+  const withValidation = (verb, action, results = validation, extraWarnings = []) => {
+    const errors = errorsOf(results);
+    if (errors.length > 0) {
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+      setToast({ message: `Cannot ${verb}: ${errors[0].message}${more}`, type: 'error' });
+      return;
+    }
+    const warnings = [...warningsOf(results).map(w => w.message), ...extraWarnings];
+    if (warnings.length === 0) {
+      action();
+      return;
+    }
+    // A batch can raise hundreds of warnings; the first few say enough
+    const listed = warnings.slice(0, WARNINGS_LISTED).join(' ');
+    const more = warnings.length > WARNINGS_LISTED ? ` (and ${warnings.length - WARNINGS_LISTED} more warnings)` : '';
+    setConfirmAction(() => action);
+    setConfirmMessage(`${listed}${more} ${verb.charAt(0).toUpperCase()}${verb.slice(1)} anyway?`);
+    setShowConfirmModal(true);
+  };
+
+  // `then(series, history)` runs once the ticket is stored (Save & Print)
+  const handleSave = (then = null) => {
+    if (isVoided(savedVersion)) {
+      setToast({ message: 'This ticket is void. Restore it from the recycle bin to change it.', type: 'error' });
+      return;
+    }
+    if (!checkRstAvailable(receipt) || !checkMasters(receipt)) return;
+    if (isChargeOverridden(receipt) && !receipt.chargesReason.trim()) {
+      setToast({ message: 'Give a reason for overriding the calculated charges.', type: 'error' });
+      return;
+    }
+
+    if (editorLocked && !allowed('amend')) {
+      setToast({ message: 'Saved tickets can only be amended by a supervisor.', type: 'error' });
+      return;
+    }
+
+    const commit = editorLocked ? () => requestAmend(then) : () => saveReceipt(then);
+
+    // A regular vehicle's tare far from its stored value needs a second look
+    const tareWarning = tareCheck && tareCheck.exceeded
+      ? [`Tare ${receipt.tareWeight} kg differs from the stored ${storedTare.weight} kg for ${receipt.vehicleNo} by ${formatDrift(tareCheck)}.`]
+      : [];
+    withValidation('save', commit, validation, tareWarning);
+  };
+
+  // Writes a new or amended ticket into history, replacing its stored version. Nothing
+  // changes on screen (and `then` does not run) until IndexedDB has taken the write.
+  const storeReceipt = async (edited, message, then = null) => {
+    const record = stampForSync(edited);
+    try {
+      await putReceipt(record);
+    } catch (error) {
+      reportStorageError(error);
+      return;
+    }
+    const index = savedReceipts.findIndex(r => r.id === record.id);
+    const history = index >= 0 ? savedReceipts.map(r => (r.id === record.id ? record : r)) : [record, ...savedReceipts];
+    const series = commitRst(seriesState, record);
+    setSavedReceipts(history);
+    queueForSync([record]);
+    persistSeries(series);
+    setReceipt(record);
+    setToast({ message, type: 'success' });
+    if (then) then(series, history);
+  };
+
+  const saveReceipt = (then) => storeReceipt(lockReceipt({ ...receipt, operator: receipt.operator || operatorName }), 'Receipt Saved!', then);
+
+  // Locked tickets: list the changes and ask for a reason before amending
+  const requestAmend = (then = null) => {
+    const changes = diffReceipts(savedVersion, receipt);
+    if (changes.length === 0) {
+      setToast({ message: 'Nothing has changed on this ticket.', type: 'error' });
+      return;
+    }
+    afterAmend.current = then;
+    setAmendChanges(changes);
   };
 
-  const handleNew = () => {
-    setReceipt({ ...DEFAULT_RECEIPT, id: Date.now() });
+  const handleAmend = (reason) => {
+    try {
+      storeReceipt(amendReceipt(savedVersion, receipt, reason, operatorName), `RST ${receipt.rstNo} amended.`, afterAmend.current);
+      afterAmend.current = null;
+      setAmendChanges(null);
+    } catch (error) {
+      setToast({ message: error.message, type: 'error' });
+    }
+  };
+
+  // Restores the editor to the ticket as last saved
+  const handleDiscardChanges = () => handleLoad(savedVersion);
+
+  const handleNew = (state = seriesState, records = [...savedReceipts, ...pendingTickets], active = activeConfig) => {
+    setReceipt({ ...DEFAULT_RECEIPT, id: Date.now(), ...peekNextRst(state, records, active), profileId: active.profileId });
+  };
+
+  // Prints and PDFs only ever show a ticket as stored: unsaved changes are saved (and
+  // the ticket locked) or amended first. `action(record, series, history)` gets the
+  // stored ticket; a saved ticket without changes goes straight to it.
+  const withSavedTicket = (verb, action) => {
+    if (editorLocked && diffReceipts(savedVersion, receipt).length === 0) {
+      withValidation(verb, () => action(savedVersion, seriesState, savedReceipts));
+      return;
+    }
+    handleSave((series, history) => action(history.find(r => r.id === receipt.id), series, history));
+  };
+
+  // Saves, prints the stored ticket and starts the next one
+  const handleSaveAndPrint = () => withSavedTicket('print', (record, series, history) => setTimeout(() => {
+    window.print();
+    handleNew(series, [...history, ...pendingTickets]);
+    if (config.keyboardMode) setTimeout(() => focusField('vehicleNo'), 0);
+  }, 10));
+
+  // Keyboard mode (lib/keyboard.js)
+  const focusField = (name) => {
+    const el = editorRef.current?.querySelector(`[name="${name}"]`);
+    if (!el) return;
+    el.focus();
+    if (el.select) el.select();
+  };
+
+  // Enter and Tab move through the editor fields in entry order, skipping read-only ones
+  const handleEditorKeyDown = (e) => {
+    if (!config.keyboardMode || !e.target.name || (e.key !== 'Enter' && e.key !== 'Tab')) return;
+    const available = [...editorRef.current.querySelectorAll('[name]')]
+      .filter(el => !el.disabled && !el.readOnly)
+      .map(el => el.name);
+    const next = nextField(e.target.name, e.key === 'Tab' && e.shiftKey ? -1 : 1, available);
+    if (!next) return;
+    e.preventDefault();
+    focusField(next);
+  };
+
+  // Scale reading when there is a stable one, else the field to type it in
+  const captureOrFocus = (field) => {
+    if (scaleRef.current?.capture(field)) return;
+    if (config.allowManualWeights) focusField(field);
+    else setToast({ message: 'No stable scale reading to capture.', type: 'error' });
+  };
+
+  // Stable scale reading for the open-ticket weighings, or null with a toast when there is none
+  const readScale = () => {
+    const weight = scaleRef.current?.stableWeight() ?? null;
+    if (weight === null) setToast({ message: 'No stable scale reading to capture.', type: 'error' });
+    return weight;
+  };
+
+  const stampNow = (field) => setReceipt(prev => ({ ...prev, [field]: toDateTimeLocal() }));
+
+  // Hotkeys wait while a dialog is open
+  const dialogOpen = showConfirmModal || !!amendChanges || !!voidTarget || showReports || showImportExport || showBackup
+    || showMasters || showRateCard || showRecycleBin || showVerify || showOperators || showAuditTrail || showGapReport
+    || showShortcuts || (isLoginRequired(operators) && !currentOperator);
+
+  useEffect(() => {
+    shortcutActions.current = dialogOpen ? { help: () => setShowShortcuts(v => !v) } : {
+      help: () => setShowShortcuts(v => !v),
+      new: () => {
+        handleNew();
+        setTimeout(() => focusField('vehicleNo'), 0);
+      },
+      captureGross: () => captureOrFocus('grossWeight'),
+      captureTare: () => captureOrFocus('tareWeight'),
+      stampIn: () => stampNow('dateTimeIn'),
+      stampOut: () => stampNow('dateTimeOut'),
+      save: () => handleSave(),
+      savePrint: handleSaveAndPrint,
+    };
+  });
+
+  useEffect(() => {
+    if (!config.keyboardMode) return;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setShowShortcuts(false);
+        return;
+      }
+      const run = shortcutActions.current[shortcutAction(e)];
+      if (!run) return;
+      e.preventDefault();
+      run();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [config.keyboardMode]);
+
+  // Company profiles: switching starts a fresh ticket in the new profile's series
+  const handleSwitchProfile = (id) => {
+    const newConfig = { ...config, activeProfileId: id };
+    saveConfig(newConfig);
+    handleNew(seriesState, [...savedReceipts, ...pendingTickets], profileConfig(newConfig));
+  };
+
+  const handleAddProfile = () => {
+    const profile = createProfile(`Company ${config.profiles.length + 1}`, { ...activeConfig, rstStart: 1 });
+    const newConfig = { ...config, profiles: [...config.profiles, profile], activeProfileId: profile.id };
+    saveConfig(newConfig);
+    handleNew(seriesState, [...savedReceipts, ...pendingTickets], profileConfig(newConfig));
+    setToast({ message: 'Profile added. Set its letterhead below.', type: 'success' });
+  };
+
+  const handleRenameProfile = (name) => {
+    saveConfig({ ...config, profiles: config.profiles.map(p => (p.id === config.activeProfileId ? { ...p, name } : p)) });
+  };
+
+  const handleDeleteProfile = () => {
+    const id = config.activeProfileId;
+    if (config.profiles.length === 1) {
+      setToast({ message: 'At least one profile is required.', type: 'error' });
+      return;
+    }
+    if ([...savedReceipts, ...pendingTickets].some(r => profileIdOf(r) === id)) {
+      setToast({ message: 'This profile has tickets in history and cannot be deleted.', type: 'error' });
+      return;
+    }
+
+    const action = () => {
+      const profiles = config.profiles.filter(p => p.id !== id);
+      const newConfig = { ...config, profiles, activeProfileId: profiles[0].id };
+      saveConfig(newConfig);
+      handleNew(seriesState, [...savedReceipts, ...pendingTickets], profileConfig(newConfig));
+      setToast({ message: 'Profile deleted.', type: 'success' });
+      setShowConfirmModal(false);
+    };
+
+    setConfirmAction(() => action);
+    setConfirmMessage(`Delete the profile "${activeConfig.profileName}"? Its letterhead and settings will be lost.`);
+    setShowConfirmModal(true);
   };
 
   const handleLoad = (r) => {
-    setReceipt({ ...r });
+    // Tickets saved before rate cards were typed by hand
+    setReceipt({ ...r, manualCharges: r.manualCharges ?? !r.chargeBreakdown, chargesReason: r.chargesReason ?? '' });
+  };
+
+  // Rate card: an edited card reprices the ticket in the editor unless it is already saved
+  const handleRateCardChange = (rateCard) => {
+    saveConfig({ ...config, rateCard });
+    if (savedReceipts.some(r => r.id === receipt.id)) return;
+    setReceipt(prev => {
+      if (!isRateCardActive(rateCard)) return { ...prev, chargeBreakdown: null };
+      return priceReceipt(prev, rateCard);
+    });
   };
 
-  const handleDelete = (id, e) => {
+  const handleToggleChargeOverride = (manualCharges) => {
+    setReceipt(prev => ({
+      ...prev,
+      manualCharges,
+      charges: manualCharges || !prev.chargeBreakdown ? prev.charges : prev.chargeBreakdown.total,
+      chargesReason: manualCharges ? prev.chargesReason : '',
+    }));
+  };
+
+  // Deleting only voids: the ticket keeps its RST and stays in history, out of totals
+  const handleVoid = (r, e) => {
     e.stopPropagation();
+    setVoidTarget(r);
+  };
+
+  const handleConfirmVoid = (reason) => {
+    try {
+      const voided = stampForSync(voidReceipt(voidTarget, reason, operatorName));
+      setSavedReceipts(savedReceipts.map(r => (r.id === voided.id ? voided : r)));
+      putReceipt(voided).catch(reportStorageError);
+      queueForSync([voided]);
+      if (receipt.id === voided.id) setReceipt(voided);
+      setToast({ message: `RST ${voided.rstNo} voided.`, type: 'success' });
+      setVoidTarget(null);
+    } catch (error) {
+      setToast({ message: error.message, type: 'error' });
+    }
+  };
+
+  const handleRestoreVoided = (r) => {
+    const restored = stampForSync(restoreReceipt(r, operatorName));
+    setSavedReceipts(savedReceipts.map(x => (x.id === restored.id ? restored : x)));
+    putReceipt(restored).catch(reportStorageError);
+    queueForSync([restored]);
+    if (receipt.id === restored.id) setReceipt(restored);
+    setToast({ message: `RST ${restored.rstNo} restored.`, type: 'success' });
+  };
+
+  // Permanent delete, only once the retention period is over; the RST becomes a voided gap
+  const handlePurge = (r) => {
+    if (!canPurge(r, config.voidRetentionDays)) return;
 
     const action = () => {
-      const updated = savedReceipts.filter(r => r.id !== id);
-      setSavedReceipts(updated);
-      localStorage.setItem('weight_receipts', JSON.stringify(updated));
-      setToast({ message: 'Receipt deleted.', type: 'success' });
+      setSavedReceipts(savedReceipts.filter(x => x.id !== r.id));
+      deleteReceipt(r.id).catch(reportStorageError);
+      // Other PCs drop it when the tombstone reaches them
+      queueForSync([tombstone(r, config.terminalId)]);
+      persistSeries(voidRst(seriesState, r, `Purged (voided: ${r.voided.reason})`, operatorName));
+      setToast({ message: `RST ${r.rstNo} purged.`, type: 'success' });
+    };
+
+    setConfirmAction(() => action);
+    setConfirmMessage(`Permanently delete voided RST ${r.rstNo}? This cannot be undone.`);
+    setShowConfirmModal(true);
+  };
+
+  // Two-pass weighing: open tickets wait in the yard until their second weighing
+  const persistPending = (list) => {
+    setPendingTickets(list);
+    localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(list));
+  };
+
+  const handleRecordFirstWeight = (weight) => {
+    const vehicleNo = (receipt.vehicleNo || '').trim().toUpperCase();
+    if (!vehicleNo) {
+      setToast({ message: 'Enter a vehicle number before the first weighing.', type: 'error' });
+      return false;
+    }
+    if (!isValidWeight(weight)) {
+      setToast({ message: 'Enter a valid first weight.', type: 'error' });
+      return false;
+    }
+    if (pendingTickets.some(t => t.vehicleNo === vehicleNo)) {
+      setToast({ message: `${vehicleNo} is already waiting for its second weight.`, type: 'error' });
+      return false;
+    }
+
+    if (!checkRstAvailable(receipt) || !checkMasters(receipt)) return false;
+
+    // Weights and times come with the second weighing; the details must pass now
+    const detailErrors = errorsOf(validation).filter(r => ['vehicleNo', 'customer', 'material'].includes(r.field));
+    if (detailErrors.length > 0) {
+      setToast({ message: detailErrors[0].message, type: 'error' });
+      return false;
+    }
+
+    const ticket = createOpenTicket(receipt, weight);
+    const newPending = [ticket, ...pendingTickets];
+    const newSeries = commitRst(seriesState, ticket);
+    persistPending(newPending);
+    persistSeries(newSeries);
+    setToast({ message: `First weight recorded for ${vehicleNo}.`, type: 'success' });
+    handleNew(newSeries, [...savedReceipts, ...newPending]);
+    return true;
+  };
+
+  const handleRecordSecondWeight = (ticket, weight) => {
+    if (!isValidWeight(weight)) {
+      setToast({ message: 'Enter a valid second weight.', type: 'error' });
+      return false;
+    }
+
+    // Stamped with whoever finalises the ticket, as they hand over the slip, and
+    // priced from the rate card now that the net weight is known
+    const completed = priceReceipt({ ...completeTicket(ticket, weight), operator: operatorName }, config.rateCard);
+    const results = validate(completed);
+    if (errorsOf(results).length > 0) {
+      setToast({ message: `Cannot finalise: ${errorsOf(results)[0].message}`, type: 'error' });
+      return false;
+    }
+    const finalised = stampForSync(lockReceipt(completed));
+    const drift = tareDrift(getStoredTare(savedReceipts, masters, ticket.vehicleNo), finalised.tareWeight, config.tareToleranceKg);
+    const newHistory = [finalised, ...savedReceipts];
+    setSavedReceipts(newHistory);
+    putReceipt(finalised).catch(reportStorageError);
+    queueForSync([finalised]);
+    persistPending(pendingTickets.filter(t => t.id !== ticket.id));
+
+    setReceipt(finalised);
+    const warnings = [
+      ...(drift && drift.exceeded ? [`its tare is ${formatDrift(drift)} off the stored value`] : []),
+      ...warningsOf(results).map(w => w.message),
+    ];
+    setToast(warnings.length > 0
+      ? { message: `Ticket finalised for ${ticket.vehicleNo}, but ${warnings.join(' ')}`, type: 'error' }
+      : { message: `Ticket finalised for ${ticket.vehicleNo}.`, type: 'success' });
+    return true;
+  };
+
+  // Cancelling gives up the ticket's RST, so it is a void like any other
+  const handleCancelPending = (ticket) => {
+    if (!allowed('void')) {
+      setToast({ message: 'Open tickets can only be cancelled by a supervisor.', type: 'error' });
+      return;
+    }
+
+    const action = () => {
+      persistPending(pendingTickets.filter(t => t.id !== ticket.id));
+      persistSeries(voidRst(seriesState, ticket, 'Open ticket cancelled', operatorName));
+      setToast({ message: 'Pending ticket removed.', type: 'success' });
       setShowConfirmModal(false);
     };
 
     setConfirmAction(() => action);
+    setConfirmMessage(`Remove the open ticket for ${ticket.vehicleNo}? Its first weight will be discarded.`);
     setShowConfirmModal(true);
   };
 
-  const handlePrint = () => {
+  const handlePrint = () => withSavedTicket('print', () => {
     // Attempt to fix timing issues by ensuring the DOM is settled before printing
     setTimeout(() => {
       window.print();
     }, 10);
+  });
+
+  // Merges validated spreadsheet rows; rows carrying an id replace that saved receipt
+  const handleImport = (rows) => {
+    const baseId = Date.now();
+    // Rows replacing a locked ticket are recorded as amendments of it
+    const amendIfChanged = (row) => {
+      const saved = savedReceipts.find(r => r.id === row.id);
+      if (!isLocked(saved)) return lockReceipt(row);
+      return diffReceipts(saved, row).length > 0 ? amendReceipt(saved, row, 'Spreadsheet import', operatorName) : saved;
+    };
+    const imported = rows.map((r, i) => stampForSync(amendIfChanged({ ...r, id: r.id ?? baseId + i })));
+    const replacedIds = new Set(imported.map(r => r.id));
+    const newHistory = [...imported, ...savedReceipts.filter(r => !replacedIds.has(r.id))];
+
+    setSavedReceipts(newHistory);
+    putReceipts(imported).catch(reportStorageError);
+    queueForSync(imported);
+    persistSeries(imported.reduce((state, r) => commitRst(state, r), seriesState));
+    setShowImportExport(false);
+    setToast({ message: `${imported.length} receipts imported.`, type: 'success' });
   };
 
-  const handleExportPdf = async () => {
+  // Applies a planned restore; history is written first so a storage failure changes nothing.
+  // Restored tickets are not queued for sync, so a restore never overwrites other PCs.
+  const handleRestore = async (next) => {
+    await replaceAllReceipts(next.receipts);
+    setSavedReceipts(next.receipts);
+
+    // A backup from another PC must not give this one that PC's sync identity
+    saveConfig({ ...mergeConfig(next.config), terminalId: config.terminalId });
+    persistPending(next.pendingTickets);
+    persistSeries(next.seriesState);
+    setMasters(next.masters);
+    saveMasters(next.masters);
+    handleOperatorsChange(next.operators);
+    setToast({ message: 'Backup restored.', type: 'success' });
+  };
 
+  // Swaps the print container over to the summary report for one print run
+  const handlePrintReport = (summary) => {
+    setReportToPrint(summary);
+    setTimeout(() => {
+      window.print();
+      setReportToPrint(null);
+    }, 10);
+  };
 
-    // 1. Show 3-up view for capture (applies 'pdf-capture-active' CSS class)
-    setIsExportingPdf(true);
+  const handleExportPdf = () => withSavedTicket('export', exportPdf);
 
-    // Use a promise-based delay to ensure React has rendered the 3-up view and styles are applied
-    await new Promise(resolve => setTimeout(resolve, 50));
+  const exportPdf = async (record) => {
+    setIsExportingPdf(true);
 
     try {
-      const filename = `Receipt_${receipt.rstNo || 'NoRST'}_${receipt.vehicleNo || 'NoVehicle'}.pdf`;
+      // FY-prefixed RSTs contain '/', which is not allowed in file names
+      const filename = `Receipt_${record.rstNo || 'NoRST'}_${record.vehicleNo || 'NoVehicle'}.pdf`.replace(/[/\\]/g, '-');
 
-      // 2. Capture the entire print container (the 3-up version)
-      if (printContainerRef.current) {
-        await generatePDF(printContainerRef, filename, setToast);
-      }
+      // Draws the layout's sheet as vector text and lines (no screenshot); jsPDF loads on first use
+      const { saveReceiptPdf } = await import('./lib/receiptPdf');
+      await saveReceiptPdf(record.operator ? record : { ...record, operator: operatorName }, configFor(record), filename, config.printLayout);
+      setToast({ message: 'Receipt downloaded as PDF!', type: 'success' });
     } catch (error) {
-      console.error("PDF Generation failed after transition:", error);
-      setToast({ message: `PDF export failed: ${error.message}`, type: 'error' });
+      console.error("PDF Generation Error:", error);
+      setToast({ message: `PDF export failed: ${error.message || 'Unknown error'}`, type: 'error' });
     } finally {
-      // 3. Hide 3-up view immediately
       setIsExportingPdf(false);
     }
   };
 
+  const handleNewSecret = () => {
+    setConfirmAction(() => () => updateConfig('verificationSecret', newSecret()));
+    setConfirmMessage('Generate a new verification secret? QR codes on receipts already printed will no longer verify.');
+    setShowConfirmModal(true);
+  };
+
+  const handleTestSync = async () => {
+    try {
+      const health = await checkServer(config);
+      setToast({ message: `Sync server is reachable (${health.seq} changes stored).`, type: 'success' });
+      setSyncRequest(n => n + 1);
+    } catch (error) {
+      setToast({ message: error.message, type: 'error' });
+    }
+  };
+
+  const handleUseStoredTare = () => {
+    setReceipt(prev => ({ ...prev, tareWeight: storedTare.weight }));
+  };
+
+  // Active print preset; batches either fill its slots or put one ticket per sheet
+  const layout = getLayout(config.printLayout);
+  const batchSlots = batchPerPage === 1 ? 1 : layout.perPage;
+  const printSlots = printBatch ? printBatch.perPage : layout.perPage;
+  const printSlotHeight = slotHeight({ ...layout, perPage: printSlots });
+
+  const gapReport = showGapReport ? buildGapReport(seriesState, [...savedReceipts, ...pendingTickets], activeConfig) : [];
+
   // Filter saved list
-  const filteredReceipts = savedReceipts.filter(r =>
-    r.vehicleNo.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    r.customer.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    (r.rstNo && r.rstNo.toString().includes(searchQuery))
-  );
+  const filteredReceipts = applyHistoryQuery(savedReceipts, historyQuery);
+  const historyOptions = {
+    materials: distinctValues(savedReceipts, 'material'),
+    customers: distinctValues(savedReceipts, 'customer'),
+    suppliers: distinctValues(savedReceipts, 'supplier'),
+  };
+  const { items: pagedReceipts, page: currentPage, pageCount } = paginate(filteredReceipts, historyPage);
+  // RSTs issued twice by terminals saving while apart (see lib/replication.js)
+  const duplicateIds = useMemo(() => duplicateRstIds(savedReceipts), [savedReceipts]);
+
+  const handleQueryChange = (query) => {
+    setHistoryQuery(query);
+    setHistoryPage(1);
+  };
+
+  const handleToggleSelect = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]);
+  };
+
+  // Selected tickets in the history's current sort order
+  const getSelectedReceipts = () =>
+    applyHistoryQuery(savedReceipts.filter(r => selectedIds.includes(r.id)), { ...DEFAULT_HISTORY_QUERY, sort: historyQuery.sort });
+
+  // Every rule result across a set of tickets, each message naming its RST
+  const validateAll = (receipts) => receipts.flatMap(r => validate(r).map(x => ({ ...x, message: `RST ${r.rstNo}: ${x.message}` })));
+  const validateSelected = () => validateAll(getSelectedReceipts());
+
+  const checkBatchAllowed = () => {
+    if (allowed('batch')) return true;
+    setToast({ message: 'Batch export and printing are for supervisors only.', type: 'error' });
+    return false;
+  };
+
+  const handleBatchExport = () => checkBatchAllowed() && withValidation('export', exportBatch, validateSelected());
+
+  const exportBatch = async () => {
+    const receipts = getSelectedReceipts();
+    setBatchProgress({ done: 0, total: receipts.length });
+
+    try {
+      const { saveReceiptsPdf } = await import('./lib/receiptPdf');
+      await saveReceiptsPdf(receipts, config, `Receipts_${receipts.length}_${Date.now()}.pdf`, {
+        layout: config.printLayout,
+        perPage: batchSlots,
+        configFor,
+        onProgress: (done, total) => setBatchProgress({ done, total }),
+      });
+      setToast({ message: `${receipts.length} receipts downloaded as one PDF!`, type: 'success' });
+    } catch (error) {
+      console.error("Batch PDF Error:", error);
+      setToast({ message: `Batch PDF export failed: ${error.message || 'Unknown error'}`, type: 'error' });
+    } finally {
+      setBatchProgress(null);
+    }
+  };
+
+  const handleBatchPrint = () => checkBatchAllowed() && withValidation('print', () => {
+    setPrintBatch({ receipts: getSelectedReceipts(), perPage: batchSlots });
+    setTimeout(() => {
+      window.print();
+      setPrintBatch(null);
+    }, 10);
+  }, validateSelected());
+
+  // Splits tickets into printed sheets of `perPage` slots
+  const toPages = (receipts, perPage) =>
+    Array.from({ length: Math.ceil(receipts.length / perPage) }, (_, i) => receipts.slice(i * perPage, (i + 1) * perPage));
 
   return (
     <div className="min-h-screen bg-gray-100 flex flex-col md:flex-row font-sans text-gray-800">
@@ -471,31 +1328,120 @@ export default function App() {
             <h1 className="text-xl font-bold flex items-center gap-2">
               <FileText size={20} /> Weight Receipt
             </h1>
-            <p className="text-xs text-indigo-200">Generate & Print Truck Receipts</p>
+            {config.profiles.length > 1 ? (
+              <select
+                title="Active company profile"
+                className="mt-1 bg-indigo-600 text-white text-xs rounded p-1 border border-indigo-400"
+                value={config.activeProfileId}
+                onChange={(e) => handleSwitchProfile(e.target.value)}
+              >
+                {config.profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+            ) : (
+              <p className="text-xs text-indigo-200">Generate & Print Truck Receipts</p>
+            )}
+          </div>
+          <div className="flex gap-1">
+            {allowed('reports') && (
+              <button onClick={() => setShowReports(true)} title="Summary Reports" className="p-2 hover:bg-indigo-600 rounded">
+                <BarChart3 size={18} />
+              </button>
+            )}
+            {allowed('settings') && (
+              <>
+                <button onClick={() => setShowMasters(true)} title="Master Data" className="p-2 hover:bg-indigo-600 rounded">
+                  <BookUser size={18} />
+                </button>
+                <button onClick={() => setShowRateCard(true)} title="Rate Card" className="p-2 hover:bg-indigo-600 rounded">
+                  <ReceiptIndianRupee size={18} />
+                </button>
+              </>
+            )}
+            <button onClick={() => setShowVerify(true)} title="Verify Receipt" className="p-2 hover:bg-indigo-600 rounded">
+              <ShieldCheck size={18} />
+            </button>
+            {allowed('void') && (
+              <button onClick={() => setShowRecycleBin(true)} title="Recycle Bin" className="p-2 hover:bg-indigo-600 rounded relative">
+                <Trash2 size={18} />
+                {voidedReceipts.length > 0 && (
+                  <span className="absolute -top-1 -right-1 bg-red-500 text-white text-[9px] font-bold rounded-full px-1">{voidedReceipts.length}</span>
+                )}
+              </button>
+            )}
+            {config.syncUrl && (
+              <button
+                onClick={() => setSyncRequest(n => n + 1)}
+                title={syncStatus.state === 'error'
+                  ? `Sync failed: ${syncStatus.message} Changes are kept until the server is back.`
+                  : `Synced${syncStatus.lastSyncAt ? ` at ${formatTime(syncStatus.lastSyncAt)}` : ''}. Click to sync now.`}
+                className={`p-2 hover:bg-indigo-600 rounded relative ${syncStatus.state === 'syncing' ? 'animate-pulse' : ''}`}
+              >
+                {syncStatus.state === 'error' ? <CloudOff size={18} className="text-red-300" /> : <Cloud size={18} />}
+                {syncQueued > 0 && (
+                  <span className="absolute -top-1 -right-1 bg-amber-500 text-white text-[9px] font-bold rounded-full px-1">{syncQueued}</span>
+                )}
+              </button>
+            )}
+            {allowed('backup') && (
+              <button onClick={() => setShowBackup(true)} title="Backup & Restore" className="p-2 hover:bg-indigo-600 rounded">
+                <DatabaseBackup size={18} />
+              </button>
+            )}
+            <button
+              onClick={() => updateConfig('keyboardMode', !config.keyboardMode)}
+              title={config.keyboardMode ? 'Keyboard mode on (F1 for shortcuts). Click to turn off.' : 'Turn on keyboard mode'}
+              className={`p-2 rounded ${config.keyboardMode ? 'bg-indigo-500' : 'hover:bg-indigo-600'}`}
+            >
+              <Keyboard size={18} />
+            </button>
+            {allowed('operators') && (
+              <button onClick={() => setShowOperators(true)} title="Operators" className="p-2 hover:bg-indigo-600 rounded">
+                <Users size={18} />
+              </button>
+            )}
+            {allowed('settings') && (
+              <button onClick={() => setShowConfig(!showConfig)} className="p-2 hover:bg-indigo-600 rounded">
+                <Settings size={18} />
+              </button>
+            )}
+            {currentOperator && (
+              <button onClick={handleLogout} title={`Signed in as ${currentOperator.name} (${currentOperator.role}). Sign out.`} className="p-2 hover:bg-indigo-600 rounded flex items-center gap-1 text-xs">
+                <LogOut size={18} /> {currentOperator.name}
+              </button>
+            )}
           </div>
-          <button onClick={() => setShowConfig(!showConfig)} className="p-2 hover:bg-indigo-600 rounded">
-            <Settings size={18} />
-          </button>
         </div>
 
         {/* Scrollable Content */}
         <div className="flex-1 overflow-y-auto custom-scrollbar">
 
           {/* Config Panel */}
-          {showConfig && (
+          {showConfig && allowed('settings') && (
             <div className="bg-gray-50 p-4 border-b border-gray-200 animate-fadeIn">
               <h3 className="font-bold text-sm text-gray-600 mb-2 uppercase">Template Settings</h3>
               <div className="space-y-2 text-sm">
+                <div>
+                  <label className="block text-gray-500 text-xs">Company Profile (letterhead, template and RST series below)</label>
+                  <div className="flex gap-1">
+                    <input
+                      className="flex-1 min-w-0 border rounded p-1"
+                      value={activeConfig.profileName}
+                      onChange={(e) => handleRenameProfile(e.target.value)}
+                    />
+                    <button onClick={handleAddProfile} title="Add profile" className="px-2 border rounded text-indigo-600 hover:bg-indigo-50">
+                      <PlusCircle size={16} />
+                    </button>
+                    <button onClick={handleDeleteProfile} title="Delete profile" className="px-2 border rounded text-red-500 hover:bg-red-50">
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
                 <div>
                   <label className="block text-gray-500 text-xs">Company Name</label>
                   <input
                     className="w-full border rounded p-1"
-                    value={config.companyName}
-                    onChange={(e) => {
-                      const newConfig = { ...config, companyName: e.target.value };
-                      setConfig(newConfig);
-                      localStorage.setItem('weight_config', JSON.stringify(newConfig));
-                    }}
+                    value={activeConfig.companyName}
+                    onChange={(e) => updateConfig('companyName', e.target.value)}
                   />
                 </div>
                 <div>
@@ -503,12 +1449,8 @@ export default function App() {
                   <textarea
                     rows="2"
                     className="w-full border rounded p-1 resize-none"
-                    value={config.address}
-                    onChange={(e) => {
-                      const newConfig = { ...config, address: e.target.value };
-                      setConfig(newConfig);
-                      localStorage.setItem('weight_config', JSON.stringify(newConfig));
-                    }}
+                    value={activeConfig.address}
+                    onChange={(e) => updateConfig('address', e.target.value)}
                   />
                 </div>
                 <div>
@@ -516,44 +1458,244 @@ export default function App() {
                   <textarea
                     rows="2"
                     className="w-full border rounded p-1 resize-none"
-                    value={config.footer}
-                    onChange={(e) => {
-                      const newConfig = { ...config, footer: e.target.value };
-                      setConfig(newConfig);
-                      localStorage.setItem('weight_config', JSON.stringify(newConfig));
-                    }}
+                    value={activeConfig.footer}
+                    onChange={(e) => updateConfig('footer', e.target.value)}
                   />
                 </div>
                 <div className="flex items-center">
                   <input
                     type="checkbox"
                     id="showCharges"
-                    checked={config.showCharges}
-                    onChange={(e) => {
-                      const newConfig = { ...config, showCharges: e.target.checked };
-                      setConfig(newConfig);
-                      localStorage.setItem('weight_config', JSON.stringify(newConfig));
-                    }}
+                    checked={activeConfig.showCharges}
+                    onChange={(e) => updateConfig('showCharges', e.target.checked)}
                     className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
                   />
                   <label htmlFor="showCharges" className="ml-2 block text-sm text-gray-700">Show Charges Line</label>
                 </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">Weight in Words</label>
+                  <select
+                    className="w-full border rounded p-1"
+                    value={activeConfig.wordsStyle}
+                    onChange={(e) => updateConfig('wordsStyle', e.target.value)}
+                  >
+                    {WORDS_STYLES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">Print Layout</label>
+                  <select
+                    className="w-full border rounded p-1"
+                    value={config.printLayout}
+                    onChange={(e) => updateConfig('printLayout', e.target.value)}
+                  >
+                    {listLayouts().map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <button
+                    onClick={() => setShowDesigner(!showDesigner)}
+                    className="text-xs text-indigo-600 hover:text-indigo-800 font-semibold"
+                  >
+                    {showDesigner ? 'Hide Receipt Designer' : 'Design Receipt Fields & Labels…'}
+                  </button>
+                  {showDesigner && (
+                    <div className="mt-1">
+                      <TemplateDesigner template={activeConfig.template} onChange={(template) => updateConfig('template', template)} toast={setToast} />
+                    </div>
+                  )}
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  <div className="col-span-2">
+                    <label className="block text-gray-500 text-xs">RST Serial Rule</label>
+                    <select
+                      className="w-full border rounded p-1"
+                      value={activeConfig.rstResetRule}
+                      onChange={(e) => updateConfig('rstResetRule', e.target.value)}
+                    >
+                      {RST_RESET_RULES.map(rule => <option key={rule.value} value={rule.value}>{rule.label}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-gray-500 text-xs">Start No</label>
+                    <input
+                      type="number" min="1"
+                      className="w-full border rounded p-1"
+                      value={activeConfig.rstStart}
+                      onChange={(e) => updateConfig('rstStart', parseInt(e.target.value, 10) || 1)}
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  <div className="col-span-2">
+                    <label className="block text-gray-500 text-xs">Scale Protocol</label>
+                    <select
+                      className="w-full border rounded p-1"
+                      value={config.scaleProtocol}
+                      onChange={(e) => updateConfig('scaleProtocol', e.target.value)}
+                    >
+                      {listScaleParsers().map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-gray-500 text-xs">Baud Rate</label>
+                    <select
+                      className="w-full border rounded p-1"
+                      value={config.scaleBaudRate}
+                      onChange={(e) => updateConfig('scaleBaudRate', parseInt(e.target.value, 10))}
+                    >
+                      {[1200, 2400, 4800, 9600, 19200].map(b => <option key={b} value={b}>{b}</option>)}
+                    </select>
+                  </div>
+                </div>
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="scaleSimulate"
+                    checked={config.scaleSimulate}
+                    onChange={(e) => updateConfig('scaleSimulate', e.target.checked)}
+                    className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                  />
+                  <label htmlFor="scaleSimulate" className="ml-2 block text-sm text-gray-700">Use Simulated Scale (no hardware)</label>
+                </div>
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="allowManualWeights"
+                    checked={config.allowManualWeights}
+                    onChange={(e) => updateConfig('allowManualWeights', e.target.checked)}
+                    className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                  />
+                  <label htmlFor="allowManualWeights" className="ml-2 block text-sm text-gray-700">Allow Typing Gross/Tare by Hand</label>
+                </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">Tare Drift Warning Above (kg)</label>
+                  <input
+                    type="number" min="0"
+                    className="w-full border rounded p-1"
+                    value={config.tareToleranceKg}
+                    onChange={(e) => updateConfig('tareToleranceKg', parseInt(e.target.value, 10) || 0)}
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">Scale Capacity (kg)</label>
+                  <input
+                    type="number" min="0"
+                    className="w-full border rounded p-1"
+                    value={config.scaleCapacityKg}
+                    onChange={(e) => updateConfig('scaleCapacityKg', parseInt(e.target.value, 10) || 0)}
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">Checks Before Save, Print and Export</label>
+                  <div className="space-y-1 mt-1">
+                    {VALIDATION_RULES.map(rule => (
+                      <div key={rule.id} className="flex items-center gap-2">
+                        <span className="flex-1 text-xs text-gray-700">{rule.label}</span>
+                        <select
+                          className="border rounded p-0.5 text-xs"
+                          value={config.validationRules[rule.id]}
+                          onChange={(e) => updateConfig('validationRules', { ...config.validationRules, [rule.id]: e.target.value })}
+                        >
+                          {RULE_LEVELS.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">QR Verification Secret</label>
+                  <div className="flex gap-1">
+                    <input
+                      type="text"
+                      className="w-full border rounded p-1 font-mono text-xs"
+                      value={config.verificationSecret}
+                      onChange={(e) => updateConfig('verificationSecret', e.target.value.trim())}
+                    />
+                    <button onClick={handleNewSecret} className="px-2 border rounded text-xs text-gray-600 hover:bg-gray-100">New</button>
+                  </div>
+                  <p className="text-[10px] text-gray-400 mt-0.5">Use the same secret on every PC of this site. Changing it makes earlier QR codes fail verification.</p>
+                </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">Sync Server (blank for this PC only)</label>
+                  <div className="flex gap-1">
+                    <input
+                      type="url"
+                      className="w-full border rounded p-1 text-xs"
+                      placeholder="http://192.168.1.10:8787"
+                      value={config.syncUrl}
+                      onChange={(e) => updateConfig('syncUrl', e.target.value.trim())}
+                    />
+                    <button onClick={handleTestSync} disabled={!config.syncUrl} className="px-2 border rounded text-xs text-gray-600 hover:bg-gray-100 disabled:opacity-40">Test</button>
+                  </div>
+                  <input
+                    type="password"
+                    className="w-full border rounded p-1 text-xs mt-1"
+                    placeholder="Sync token (if the server requires one)"
+                    value={config.syncToken}
+                    onChange={(e) => updateConfig('syncToken', e.target.value.trim())}
+                  />
+                  <p className="text-[10px] text-gray-400 mt-0.5">
+                    Run <span className="font-mono">npm run sync-server</span> on one PC of the LAN. This PC is {config.terminalId}.
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-gray-500 text-xs">Keep Voided Tickets For (days)</label>
+                  <input
+                    type="number" min="0"
+                    className="w-full border rounded p-1"
+                    value={config.voidRetentionDays}
+                    onChange={(e) => updateConfig('voidRetentionDays', parseInt(e.target.value, 10) || 0)}
+                  />
+                </div>
               </div>
             </div>
           )}
 
           {/* Form */}
-          <div className="p-4 space-y-4">
+          <div ref={editorRef} onKeyDown={handleEditorKeyDown} className="p-4 space-y-4">
 
             <div className="flex justify-between items-center mb-2">
               <h2 className="font-bold text-gray-700">Ticket Details</h2>
               <div className="flex gap-2">
-                <button onClick={handleNew} className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded flex items-center gap-1">
+                <button onClick={() => handleNew()} className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded flex items-center gap-1">
                   <PlusCircle size={14} /> New
                 </button>
               </div>
             </div>
 
+            {isVoided(savedVersion) && (
+              <div className="flex items-center gap-2 p-2 rounded border border-red-300 bg-red-50 text-xs text-red-800">
+                <Ban size={14} className="shrink-0" />
+                <span className="flex-1">
+                  VOID since {formatDate(savedVersion.voided.at)}: "{savedVersion.voided.reason}". Not counted in any totals.
+                </span>
+                {allowed('void') && (
+                  <button onClick={() => handleRestoreVoided(savedVersion)} className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800">
+                    <RotateCcw size={12} /> Restore
+                  </button>
+                )}
+              </div>
+            )}
+
+            {editorLocked && !isVoided(savedVersion) && (
+              <div className="flex items-center gap-2 p-2 rounded border border-amber-300 bg-amber-50 text-xs text-amber-800">
+                <Lock size={14} className="shrink-0" />
+                <span className="flex-1">
+                  Saved ticket, locked. Changes are saved as an amendment with a reason.
+                  {isAmended(savedVersion) && ` Amended ${savedVersion.amendments.length}x.`}
+                </span>
+                {isAmended(savedVersion) && (
+                  <button onClick={() => setShowAuditTrail(true)} className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800">
+                    <History size={12} /> History
+                  </button>
+                )}
+                {diffReceipts(savedVersion, receipt).length > 0 && (
+                  <button onClick={handleDiscardChanges} className="text-gray-600 hover:text-gray-800 underline">Discard</button>
+                )}
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-3">
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase">Ref / RST No</label>
@@ -565,9 +1707,10 @@ export default function App() {
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase">Vehicle No</label>
                 <input
-                  type="text" name="vehicleNo" value={receipt.vehicleNo} onChange={handleInputChange}
-                  className="w-full border border-gray-300 rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none" placeholder="MH-12-AB-1234"
+                  type="text" name="vehicleNo" value={receipt.vehicleNo} onChange={handleInputChange} onBlur={handleMasterBlur} list="master-vehicleNo"
+                  className={`w-full border rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none ${isOffMaster('vehicleNo') ? 'border-red-400 bg-red-50' : 'border-gray-300'}`} placeholder="MH-12-AB-1234"
                 />
+                <FieldIssues results={validation} field="vehicleNo" />
               </div>
             </div>
 
@@ -575,41 +1718,69 @@ export default function App() {
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase">Customer</label>
                 <input
-                  type="text" name="customer" value={receipt.customer} onChange={handleInputChange}
-                  className="w-full border border-gray-300 rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none"
+                  type="text" name="customer" value={receipt.customer} onChange={handleInputChange} onBlur={handleMasterBlur} list="master-customer"
+                  className={`w-full border rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none ${isOffMaster('customer') ? 'border-red-400 bg-red-50' : 'border-gray-300'}`}
                 />
+                <FieldIssues results={validation} field="customer" />
               </div>
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase">Supplier</label>
                 <input
-                  type="text" name="supplier" value={receipt.supplier} onChange={handleInputChange}
-                  className="w-full border border-gray-300 rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none"
+                  type="text" name="supplier" value={receipt.supplier} onChange={handleInputChange} onBlur={handleMasterBlur} list="master-supplier"
+                  className={`w-full border rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none ${isOffMaster('supplier') ? 'border-red-400 bg-red-50' : 'border-gray-300'}`}
                 />
               </div>
             </div>
 
-            <div>
-              <label className="block text-xs font-semibold text-gray-500 uppercase">Material</label>
-              <input
-                type="text" name="material" value={receipt.material} onChange={handleInputChange}
-                className="w-full border border-gray-300 rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none"
-              />
+            <div className={config.rateCard.vehicleClasses.length > 0 ? 'grid grid-cols-2 gap-3' : ''}>
+              <div>
+                <label className="block text-xs font-semibold text-gray-500 uppercase">Material</label>
+                <input
+                  type="text" name="material" value={receipt.material} onChange={handleInputChange} onBlur={handleMasterBlur} list="master-material"
+                  className={`w-full border rounded p-2 focus:ring-2 focus:ring-indigo-500 outline-none ${isOffMaster('material') ? 'border-red-400 bg-red-50' : 'border-gray-300'}`}
+                />
+                <FieldIssues results={validation} field="material" />
+              </div>
+              {config.rateCard.vehicleClasses.length > 0 && (
+                <div>
+                  <label className="block text-xs font-semibold text-gray-500 uppercase">Vehicle Class</label>
+                  <select name="vehicleClass" value={receipt.vehicleClass} onChange={handleInputChange} className="w-full border border-gray-300 rounded p-2">
+                    <option value="">Default ({config.rateCard.vehicleClasses.find(v => v.id === config.rateCard.defaultClassId)?.name || 'none'})</option>
+                    {config.rateCard.vehicleClasses.map(v => <option key={v.id} value={v.id}>{v.name} (Rs. {v.fee})</option>)}
+                  </select>
+                </div>
+              )}
             </div>
 
+            {/* Autocomplete suggestions from the master lists */}
+            {MASTER_TYPES.map(t => (
+              <datalist key={t.key} id={`master-${t.field}`}>
+                {masters[t.key].map(e => <option key={e.id} value={e.name} />)}
+              </datalist>
+            ))}
+
             <div className="bg-indigo-50 p-3 rounded-lg border border-indigo-100 space-y-3">
+              <ScaleCapture
+                ref={scaleRef}
+                config={config}
+                onCapture={handleCapture}
+                onError={(message) => setToast({ message, type: 'error' })}
+              />
               <div className="grid grid-cols-3 gap-2">
                 <div>
                   <label className="block text-xs font-bold text-gray-600">Gross (kg)</label>
                   <input
                     type="number" name="grossWeight" value={receipt.grossWeight} onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded p-2 font-mono text-right"
+                    readOnly={!config.allowManualWeights}
+                    className="w-full border border-gray-300 rounded p-2 font-mono text-right read-only:bg-gray-100"
                   />
                 </div>
                 <div>
                   <label className="block text-xs font-bold text-gray-600">Tare (kg)</label>
                   <input
                     type="number" name="tareWeight" value={receipt.tareWeight} onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded p-2 font-mono text-right"
+                    readOnly={!config.allowManualWeights}
+                    className="w-full border border-gray-300 rounded p-2 font-mono text-right read-only:bg-gray-100"
                   />
                 </div>
                 <div>
@@ -620,8 +1791,20 @@ export default function App() {
                   />
                 </div>
               </div>
-              {receipt.netWeight < 0 && (
-                <p className="text-xs text-red-500 font-bold text-center">Warning: Net weight is negative</p>
+              {['grossWeight', 'tareWeight', 'netWeight'].map(field => <FieldIssues key={field} results={validation} field={field} />)}
+              {storedTare && storedTare.weight !== receipt.tareWeight && (
+                <div className="flex items-center justify-between gap-2 text-xs text-gray-600 bg-white border border-indigo-100 rounded p-2">
+                  <span>
+                    Stored tare <span className="font-mono font-bold">{storedTare.weight} kg</span>{' '}
+                    {storedTare.source === 'manual' ? '(master entry)' : `(median of last ${storedTare.samples}, latest ${formatDate(storedTare.lastAt)})`}
+                  </span>
+                  <button onClick={handleUseStoredTare} className="shrink-0 text-indigo-600 hover:text-indigo-800 font-semibold">Use stored tare</button>
+                </div>
+              )}
+              {tareCheck && tareCheck.exceeded && (
+                <p className="text-xs text-amber-600 font-bold text-center">
+                  Tare is {formatDrift(tareCheck)} off the stored {storedTare.weight} kg (tolerance {config.tareToleranceKg} kg)
+                </p>
               )}
             </div>
 
@@ -632,6 +1815,7 @@ export default function App() {
                   type="datetime-local" name="dateTimeIn" value={receipt.dateTimeIn} onChange={handleInputChange}
                   className="w-full border border-gray-300 rounded p-2 text-sm"
                 />
+                <FieldIssues results={validation} field="dateTimeIn" />
               </div>
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase">Date/Time (Gross - Out)</label>
@@ -639,16 +1823,39 @@ export default function App() {
                   type="datetime-local" name="dateTimeOut" value={receipt.dateTimeOut} onChange={handleInputChange}
                   className="w-full border border-gray-300 rounded p-2 text-sm"
                 />
+                <FieldIssues results={validation} field="dateTimeOut" />
               </div>
             </div>
 
             <div className="grid grid-cols-2 gap-3">
               <div>
-                <label className="block text-xs font-semibold text-gray-500 uppercase">Charges (Rs)</label>
+                <label className="flex justify-between text-xs font-semibold text-gray-500 uppercase">
+                  Charges (Rs)
+                  {receipt.chargeBreakdown && (
+                    <span className="flex items-center gap-1 normal-case font-normal">
+                      <input
+                        type="checkbox" checked={receipt.manualCharges} onChange={(e) => handleToggleChargeOverride(e.target.checked)}
+                        className="h-3 w-3 text-indigo-600 border-gray-300 rounded"
+                      />
+                      Override
+                    </span>
+                  )}
+                </label>
                 <input
                   type="number" name="charges" value={receipt.charges} onChange={handleInputChange}
-                  className="w-full border border-gray-300 rounded p-2"
+                  readOnly={!!receipt.chargeBreakdown && !receipt.manualCharges}
+                  className={`w-full border border-gray-300 rounded p-2 ${receipt.chargeBreakdown && !receipt.manualCharges ? 'bg-gray-100' : ''}`}
                 />
+                {receipt.chargeBreakdown && !receipt.manualCharges && (
+                  <p className="text-[10px] text-gray-500 mt-0.5">{describeCharges(receipt) || `Weighing fee${receipt.chargeBreakdown.className ? ` (${receipt.chargeBreakdown.className})` : ''}`}</p>
+                )}
+                {isChargeOverridden(receipt) && (
+                  <input
+                    type="text" name="chargesReason" value={receipt.chargesReason} onChange={handleInputChange}
+                    placeholder={`Reason (calculated Rs. ${receipt.chargeBreakdown.total})`}
+                    className={`w-full border rounded p-1 mt-1 text-xs ${receipt.chargesReason.trim() ? 'border-gray-300' : 'border-red-400 bg-red-50'}`}
+                  />
+                )}
               </div>
               <div>
                 <label className="block text-xs font-semibold text-gray-500 uppercase">Remarks (Not on receipt)</label>
@@ -660,104 +1867,329 @@ export default function App() {
             </div>
 
             {/* Actions */}
-            <div className="pt-2 grid grid-cols-3 gap-2">
-              <button onClick={handleSave} className="bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded shadow flex justify-center items-center gap-2 text-sm">
-                <Save size={18} /> Save
+            <div className="pt-2 grid grid-cols-2 gap-2">
+              <button onClick={() => handleSave()} className="bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded shadow flex justify-center items-center gap-2 text-sm">
+                {editorLocked ? <><FilePenLine size={18} /> Amend</> : <><Save size={18} /> Save</>}
+              </button>
+
+              <button
+                onClick={handleSaveAndPrint} title="Save, print and start the next ticket"
+                className="bg-indigo-800 hover:bg-indigo-900 text-white py-2 rounded shadow flex justify-center items-center gap-2 text-sm"
+              >
+                <Printer size={18} /> {editorLocked ? 'Amend' : 'Save'} & Print
               </button>
 
               {/* EXPORT PDF BUTTON */}
               <button
-                onClick={handleExportPdf}
-                className={`text-white py-2 rounded shadow flex justify-center items-center gap-2 text-sm bg-emerald-600 hover:bg-emerald-700`}
+                onClick={handleExportPdf} title="Saves any changes first"
+                disabled={isExportingPdf}
+                className={`text-white py-2 rounded shadow flex justify-center items-center gap-2 text-sm bg-emerald-600 hover:bg-emerald-700 disabled:opacity-60`}
               >
                 <Download size={18} />
-                Export PDF
+                {isExportingPdf ? 'Exporting...' : 'Export PDF'}
               </button>
 
-              <button onClick={handlePrint} className="bg-gray-800 hover:bg-gray-900 text-white py-2 rounded shadow flex justify-center items-center gap-2 text-sm">
-                <Printer size={18} /> Print 3-up
+              <button onClick={handlePrint} title="Saves any changes first" className="bg-gray-800 hover:bg-gray-900 text-white py-2 rounded shadow flex justify-center items-center gap-2 text-sm">
+                <Printer size={18} /> Print {layout.label}
               </button>
             </div>
 
           </div>
 
+          {/* Open tickets awaiting second weight */}
+          <PendingVehicles
+            tickets={pendingTickets}
+            vehicleNo={receipt.vehicleNo}
+            manualWeights={config.allowManualWeights}
+            onReadScale={readScale}
+            onRecordFirst={handleRecordFirstWeight}
+            onRecordSecond={handleRecordSecondWeight}
+            onCancel={allowed('void') ? handleCancelPending : null}
+          />
+
           {/* Saved List */}
           <div className="border-t border-gray-200 mt-4">
             <div className="p-3 bg-gray-50 border-b border-gray-200 flex justify-between items-center sticky top-0">
-              <h3 className="font-bold text-sm text-gray-600">Saved History</h3>
-              <div className="relative">
-                <Search size={14} className="absolute left-2 top-2 text-gray-400" />
-                <input
-                  className="pl-7 pr-2 py-1 text-xs border rounded w-32 focus:w-48 transition-all"
-                  placeholder="Search..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                />
+              <h3 className="font-bold text-sm text-gray-600 flex items-center gap-2">
+                Saved History
+                {allowed('reports') && (
+                  <button onClick={() => setShowGapReport(true)} title="RST Gap Report" className="p-1 text-gray-400 hover:text-indigo-600 rounded">
+                    <ClipboardList size={14} />
+                  </button>
+                )}
+                {allowed('backup') && (
+                  <button onClick={() => setShowImportExport(true)} title="Import / Export" className="p-1 text-gray-400 hover:text-indigo-600 rounded">
+                    <FileSpreadsheet size={14} />
+                  </button>
+                )}
+              </h3>
+              <div className="flex items-center gap-1">
+                <div className="relative">
+                  <Search size={14} className="absolute left-2 top-2 text-gray-400" />
+                  <input
+                    className="pl-7 pr-2 py-1 text-xs border rounded w-32 focus:w-48 transition-all"
+                    placeholder="Search..."
+                    value={historyQuery.text}
+                    onChange={(e) => handleQueryChange({ ...historyQuery, text: e.target.value })}
+                  />
+                </div>
+                {allowed('batch') && (
+                  <button
+                    onClick={() => { setSelectMode(!selectMode); setSelectedIds([]); }}
+                    title="Select for batch PDF / print"
+                    className={`p-1 rounded ${selectMode ? 'text-indigo-600' : 'text-gray-400 hover:text-indigo-600'}`}
+                  >
+                    <CheckSquare size={14} />
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowFilters(!showFilters)}
+                  title="Filters"
+                  className={`p-1 rounded ${isQueryActive(historyQuery) ? 'text-indigo-600' : 'text-gray-400 hover:text-indigo-600'}`}
+                >
+                  <Filter size={14} />
+                </button>
               </div>
             </div>
+            {showFilters && (
+              <HistoryFilters query={historyQuery} options={historyOptions} onChange={handleQueryChange} />
+            )}
+            {selectMode && allowed('batch') && (
+              <BatchActions
+                selectedCount={selectedIds.length}
+                filteredCount={filteredReceipts.length}
+                perPage={batchSlots}
+                sheetPerPage={layout.perPage}
+                sheetLabel={layout.label}
+                onPerPageChange={setBatchPerPage}
+                onSelectAll={() => setSelectedIds(filteredReceipts.map(r => r.id))}
+                onClear={() => setSelectedIds([])}
+                onExport={handleBatchExport}
+                onPrint={handleBatchPrint}
+                progress={batchProgress}
+              />
+            )}
             <ul className="divide-y divide-gray-100">
-              {filteredReceipts.map(r => (
+              {pagedReceipts.map(r => (
                 <li key={r.id} onClick={() => handleLoad(r)} className="p-3 hover:bg-indigo-50 cursor-pointer transition-colors group">
                   <div className="flex justify-between items-start">
-                    <div>
-                      <div className="font-bold text-sm text-gray-800">#{r.rstNo || '---'} - {r.vehicleNo || 'No Vehicle'}</div>
-                      <div className="text-xs text-gray-500">{formatDate(r.dateTimeOut)} • {r.customer}</div>
+                    {selectMode && (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(r.id)}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => handleToggleSelect(r.id)}
+                        className="mt-1 mr-2 h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                      />
+                    )}
+                    <div className="flex-1">
+                      <div className="font-bold text-sm text-gray-800">
+                        #{r.rstNo || '---'} - {r.vehicleNo || 'No Vehicle'}
+                        {config.profiles.length > 1 && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700 text-[10px] font-semibold align-middle">{configFor(r).profileName}</span>
+                        )}
+                        {isVoided(r) && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded bg-red-100 text-red-700 text-[10px] font-semibold align-middle" title={r.voided.reason}>VOID</span>
+                        )}
+                        {isAmended(r) && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded bg-amber-100 text-amber-700 text-[10px] font-semibold align-middle">AMENDED</span>
+                        )}
+                        {duplicateIds.has(r.id) && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded bg-red-100 text-red-700 text-[10px] font-semibold align-middle" title="Another ticket in this series has the same RST. Amend one of them.">DUPLICATE RST</span>
+                        )}
+                      </div>
+                      <div className="text-xs text-gray-500">{formatDate(r.dateTimeOut)} • {r.customer}{r.material && ` • ${r.material}`}</div>
                     </div>
                     <div className="text-right">
-                      <div className="font-mono text-sm font-bold">{r.netWeight} kg</div>
-                      <button
-                        onClick={(e) => handleDelete(r.id, e)}
-                        className="text-red-400 hover:text-red-600 p-1 opacity-0 group-hover:opacity-100 transition-opacity"
-                      >
-                        <Trash2 size={14} />
-                      </button>
+                      <div className={`font-mono text-sm font-bold ${isVoided(r) ? 'line-through text-gray-400' : ''}`}>{r.netWeight} kg</div>
+                      {!isVoided(r) && allowed('void') && (
+                        <button
+                          onClick={(e) => handleVoid(r, e)} title="Void ticket"
+                          className="text-red-400 hover:text-red-600 p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+                        >
+                          <Ban size={14} />
+                        </button>
+                      )}
                     </div>
                   </div>
                 </li>
               ))}
-              {filteredReceipts.length === 0 && (
+              {isLoadingHistory && (
+                <li className="p-4 text-center text-xs text-gray-400 italic">Loading history...</li>
+              )}
+              {!isLoadingHistory && filteredReceipts.length === 0 && (
                 <li className="p-4 text-center text-xs text-gray-400 italic">No receipts found</li>
               )}
             </ul>
+            {filteredReceipts.length > 0 && (
+              <div className="p-2 border-t border-gray-100 flex justify-between items-center text-xs text-gray-500">
+                <span>{filteredReceipts.length} of {savedReceipts.length} receipts</span>
+                <div className="flex items-center gap-1">
+                  <button onClick={() => setHistoryPage(currentPage - 1)} disabled={currentPage <= 1} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30">
+                    <ChevronLeft size={14} />
+                  </button>
+                  <span>Page {currentPage} / {pageCount}</span>
+                  <button onClick={() => setHistoryPage(currentPage + 1)} disabled={currentPage >= pageCount} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30">
+                    <ChevronRight size={14} />
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
 
       {/* RIGHT PANEL: PREVIEW */}
       <div className="w-full md:w-7/12 lg:w-8/12 bg-gray-600 p-4 md:p-8 overflow-y-auto flex flex-col items-center justify-start no-print">
-        <h2 className="text-white mb-4 text-sm font-semibold opacity-75 uppercase tracking-wider">Live A4 Print Preview (1/3rd Scale)</h2>
-
-        {/* Preview Wrapper - Scaled Down for Viewport */}
-        <div className="bg-white shadow-2xl transition-all origin-top transform scale-75 md:scale-90 lg:scale-100">
-          <ReceiptTemplate ref={receiptRef} data={receipt} config={config} />
+        <h2 className="text-white mb-4 text-sm font-semibold opacity-75 uppercase tracking-wider">Live Print Preview: {layout.label}</h2>
+
+        {/* Preview Wrapper - one whole sheet of the active layout, scaled down for the viewport */}
+        <div
+          className="bg-white shadow-2xl transition-all origin-top transform scale-75 md:scale-90 lg:scale-100 flex flex-col items-center box-border"
+          style={{
+            width: `${layout.page.width}mm`,
+            minHeight: layout.continuous ? undefined : `${layout.page.height}mm`,
+            padding: `${layout.margin}mm`,
+            gap: `${layout.gap}mm`,
+          }}
+        >
+          {Array.from({ length: layout.perPage }, (_, i) => (
+            <div key={i} style={{ height: layout.continuous ? undefined : `${slotHeight(layout)}mm` }}>
+              {renderReceipt(layout, printedReceipt, receiptConfig, i === 0 ? receiptRef : undefined)}
+            </div>
+          ))}
         </div>
 
         <p className="mt-4 text-gray-300 text-xs max-w-md text-center">
-          Note: This preview shows a single receipt. Clicking "Print 3-up" or "Export PDF" will automatically stack 3 copies of this receipt vertically on a single A4 page.
+          Note: "Print" and "Export PDF" produce exactly this sheet{layout.perPage > 1 ? `, with ${layout.perPage} copies of the receipt` : ''}. Change the layout under Template Settings.
         </p>
       </div>
 
       {/* PRINT-ONLY CONTAINER (Hidden normally) */}
       <div
-        className={`print-only ${isExportingPdf ? 'pdf-capture-active' : 'hidden'}`}
-        ref={printContainerRef}
+        className="print-only hidden"
       >
-        {/* REMOVED SEPARATORS: Vertical spacing is now handled by CSS 'gap' on a4-page-container */}
-        <div className="a4-page-container">
-          <div className="receipt-wrapper"><ReceiptTemplate data={receipt} config={config} /></div>
-          <div className="receipt-wrapper"><ReceiptTemplate data={receipt} config={config} /></div>
-          <div className="receipt-wrapper"><ReceiptTemplate data={receipt} config={config} /></div>
-        </div>
+        {reportToPrint ? (
+          <SummaryReport summary={reportToPrint} config={activeConfig} />
+        ) : printBatch ? (
+          toPages(printBatch.receipts, printBatch.perPage).map((page, i) => (
+            <div className="a4-page-container" key={i}>
+              {page.map(r => <div className="receipt-wrapper" key={r.id}>{renderReceipt(layout, r, configFor(r))}</div>)}
+            </div>
+          ))
+        ) : (
+          /* Vertical spacing is handled by CSS 'gap' on a4-page-container */
+          <div className="a4-page-container">
+            {Array.from({ length: layout.perPage }, (_, i) => (
+              <div className="receipt-wrapper" key={i}>{renderReceipt(layout, printedReceipt, receiptConfig)}</div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* CUSTOM MODALS AND TOASTS */}
       {showConfirmModal && confirmAction && (
         <ConfirmModal
-          message="Are you sure you want to delete this receipt? This action cannot be undone."
+          message={confirmMessage}
           onConfirm={() => { confirmAction(); setShowConfirmModal(false); }}
           onCancel={() => setShowConfirmModal(false)}
         />
       )}
+      {showReports && (
+        <ReportsPanel
+          receipts={savedReceipts.filter(inActiveProfile)}
+          config={activeConfig}
+          onPrint={handlePrintReport}
+          onClose={() => setShowReports(false)}
+          toast={setToast}
+        />
+      )}
+      {showImportExport && (
+        <ImportExportPanel
+          receipts={filteredReceipts}
+          allReceipts={savedReceipts.filter(inActiveProfile)}
+          profileId={activeConfig.profileId}
+          columns={config.exportColumns}
+          onColumnsChange={(columns) => updateConfig('exportColumns', columns)}
+          onExport={(receipts, run) => withValidation('export', run, validateAll(receipts))}
+          onImport={handleImport}
+          onClose={() => setShowImportExport(false)}
+          toast={setToast}
+        />
+      )}
+      {showVerify && (
+        <VerifyReceiptPanel
+          secret={config.verificationSecret}
+          receipts={savedReceipts}
+          companyOf={(r) => configFor(r).companyName}
+          onOpen={(r) => { handleLoad(r); setShowVerify(false); }}
+          onClose={() => setShowVerify(false)}
+        />
+      )}
+      {voidTarget && (
+        <VoidDialog receipt={voidTarget} onConfirm={handleConfirmVoid} onCancel={() => setVoidTarget(null)} />
+      )}
+      {showRecycleBin && (
+        <RecycleBin
+          receipts={voidedReceipts}
+          retentionDays={config.voidRetentionDays}
+          onRestore={handleRestoreVoided}
+          onPurge={handlePurge}
+          onClose={() => setShowRecycleBin(false)}
+        />
+      )}
+      {amendChanges && (
+        <AmendDialog
+          receipt={receipt}
+          changes={amendChanges}
+          onConfirm={handleAmend}
+          onCancel={() => setAmendChanges(null)}
+        />
+      )}
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
+      {showOperators && (
+        <OperatorsPanel
+          operators={operators}
+          currentOperator={currentOperator}
+          onChange={handleOperatorsChange}
+          onClose={() => setShowOperators(false)}
+          toast={setToast}
+        />
+      )}
+      {isLoginRequired(operators) && !currentOperator && <LoginScreen operators={operators} onLogin={handleLogin} />}
+      {showAuditTrail && savedVersion && (
+        <AuditTrail receipt={savedVersion} onClose={() => setShowAuditTrail(false)} />
+      )}
+      {showRateCard && (
+        <RateCardPanel
+          rateCard={config.rateCard}
+          materials={masters.materials.map(e => e.name)}
+          customers={masters.customers.map(e => e.name)}
+          onChange={handleRateCardChange}
+          onClose={() => setShowRateCard(false)}
+        />
+      )}
+      {showMasters && (
+        <MasterDataPanel
+          masters={masters}
+          receipts={savedReceipts}
+          onChange={persistMasters}
+          onMerge={handleMerge}
+          onClose={() => setShowMasters(false)}
+          toast={setToast}
+        />
+      )}
+      {showBackup && (
+        <BackupPanel
+          current={{ receipts: savedReceipts, config, pendingTickets, seriesState, masters, operators }}
+          onRestore={handleRestore}
+          onClose={() => setShowBackup(false)}
+          toast={setToast}
+        />
+      )}
+      {showGapReport && (
+        <RstGapReport report={gapReport} onClose={() => setShowGapReport(false)} />
+      )}
       {toast && (
         <Toast
           message={toast.message}
@@ -766,10 +2198,10 @@ export default function App() {
         />
       )}
 
+      <UpdatePrompt />
+
       {/* GLOBAL STYLES FOR PRINT & PDF CAPTURE */}
       <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Courier+Prime:wght@400;700&display=swap');
-        
         /* Utility to hide scrollbar while keeping scrolling functional */
         .custom-scrollbar::-webkit-scrollbar {
           width: 6px;
@@ -779,26 +2211,11 @@ export default function App() {
           border-radius: 3px;
         }
 
-        .pdf-capture-active {
-            /* Position off-screen during capture */
-            position: absolute;
-            top: -9999px; 
-            left: -9999px;
-            display: block !important;
-            /* Give it the full printable area dimensions, using 3mm padding */
-            width: 210mm; 
-            min-height: 297mm;
-            padding: 3mm; /* REDUCED PADDING */
-            box-sizing: border-box;
-            z-index: -10;
-            overflow: hidden;
-            background: white; /* Ensure white background for PDF */
-        }
-
         @media print {
+          /* Sheet size and slots follow the active print layout (lib/layouts.js); reports are always A4 */
           @page {
-            size: A4 portrait;
-            margin: 3mm; /* REDUCED MARGIN */
+            size: ${reportToPrint ? 'A4 portrait' : layout.cssSize};
+            margin: ${reportToPrint ? 3 : layout.margin}mm;
           }
           body {
             background: white;
@@ -821,18 +2238,21 @@ export default function App() {
           }
           .a4-page-container {
             width: 100%;
-            /* Height: 297mm (A4) - 6mm (3mm top/3mm bottom margin) = 291mm printable area */
-            height: 291mm; 
+            /* Printable area: sheet height less top and bottom margin (291mm on A4) */
+            height: ${layout.continuous ? 'auto' : `${contentHeight(layout)}mm`};
             display: flex;
             flex-direction: column;
-            /* NEW: Using gap for clean, consistent vertical spacing */
-            gap: 4mm; 
+            align-items: center;
+            gap: ${layout.gap}mm;
             justify-content: start;
           }
+          /* Batch prints: each A4 page container starts a new sheet */
+          .a4-page-container + .a4-page-container {
+            break-before: page;
+          }
           .receipt-wrapper {
-            /* NEW: Calculated height to fit 3 perfectly with 2 gaps of 4mm */
-            /* 291mm - 8mm (2*4mm gap) = 283mm. 283mm / 3 = 94.33mm */
-            height: 94.33mm; 
+            /* Printable area less the gaps, split between the slots (94.33mm for 3-up A4) */
+            height: ${layout.continuous ? 'auto' : `${printSlotHeight}mm`};
             flex-shrink: 0; /* Important: prevents shrinking */
             display: flex;
             flex-direction: column;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { FilePenLine, X } from 'lucide-react';
+
+/**
+ * AMEND DIALOG (changes to a locked ticket, saved only with a reason)
+ */
+const AmendDialog = ({ receipt, changes, onConfirm, onCancel }) => {
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (reason.trim()) onConfirm(reason);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-2xl w-full max-w-md overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><FilePenLine size={18} /> Amend RST {receipt.rstNo}</h4>
+          <button type="button" onClick={onCancel} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="p-4 space-y-3 text-sm">
+          <p className="text-xs text-gray-500">
+            This ticket is locked. The changes below are kept in its history together with the previous version, and reprints will be marked amended.
+          </p>
+          <table className="w-full text-xs border">
+            <thead className="bg-gray-50 text-gray-500 uppercase">
+              <tr>
+                <th className="p-1 text-left">Field</th>
+                <th className="p-1 text-left">Was</th>
+                <th className="p-1 text-left">Now</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map(c => (
+                <tr key={c.field} className="border-t">
+                  <td className="p-1 font-semibold">{c.label}</td>
+                  <td className="p-1 font-mono text-red-600 line-through">{c.from || '—'}</td>
+                  <td className="p-1 font-mono text-green-700">{c.to || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div>
+            <label className="block text-xs font-semibold text-gray-500 uppercase">Reason for amendment</label>
+            <input
+              autoFocus className="w-full border border-gray-300 rounded p-2"
+              value={reason} onChange={(e) => setReason(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 bg-gray-50 border-t">
+          <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded text-sm font-semibold text-gray-700">Cancel</button>
+          <button type="submit" disabled={!reason.trim()} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded text-sm font-semibold disabled:opacity-40">
+            Save Amendment
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AmendDialog;
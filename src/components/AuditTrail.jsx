@@ -0,0 +1,48 @@
+import React from 'react';
+import { History, X } from 'lucide-react';
+
+import { formatDate, formatTime } from '../lib/format';
+
+/**
+ * AUDIT TRAIL (every amendment of a saved ticket, newest first)
+ */
+const AuditTrail = ({ receipt, onClose }) => {
+  const amendments = [...(receipt.amendments || [])].reverse();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><History size={18} /> History of RST {receipt.rstNo}</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-3 text-sm">
+          {amendments.map((a, i) => (
+            <div key={a.at} className="border rounded p-2">
+              <div className="flex justify-between text-xs text-gray-500">
+                <span className="font-semibold text-gray-700">Version {amendments.length - i + 1}</span>
+                <span>{formatDate(a.at)} {formatTime(a.at)}{a.by && ` by ${a.by}`}</span>
+              </div>
+              <p className="text-xs italic text-gray-600 my-1">"{a.reason}"</p>
+              <ul className="text-xs font-mono">
+                {a.changes.map(c => (
+                  <li key={c.field}>
+                    <span className="font-sans font-semibold">{c.label}:</span>{' '}
+                    <span className="text-red-600 line-through">{c.from || '—'}</span> → <span className="text-green-700">{c.to || '—'}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          <div className="border rounded p-2 bg-gray-50 text-xs text-gray-500 flex justify-between">
+            <span className="font-semibold text-gray-700">Version 1 (original)</span>
+            <span>Saved {formatDate(receipt.lockedAt)} {formatTime(receipt.lockedAt)}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditTrail;
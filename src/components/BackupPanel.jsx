@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { AlertTriangle, DatabaseBackup, Download, Upload, X } from 'lucide-react';
+
+import { createBackup, downloadBackup, readBackup, planRestore } from '../lib/backup';
+import { formatDate, formatTime, toDateTimeLocal } from '../lib/format';
+
+// What a restore did (or will do), in plain counts
+const SummaryLines = ({ summary, mode }) => (
+  <ul className="text-xs text-gray-700 space-y-0.5">
+    <li><span className="font-semibold text-green-700">{summary.added}</span> receipts added</li>
+    {mode === 'replace' && <li><span className="font-semibold text-amber-600">{summary.updated}</span> receipts overwritten</li>}
+    {mode === 'replace' && <li><span className="font-semibold text-red-600">{summary.removed}</span> local receipts removed</li>}
+    {mode === 'merge' && <li><span className="font-semibold">{summary.keptLocal}</span> differing receipts kept as local copy</li>}
+    <li>Template settings {summary.configChanged ? <span className="font-semibold text-amber-600">replaced</span> : 'unchanged'}</li>
+    <li>Master lists {summary.mastersChanged ? <span className="font-semibold text-amber-600">{mode === 'replace' ? 'replaced' : 'extended'}</span> : 'unchanged'}</li>
+    <li>{summary.pendingTickets} open tickets • {summary.totalReceipts} receipts • {summary.operators} operator accounts in total</li>
+  </ul>
+);
+
+/**
+ * BACKUP PANEL (single-file backup and validated restore)
+ */
+const BackupPanel = ({ current, onRestore, onClose, toast }) => {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [result, setResult] = useState(null);
+  const [acceptLoss, setAcceptLoss] = useState(false);
+
+  const handleBackup = async () => {
+    try {
+      const file = await createBackup(current);
+      downloadBackup(file, `WeightReceipts_Backup_${toDateTimeLocal().slice(0, 10)}.json`);
+      toast({ message: `Backup of ${current.receipts.length} receipts downloaded.`, type: 'success' });
+    } catch (error) {
+      console.error("Backup Error:", error);
+      toast({ message: `Backup failed: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setResult(null);
+    try {
+      setBackup(await readBackup(file));
+      setFileName(file.name);
+      setAcceptLoss(false);
+    } catch (error) {
+      setBackup(null);
+      toast({ message: `${file.name}: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const plan = backup ? planRestore(current, backup, mode) : null;
+  const protectedLost = plan ? plan.summary.protectedLost : [];
+
+  const handleRestore = async () => {
+    try {
+      await onRestore(plan.next);
+      setResult({ ...plan.summary, mode });
+      setBackup(null);
+    } catch (error) {
+      console.error("Restore Error:", error);
+      toast({ message: `Restore failed: ${error.message}`, type: 'error' });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-md overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><DatabaseBackup size={18} /> Backup & Restore</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm">
+          <div>
+            <p className="text-xs text-gray-500 mb-2">
+              Saves {current.receipts.length} receipts, {current.pendingTickets.length} open tickets, template settings, RST counters,
+              master lists and operator accounts to one file.
+            </p>
+            <button onClick={handleBackup} className="bg-emerald-600 hover:bg-emerald-700 text-white px-3 py-1.5 rounded shadow flex items-center gap-2">
+              <Download size={16} /> Download Backup
+            </button>
+          </div>
+
+          <div className="border-t border-gray-200 pt-4 space-y-2">
+            <label className="inline-flex bg-gray-800 hover:bg-gray-900 text-white px-3 py-1.5 rounded shadow items-center gap-2 cursor-pointer">
+              <Upload size={16} /> Restore from File
+              <input type="file" accept=".json,application/json" className="hidden" onChange={handleFile} />
+            </label>
+
+            {backup && plan && (
+              <div className="bg-gray-50 border rounded p-3 space-y-2">
+                <p className="text-xs text-gray-600">
+                  <span className="font-semibold">{fileName}</span> • made {formatDate(backup.createdAt)} {formatTime(backup.createdAt)} •{' '}
+                  {backup.data.receipts.length} receipts • <span className="text-green-700 font-semibold">checksum OK</span>
+                </p>
+                <div>
+                  <label className="text-xs text-gray-500 mr-2">Mode:</label>
+                  <select className="border rounded p-1 text-xs" value={mode} onChange={(e) => setMode(e.target.value)}>
+                    <option value="merge">Merge into current data</option>
+                    <option value="replace">Replace current data</option>
+                  </select>
+                </div>
+                <SummaryLines summary={plan.summary} mode={mode} />
+                {protectedLost.length > 0 && (
+                  <div className="bg-red-50 border border-red-200 rounded p-2 text-xs text-red-700 space-y-1">
+                    <p className="font-semibold flex items-center gap-1"><AlertTriangle size={14} /> {protectedLost.length} locked, amended or voided tickets will be overwritten or removed, with their audit trail:</p>
+                    <p className="font-mono">RST {protectedLost.map(r => r.rstNo || '---').join(', ')}</p>
+                    <label className="flex items-center gap-2">
+                      <input type="checkbox" checked={acceptLoss} onChange={(e) => setAcceptLoss(e.target.checked)} />
+                      Replace them anyway
+                    </label>
+                  </div>
+                )}
+                <button
+                  onClick={handleRestore}
+                  disabled={protectedLost.length > 0 && !acceptLoss}
+                  className={`text-white px-3 py-1.5 rounded shadow text-sm disabled:opacity-50 disabled:cursor-not-allowed ${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+                >
+                  {mode === 'replace' ? 'Replace All Data' : 'Merge Backup'}
+                </button>
+              </div>
+            )}
+
+            {result && (
+              <div className="bg-green-50 border border-green-200 rounded p-3">
+                <p className="text-xs font-bold text-green-700 mb-1">Restore complete</p>
+                <SummaryLines summary={result} mode={result.mode} />
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupPanel;
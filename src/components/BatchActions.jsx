@@ -0,0 +1,51 @@
+import React from 'react';
+import { Download, Printer, CheckSquare, X } from 'lucide-react';
+
+/**
+ * BATCH ACTIONS (bulk PDF export / print of ticked history entries)
+ */
+const BatchActions = ({ selectedCount, filteredCount, perPage, sheetPerPage, sheetLabel, onPerPageChange, onSelectAll, onClear, onExport, onPrint, progress }) => (
+  <div className="p-2 bg-indigo-50 border-b border-indigo-100 space-y-2 text-xs">
+    <div className="flex items-center justify-between">
+      <span className="font-semibold text-indigo-800">{selectedCount} selected</span>
+      <div className="flex items-center gap-2">
+        <button onClick={onSelectAll} className="flex items-center gap-1 text-indigo-700 hover:text-indigo-900">
+          <CheckSquare size={12} /> All {filteredCount} shown
+        </button>
+        <button onClick={onClear} className="flex items-center gap-1 text-gray-500 hover:text-gray-700">
+          <X size={12} /> Clear
+        </button>
+      </div>
+    </div>
+
+    {selectedCount > 0 && (
+      <div className="flex items-center gap-2">
+        <select className="border rounded p-1" value={perPage} onChange={(e) => onPerPageChange(parseInt(e.target.value, 10))}>
+          {sheetPerPage > 1 && <option value={sheetPerPage}>{sheetPerPage} per page ({sheetLabel})</option>}
+          <option value={1}>1 per page</option>
+        </select>
+        <div className="flex-1" />
+        <button
+          onClick={onExport} disabled={!!progress}
+          className="bg-emerald-600 hover:bg-emerald-700 text-white px-2 py-1 rounded shadow flex items-center gap-1 disabled:opacity-60"
+        >
+          <Download size={14} /> {progress ? `${progress.done}/${progress.total}` : 'PDF'}
+        </button>
+        <button
+          onClick={onPrint} disabled={!!progress}
+          className="bg-gray-800 hover:bg-gray-900 text-white px-2 py-1 rounded shadow flex items-center gap-1 disabled:opacity-60"
+        >
+          <Printer size={14} /> Print
+        </button>
+      </div>
+    )}
+
+    {progress && (
+      <div className="h-1.5 bg-indigo-100 rounded overflow-hidden">
+        <div className="h-full bg-emerald-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+      </div>
+    )}
+  </div>
+);
+
+export default BatchActions;
@@ -0,0 +1,91 @@
+import React from 'react';
+
+import { formatDate, formatTime } from '../lib/format';
+import { weightInWords, rupeesInWords } from '../lib/words';
+import { cellValue, visibleRows, operatorSignText } from '../lib/template';
+import { describeCharges } from '../lib/rates';
+import { amendmentMark } from '../lib/audit';
+import { VOID_MARK, isVoided } from '../lib/voids';
+import ReceiptQrCode from './ReceiptQrCode';
+
+// One "LABEL : value" line of the narrow layout
+const Line = ({ label, value, bold = false }) => (
+  <div className="flex">
+    <span className="w-[26mm] shrink-0">{label}</span>
+    <span className="shrink-0 mr-2">:</span>
+    <span className={bold ? 'font-bold' : ''}>{value}</span>
+  </div>
+);
+
+/**
+ * COMPACT RECEIPT TEMPLATE (single column, for 80mm thermal rolls)
+ */
+const CompactReceipt = ({ data, config }) => {
+  const { labels, show } = config.template;
+  // Both template columns stacked into one, left cell first
+  const cells = visibleRows(config.template).flatMap(row => [row.left, row.right].filter(Boolean));
+
+  return (
+    <div
+      className="bg-white text-black box-border relative"
+      style={{
+        width: '72mm',
+        fontFamily: '"Courier Prime", "Courier New", monospace',
+        fontSize: '12px',
+        lineHeight: '1.3',
+      }}
+    >
+      {isVoided(data) && (
+        <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+          <span className="text-[64px] font-bold text-gray-400 opacity-40 -rotate-45 tracking-widest">{VOID_MARK}</span>
+        </div>
+      )}
+
+      {/* Header */}
+      <div className="text-center mb-2">
+        <h1 className="text-base font-bold uppercase leading-tight">{config.companyName}</h1>
+        <p className="text-[10px] uppercase" style={{ lineHeight: '1.2', whiteSpace: 'pre-wrap' }}>{config.address}</p>
+        {amendmentMark(data) && <p className="mt-1 border border-black font-bold text-[11px]">{amendmentMark(data)}</p>}
+      </div>
+
+      <div className="border-t border-b border-black border-dashed py-1">
+        {cells.map((cell, i) => <Line key={i} label={cell.label} value={cellValue(cell, data)} bold={cell.bold} />)}
+      </div>
+
+      <div className="border-b border-black border-dashed py-1">
+        <Line label={labels.gross} value={`${data.grossWeight} ${labels.unit}`} bold />
+        {show.dateTime && <div className="pl-[4mm] text-[11px]">{formatDate(data.dateTimeOut)} {formatTime(data.dateTimeOut)}</div>}
+        <Line label={labels.tare} value={`${data.tareWeight} ${labels.unit}`} bold />
+        {show.dateTime && <div className="pl-[4mm] text-[11px]">{formatDate(data.dateTimeIn)} {formatTime(data.dateTimeIn)}</div>}
+        <Line label={labels.net} value={`${data.netWeight} ${labels.unit}`} bold />
+        {show.words && <div className="font-bold text-[11px] tracking-wide mt-1">{weightInWords(data.netWeight, config.wordsStyle, labels.wordsSuffix)}</div>}
+      </div>
+
+      {config.showCharges && (
+        <div className="border-b border-black border-dashed py-1">
+          <Line label={labels.charges} value={`${labels.currency} ${data.charges}`} bold />
+          {describeCharges(data) && <div className="pl-[4mm] text-[11px]">{describeCharges(data)}</div>}
+          {show.chargesWords && <div className="font-bold text-[11px]">{rupeesInWords(data.charges)}</div>}
+        </div>
+      )}
+
+      {/* Signatures */}
+      {show.signatures && (
+        <>
+          <div className="mt-6 border-t border-black border-dotted pt-1 uppercase">{operatorSignText(labels, data)}</div>
+          <div className="mt-6 border-t border-black border-dotted pt-1 uppercase">{labels.partySign}</div>
+        </>
+      )}
+
+      {show.qrCode && <ReceiptQrCode data={data} config={config} size="22mm" className="mx-auto mt-2" />}
+
+      {/* Footer */}
+      <div className="mt-2 text-center">
+        <p className="text-[10px] uppercase" style={{ whiteSpace: 'pre-wrap', lineHeight: '1.2' }}>{config.footer}</p>
+        {data.remarks && <p className="text-[10px] mt-1 font-bold">{labels.note} {data.remarks}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default CompactReceipt;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { RotateCcw } from 'lucide-react';
+
+import { DEFAULT_HISTORY_QUERY, SORT_OPTIONS, DATE_PRESETS, presetToQuery } from '../lib/historyQuery';
+
+// Toggle chips for picking several values of one field
+const MultiSelect = ({ label, options, selected, onChange }) => {
+  const toggle = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+
+  return (
+    <div>
+      <label className="block text-gray-500 text-xs mb-1">{label}{selected.length > 0 && ` (${selected.length})`}</label>
+      <div className="flex flex-wrap gap-1 max-h-16 overflow-y-auto custom-scrollbar">
+        {options.length === 0 && <span className="text-xs text-gray-400 italic">None yet</span>}
+        {options.map(value => (
+          <button
+            key={value}
+            onClick={() => toggle(value)}
+            className={`px-2 py-0.5 rounded-full text-xs border ${selected.includes(value) ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-gray-300 text-gray-600 hover:border-indigo-400'}`}
+          >
+            {value}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * HISTORY FILTERS (query panel for the Saved History list)
+ */
+const HistoryFilters = ({ query, options, onChange }) => {
+  const set = (patch) => onChange({ ...query, ...patch });
+
+  return (
+    <div className="p-3 bg-gray-50 border-b border-gray-200 space-y-2 text-sm animate-fadeIn">
+      <div className="flex flex-wrap gap-1">
+        {DATE_PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            onClick={() => set(presetToQuery(preset))}
+            className="px-2 py-0.5 rounded text-xs bg-gray-200 hover:bg-gray-300 text-gray-700"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-gray-500 text-xs">From</label>
+          <input type="date" className="w-full border rounded p-1 text-xs" value={query.from} onChange={(e) => set({ from: e.target.value })} />
+        </div>
+        <div>
+          <label className="block text-gray-500 text-xs">To</label>
+          <input type="date" className="w-full border rounded p-1 text-xs" value={query.to} onChange={(e) => set({ to: e.target.value })} />
+        </div>
+      </div>
+
+      <MultiSelect label="Material" options={options.materials} selected={query.materials} onChange={(materials) => set({ materials })} />
+      <MultiSelect label="Customer" options={options.customers} selected={query.customers} onChange={(customers) => set({ customers })} />
+      <MultiSelect label="Supplier" options={options.suppliers} selected={query.suppliers} onChange={(suppliers) => set({ suppliers })} />
+
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <label className="block text-gray-500 text-xs">Net Min (kg)</label>
+          <input type="number" className="w-full border rounded p-1 text-xs" value={query.minNet} onChange={(e) => set({ minNet: e.target.value })} />
+        </div>
+        <div>
+          <label className="block text-gray-500 text-xs">Net Max (kg)</label>
+          <input type="number" className="w-full border rounded p-1 text-xs" value={query.maxNet} onChange={(e) => set({ maxNet: e.target.value })} />
+        </div>
+        <div>
+          <label className="block text-gray-500 text-xs">Sort</label>
+          <select className="w-full border rounded p-1 text-xs" value={query.sort} onChange={(e) => set({ sort: e.target.value })}>
+            {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={() => onChange({ ...DEFAULT_HISTORY_QUERY, text: query.text })}
+          className="text-xs text-gray-600 hover:text-indigo-600 flex items-center gap-1"
+        >
+          <RotateCcw size={12} /> Clear filters
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryFilters;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { FileSpreadsheet, Download, Upload, X } from 'lucide-react';
+
+import { EXPORT_COLUMNS, exportReceipts, readSpreadsheet, validateImportRows } from '../lib/spreadsheet';
+import { toDateTimeLocal } from '../lib/format';
+import { isVoided } from '../lib/voids';
+
+/**
+ * IMPORT / EXPORT PANEL (CSV and XLSX exchange of the receipt history)
+ */
+const ImportExportPanel = ({ receipts, allReceipts, profileId, columns, onColumnsChange, onExport, onImport, onClose, toast }) => {
+  const [preview, setPreview] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [conflictMode, setConflictMode] = useState('skip');
+  // Voided tickets are out of every total, so they stay out of exports unless asked for
+  const [includeVoided, setIncludeVoided] = useState(false);
+  const exported = includeVoided ? receipts : receipts.filter(r => !isVoided(r));
+
+  const toggleColumn = (key) =>
+    onColumnsChange(columns.includes(key) ? columns.filter(k => k !== key) : EXPORT_COLUMNS.map(c => c.key).filter(k => k === key || columns.includes(k)));
+
+  // onExport runs the validation rules over the exported tickets first
+  const handleExport = (format) => {
+    if (columns.length === 0) {
+      toast({ message: 'Pick at least one column to export.', type: 'error' });
+      return;
+    }
+    onExport(exported, async () => {
+      try {
+        await exportReceipts(exported, columns, format, `Receipts_${toDateTimeLocal().slice(0, 10)}`);
+        toast({ message: `${exported.length} receipts exported as ${format.toUpperCase()}.`, type: 'success' });
+      } catch (error) {
+        console.error("Export Error:", error);
+        toast({ message: `Export failed: ${error.message}`, type: 'error' });
+      }
+    });
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const rows = await readSpreadsheet(file);
+      setFileName(file.name);
+      setPreview(validateImportRows(rows, allReceipts, profileId));
+    } catch (error) {
+      console.error("Import Read Error:", error);
+      toast({ message: `Could not read ${file.name}: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const valid = preview ? preview.filter(p => p.errors.length === 0) : [];
+  const conflicts = valid.filter(p => p.conflict);
+  const invalidCount = preview ? preview.length - valid.length : 0;
+  const importable = conflictMode === 'replace' ? valid : valid.filter(p => !p.conflict);
+
+  const handleImport = () => {
+    onImport(importable.map(p => ({ ...p.receipt, id: p.conflict ? p.conflict.id : undefined })));
+    setPreview(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><FileSpreadsheet size={18} /> Import / Export</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-4 text-sm">
+          {/* Export */}
+          <div>
+            <h5 className="font-bold text-gray-700 mb-2">Export {exported.length} receipts (current history filter)</h5>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mb-3">
+              {EXPORT_COLUMNS.map(c => (
+                <label key={c.key} className="flex items-center gap-1 text-xs text-gray-700">
+                  <input
+                    type="checkbox" checked={columns.includes(c.key)} onChange={() => toggleColumn(c.key)}
+                    className="h-3 w-3 text-indigo-600 border-gray-300 rounded"
+                  />
+                  {c.header}
+                </label>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <button onClick={() => handleExport('csv')} className="bg-emerald-600 hover:bg-emerald-700 text-white px-3 py-1.5 rounded shadow flex items-center gap-2">
+                <Download size={16} /> CSV
+              </button>
+              <button onClick={() => handleExport('xlsx')} className="bg-emerald-600 hover:bg-emerald-700 text-white px-3 py-1.5 rounded shadow flex items-center gap-2">
+                <Download size={16} /> Excel (XLSX)
+              </button>
+              <label className="flex items-center gap-1 text-xs text-gray-700 ml-auto">
+                <input
+                  type="checkbox" checked={includeVoided} onChange={(e) => setIncludeVoided(e.target.checked)}
+                  className="h-3 w-3 text-indigo-600 border-gray-300 rounded"
+                />
+                Include voided tickets
+              </label>
+            </div>
+          </div>
+
+          {/* Import */}
+          <div className="border-t border-gray-200 pt-4">
+            <h5 className="font-bold text-gray-700 mb-2">Import from CSV / XLSX</h5>
+            <label className="inline-flex bg-gray-800 hover:bg-gray-900 text-white px-3 py-1.5 rounded shadow items-center gap-2 cursor-pointer">
+              <Upload size={16} /> Choose File
+              <input type="file" accept=".csv,.xlsx,text/csv" className="hidden" onChange={handleFile} />
+            </label>
+
+            {preview && (
+              <div className="mt-3 space-y-2">
+                <p className="text-xs text-gray-600">
+                  <span className="font-semibold">{fileName}</span>: {preview.length} rows •{' '}
+                  <span className="text-green-700">{valid.length - conflicts.length} new</span> •{' '}
+                  <span className="text-amber-600">{conflicts.length} RST conflicts</span> •{' '}
+                  <span className="text-red-600">{invalidCount} with errors (skipped)</span>
+                </p>
+
+                <div className="max-h-64 overflow-y-auto custom-scrollbar border rounded">
+                  <table className="w-full text-xs">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr className="text-left text-gray-500 uppercase">
+                        <th className="p-1">Row</th>
+                        <th className="p-1">RST</th>
+                        <th className="p-1">Vehicle</th>
+                        <th className="p-1">Customer</th>
+                        <th className="p-1 text-right">Net</th>
+                        <th className="p-1">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {preview.map(p => (
+                        <tr key={p.rowNumber} className={p.errors.length ? 'bg-red-50' : p.conflict ? 'bg-amber-50' : ''}>
+                          <td className="p-1 text-gray-400">{p.rowNumber}</td>
+                          <td className="p-1 font-mono font-bold">{p.receipt.rstNo || '---'}</td>
+                          <td className="p-1">{p.receipt.vehicleNo}</td>
+                          <td className="p-1">{p.receipt.customer}</td>
+                          <td className="p-1 text-right font-mono">{p.receipt.netWeight}</td>
+                          <td className="p-1">
+                            {p.errors.length > 0
+                              ? <span className="text-red-600">{p.errors.join(', ')}</span>
+                              : p.conflict
+                                ? <span className="text-amber-600">RST exists ({p.conflict.vehicleNo || 'No Vehicle'})</span>
+                                : <span className="text-green-700">OK</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="flex items-center justify-between gap-2">
+                  <div>
+                    <label className="text-xs text-gray-500 mr-2">On RST conflict:</label>
+                    <select className="border rounded p-1 text-xs" value={conflictMode} onChange={(e) => setConflictMode(e.target.value)}>
+                      <option value="skip">Keep existing, skip row</option>
+                      <option value="replace">Replace existing with row</option>
+                    </select>
+                  </div>
+                  <button
+                    onClick={handleImport} disabled={importable.length === 0}
+                    className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded shadow disabled:opacity-40"
+                  >
+                    Import {importable.length} receipts
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportExportPanel;
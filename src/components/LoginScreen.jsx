@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { LogIn, FileText } from 'lucide-react';
+
+import { verifyPin } from '../lib/operators';
+
+/**
+ * LOGIN SCREEN (operator name and PIN, shown until someone signs in)
+ */
+const LoginScreen = ({ operators, onLogin }) => {
+  const [operatorId, setOperatorId] = useState(operators[0]?.id || '');
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const operator = operators.find(o => o.id === operatorId);
+    if (await verifyPin(operator, pin)) {
+      onLogin(operator);
+      return;
+    }
+    setError('Wrong PIN.');
+    setPin('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-100 flex items-center justify-center p-4 z-[9999] no-print">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-2xl w-full max-w-xs overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white">
+          <h1 className="text-lg font-bold flex items-center gap-2"><FileText size={18} /> Weight Receipt</h1>
+          <p className="text-xs text-indigo-200">Sign in to continue</p>
+        </div>
+        <div className="p-4 space-y-3 text-sm">
+          <div>
+            <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">Operator</label>
+            <select className="w-full border rounded p-2" value={operatorId} onChange={(e) => { setOperatorId(e.target.value); setError(''); }}>
+              {operators.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-500 uppercase mb-1">PIN</label>
+            <input
+              type="password" inputMode="numeric" autoComplete="off" autoFocus
+              className="w-full border rounded p-2 font-mono tracking-widest"
+              value={pin} onChange={(e) => { setPin(e.target.value); setError(''); }}
+            />
+          </div>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <button type="submit" disabled={!pin} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded shadow flex items-center justify-center gap-2 disabled:opacity-40">
+            <LogIn size={16} /> Sign In
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { BookUser, Plus, Pencil, Trash2, Check, X, Wand2 } from 'lucide-react';
+
+import { MASTER_TYPES, addEntry, renameEntry, updateEntry, removeEntry, findEntry, suggestMerges } from '../lib/masters';
+import { toDateTimeLocal } from '../lib/format';
+
+// One master list with add / rename / delete and the "accept only these" switch
+const MasterList = ({ type, masters, receipts, onChange, toast }) => {
+  const [newName, setNewName] = useState('');
+  const [filter, setFilter] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  const entries = masters[type.key];
+  const shown = entries.filter(e => e.name.toUpperCase().includes(filter.trim().toUpperCase()));
+  const unlisted = [...new Set(receipts.map(r => String(r[type.field] ?? '').trim()).filter(Boolean))]
+    .filter(value => !findEntry(masters, type.key, value));
+
+  const apply = (update) => {
+    try {
+      onChange(update());
+      return true;
+    } catch (error) {
+      toast({ message: error.message, type: 'error' });
+      return false;
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (apply(() => addEntry(masters, type.key, newName))) setNewName('');
+  };
+
+  // Adds every spelling found in history that has no master entry yet
+  const handleAddFromHistory = () => {
+    const next = unlisted.reduce((acc, value) => (findEntry(acc, type.key, value) ? acc : addEntry(acc, type.key, value)), masters);
+    onChange(next);
+    toast({ message: `${next[type.key].length - entries.length} ${type.label.toLowerCase()} added from history.`, type: 'success' });
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center gap-2 text-xs text-gray-700">
+        <input
+          type="checkbox" checked={masters.enforced[type.key]}
+          onChange={(e) => onChange({ ...masters, enforced: { ...masters.enforced, [type.key]: e.target.checked } })}
+          className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+        />
+        Only accept {type.label.toLowerCase()} from this list when saving tickets
+      </label>
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          className="flex-1 border rounded p-1.5" placeholder={`New ${type.singular.toLowerCase()}`}
+          value={newName} onChange={(e) => setNewName(e.target.value)}
+        />
+        <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 rounded shadow flex items-center gap-1">
+          <Plus size={14} /> Add
+        </button>
+      </form>
+
+      <div className="flex items-center justify-between gap-2">
+        <input
+          className="flex-1 border rounded p-1 text-xs" placeholder={`Search ${entries.length} ${type.label.toLowerCase()}...`}
+          value={filter} onChange={(e) => setFilter(e.target.value)}
+        />
+        {unlisted.length > 0 && (
+          <button onClick={handleAddFromHistory} className="text-xs text-indigo-600 hover:text-indigo-800">
+            + {unlisted.length} from history
+          </button>
+        )}
+      </div>
+
+      <ul className="divide-y divide-gray-100 border rounded max-h-72 overflow-y-auto custom-scrollbar">
+        {shown.length === 0 && <li className="p-3 text-center text-xs text-gray-400">No entries.</li>}
+        {shown.map(entry => (
+          <li key={entry.id} className="p-1.5 flex items-center gap-2 group">
+            {editing && editing.id === entry.id ? (
+              <>
+                <input
+                  autoFocus className="flex-1 border rounded p-1 text-sm"
+                  value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                />
+                <button
+                  onClick={() => apply(() => renameEntry(masters, type.key, entry.id, editing.name)) && setEditing(null)}
+                  className="p-1 text-green-600 hover:text-green-800" title="Save"
+                >
+                  <Check size={14} />
+                </button>
+                <button onClick={() => setEditing(null)} className="p-1 text-gray-400 hover:text-gray-600" title="Cancel"><X size={14} /></button>
+              </>
+            ) : (
+              <>
+                <span className="flex-1 text-sm">{entry.name}</span>
+                {type.key === 'vehicles' && (
+                  <input
+                    type="number" min="0" placeholder="Tare kg" title="Stored tare (kg); leave empty to use the weighing history"
+                    className="w-24 border rounded p-0.5 text-xs font-mono text-right"
+                    value={entry.storedTare ?? ''}
+                    onChange={(e) => onChange(updateEntry(masters, type.key, entry.id, {
+                      storedTare: e.target.value === '' ? undefined : parseFloat(e.target.value),
+                      storedTareAt: toDateTimeLocal(),
+                    }))}
+                  />
+                )}
+                <button onClick={() => setEditing(entry)} className="p-1 text-gray-400 hover:text-indigo-600 opacity-0 group-hover:opacity-100" title="Rename">
+                  <Pencil size={14} />
+                </button>
+                <button onClick={() => onChange(removeEntry(masters, type.key, entry.id))} className="p-1 text-red-400 hover:text-red-600 opacity-0 group-hover:opacity-100" title="Delete">
+                  <Trash2 size={14} />
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Near-duplicate spellings in history, each mergeable into one name
+const MergeSuggestions = ({ masters, receipts, onMerge }) => {
+  const suggestions = suggestMerges(receipts, masters);
+  // Operator overrides of the suggested canonical spelling, by suggestion key
+  const [names, setNames] = useState({});
+
+  if (suggestions.length === 0) {
+    return <p className="text-center text-sm text-green-700 py-6">No near-duplicate names found in history.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-500">
+        These spellings look like the same name. Merging rewrites the matching saved receipts and adds the name to the master list.
+      </p>
+      {suggestions.map(s => {
+        const id = `${s.type}|${s.variants.map(v => v.value).join('|')}`;
+        const canonical = names[id] ?? s.canonical;
+        return (
+          <div key={id} className="border rounded p-2 bg-gray-50 space-y-1">
+            <div className="text-[10px] uppercase font-semibold text-gray-400">{MASTER_TYPES.find(t => t.key === s.type).singular}</div>
+            <div className="flex flex-wrap gap-1">
+              {s.variants.map(v => (
+                <button
+                  key={v.value} onClick={() => setNames({ ...names, [id]: v.value.trim() })}
+                  className="px-1.5 py-0.5 bg-white border rounded text-xs font-mono hover:border-indigo-400" title="Use this spelling"
+                >
+                  "{v.value}" <span className="text-gray-400">×{v.count}</span>
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <input
+                className="flex-1 border rounded p-1 text-xs font-mono"
+                value={canonical} onChange={(e) => setNames({ ...names, [id]: e.target.value })}
+              />
+              <button
+                onClick={() => onMerge(s, canonical)} disabled={!canonical.trim()}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white px-2 py-1 rounded shadow text-xs disabled:opacity-40"
+              >
+                Merge {s.variants.reduce((sum, v) => sum + v.count, 0)} receipts
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * MASTER DATA PANEL (customer, supplier, material and vehicle lists)
+ */
+const MasterDataPanel = ({ masters, receipts, onChange, onMerge, onClose, toast }) => {
+  const [tab, setTab] = useState(MASTER_TYPES[0].key);
+  const type = MASTER_TYPES.find(t => t.key === tab);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><BookUser size={18} /> Master Data</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="flex border-b text-xs font-semibold">
+          {MASTER_TYPES.map(t => (
+            <button
+              key={t.key} onClick={() => setTab(t.key)}
+              className={`flex-1 py-2 ${tab === t.key ? 'text-indigo-700 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              {t.label} ({masters[t.key].length})
+            </button>
+          ))}
+          <button
+            onClick={() => setTab('merge')}
+            className={`flex-1 py-2 flex items-center justify-center gap-1 ${tab === 'merge' ? 'text-indigo-700 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+          >
+            <Wand2 size={12} /> Clean Up
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 text-sm">
+          {type
+            ? <MasterList key={type.key} type={type} masters={masters} receipts={receipts} onChange={onChange} toast={toast} />
+            : <MergeSuggestions masters={masters} receipts={receipts} onMerge={onMerge} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MasterDataPanel;
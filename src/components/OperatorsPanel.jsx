@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Users, Plus, KeyRound, Trash2, X } from 'lucide-react';
+
+import { ROLES, createOperator, changePin, canRemoveOperator } from '../lib/operators';
+
+/**
+ * OPERATORS PANEL (local accounts: add, change role or PIN, remove)
+ */
+const OperatorsPanel = ({ operators, currentOperator, onChange, onClose, toast }) => {
+  const [draft, setDraft] = useState({ name: '', role: operators.length === 0 ? 'supervisor' : 'operator', pin: '' });
+  const [pinFor, setPinFor] = useState(null);
+  const [newPin, setNewPin] = useState('');
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      const operator = await createOperator(operators, draft);
+      onChange([...operators, operator], operator);
+      setDraft({ name: '', role: 'operator', pin: '' });
+      toast({ message: `Account added for ${operator.name}.`, type: 'success' });
+    } catch (error) {
+      toast({ message: error.message, type: 'error' });
+    }
+  };
+
+  const handleChangePin = async (e) => {
+    e.preventDefault();
+    try {
+      const updated = await changePin(pinFor, newPin);
+      onChange(operators.map(o => (o.id === updated.id ? updated : o)));
+      toast({ message: `PIN changed for ${updated.name}.`, type: 'success' });
+      setPinFor(null);
+      setNewPin('');
+    } catch (error) {
+      toast({ message: error.message, type: 'error' });
+    }
+  };
+
+  const handleRole = (operator, role) => {
+    if (role !== 'supervisor' && !canRemoveOperator(operators, operator)) {
+      toast({ message: 'Keep at least one supervisor.', type: 'error' });
+      return;
+    }
+    onChange(operators.map(o => (o.id === operator.id ? { ...o, role } : o)));
+  };
+
+  const handleRemove = (operator) => {
+    if (!canRemoveOperator(operators, operator)) {
+      toast({ message: 'Keep at least one supervisor.', type: 'error' });
+      return;
+    }
+    if (currentOperator && operator.id === currentOperator.id) {
+      toast({ message: 'You cannot remove your own account while signed in.', type: 'error' });
+      return;
+    }
+    onChange(operators.filter(o => o.id !== operator.id));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><Users size={18} /> Operators</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-3 text-sm">
+          <p className="text-xs text-gray-500">
+            {operators.length === 0
+              ? 'Add a supervisor account to require a PIN on this PC. Until then anyone can use every feature.'
+              : 'Operators create and print tickets. Supervisors can also change settings, amend, void and view reports.'}
+          </p>
+
+          <ul className="divide-y divide-gray-100 border rounded">
+            {operators.length === 0 && <li className="p-3 text-center text-xs text-gray-400">No accounts yet.</li>}
+            {operators.map(o => (
+              <li key={o.id} className="p-2 space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="flex-1 font-semibold">
+                    {o.name}
+                    {currentOperator && o.id === currentOperator.id && <span className="ml-1 text-[10px] text-green-700">(signed in)</span>}
+                  </span>
+                  <select className="border rounded p-0.5 text-xs" value={o.role} onChange={(e) => handleRole(o, e.target.value)}>
+                    {ROLES.map(r => <option key={r.value} value={r.value}>{r.value}</option>)}
+                  </select>
+                  <button onClick={() => { setPinFor(o); setNewPin(''); }} className="p-1 text-gray-400 hover:text-indigo-600" title="Change PIN">
+                    <KeyRound size={14} />
+                  </button>
+                  <button onClick={() => handleRemove(o)} className="p-1 text-red-400 hover:text-red-600" title="Remove">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+                {pinFor && pinFor.id === o.id && (
+                  <form onSubmit={handleChangePin} className="flex gap-2">
+                    <input
+                      type="password" inputMode="numeric" autoFocus placeholder="New PIN"
+                      className="flex-1 border rounded p-1 font-mono text-xs"
+                      value={newPin} onChange={(e) => setNewPin(e.target.value)}
+                    />
+                    <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 rounded text-xs">Set PIN</button>
+                    <button type="button" onClick={() => setPinFor(null)} className="px-2 text-xs text-gray-500">Cancel</button>
+                  </form>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <form onSubmit={handleAdd} className="border rounded p-2 bg-gray-50 space-y-2">
+            <div className="text-xs font-semibold text-gray-500 uppercase">New account</div>
+            <input
+              className="w-full border rounded p-1.5" placeholder="Name (printed on receipts)"
+              value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+            <div className="flex gap-2">
+              <select className="flex-1 border rounded p-1.5 text-xs" value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+                {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+              </select>
+              <input
+                type="password" inputMode="numeric" placeholder="PIN"
+                className="w-24 border rounded p-1.5 font-mono"
+                value={draft.pin} onChange={(e) => setDraft({ ...draft, pin: e.target.value })}
+              />
+            </div>
+            <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded shadow flex items-center gap-1">
+              <Plus size={14} /> Add Account
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OperatorsPanel;
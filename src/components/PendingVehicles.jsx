@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Truck, Scale, Search, X } from 'lucide-react';
+
+import { formatDate, formatTime } from '../lib/format';
+
+// Weight box that takes the stable scale reading; typing is allowed only with manual weights on
+const WeightInput = ({ label, value, onChange, manualWeights, onReadScale, autoFocus = false }) => {
+  const takeReading = () => {
+    const weight = onReadScale();
+    if (weight !== null) onChange(String(weight));
+  };
+
+  return (
+    <div className="flex-1">
+      <label className="block text-xs font-semibold text-gray-500 uppercase">{label}</label>
+      <div className="flex gap-1">
+        <input
+          type="number" value={value} onChange={(e) => onChange(e.target.value)} readOnly={!manualWeights} autoFocus={autoFocus}
+          className="w-full border border-gray-300 rounded p-2 font-mono text-right read-only:bg-gray-100"
+        />
+        <button onClick={takeReading} title="Take the stable scale reading" className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 rounded">
+          <Scale size={16} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * PENDING VEHICLES (open tickets awaiting their second weighing)
+ */
+const PendingVehicles = ({ tickets, vehicleNo, manualWeights, onReadScale, onRecordFirst, onRecordSecond, onCancel }) => {
+  const [firstWeight, setFirstWeight] = useState('');
+  const [secondWeight, setSecondWeight] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [vehicleQuery, setVehicleQuery] = useState('');
+
+  const selected = tickets.find(t => t.id === selectedId) || null;
+  const visibleTickets = tickets.filter(t =>
+    (t.vehicleNo || '').toLowerCase().includes(vehicleQuery.toLowerCase())
+  );
+
+  const handleFirst = () => {
+    if (onRecordFirst(firstWeight)) setFirstWeight('');
+  };
+
+  const handleSecond = () => {
+    if (selected && onRecordSecond(selected, secondWeight)) {
+      setSecondWeight('');
+      setSelectedId(null);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-200">
+      <div className="p-3 bg-amber-50 border-b border-amber-100 flex justify-between items-center">
+        <h3 className="font-bold text-sm text-amber-800 flex items-center gap-2">
+          <Truck size={16} /> Pending Vehicles ({tickets.length})
+        </h3>
+        <div className="relative">
+          <Search size={14} className="absolute left-2 top-2 text-gray-400" />
+          <input
+            className="pl-7 pr-2 py-1 text-xs border rounded w-32"
+            placeholder="Vehicle No..."
+            value={vehicleQuery}
+            onChange={(e) => setVehicleQuery(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {/* First weighing: opens a ticket for the vehicle currently in the editor */}
+      <div className="p-3 flex items-end gap-2 border-b border-gray-100">
+        <WeightInput
+          label={`1st Weight for ${vehicleNo || '---'} (kg)`} value={firstWeight} onChange={setFirstWeight}
+          manualWeights={manualWeights} onReadScale={onReadScale}
+        />
+        <button onClick={handleFirst} className="bg-amber-600 hover:bg-amber-700 text-white px-3 py-2 rounded shadow flex items-center gap-1 text-sm">
+          <Scale size={16} /> Record 1st
+        </button>
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {visibleTickets.map(t => (
+          <li
+            key={t.id}
+            onClick={() => setSelectedId(t.id === selectedId ? null : t.id)}
+            className={`p-3 cursor-pointer transition-colors group ${t.id === selectedId ? 'bg-amber-50' : 'hover:bg-amber-50'}`}
+          >
+            <div className="flex justify-between items-start">
+              <div>
+                <div className="font-bold text-sm text-gray-800">{t.vehicleNo || 'No Vehicle'}</div>
+                <div className="text-xs text-gray-500">In: {formatDate(t.firstWeighedAt)} {formatTime(t.firstWeighedAt)} • {t.customer}</div>
+              </div>
+              <div className="text-right">
+                <div className="font-mono text-sm font-bold">{t.firstWeight} kg</div>
+                {onCancel && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onCancel(t); }} title="Cancel open ticket"
+                    className="text-red-400 hover:text-red-600 p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {/* Second weighing for the selected vehicle */}
+            {t.id === selectedId && (
+              <div className="mt-2 flex items-end gap-2" onClick={(e) => e.stopPropagation()}>
+                <WeightInput
+                  label="2nd Weight (kg)" value={secondWeight} onChange={setSecondWeight}
+                  manualWeights={manualWeights} onReadScale={onReadScale} autoFocus
+                />
+                <button onClick={handleSecond} className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-2 rounded shadow flex items-center gap-1 text-sm">
+                  <Scale size={16} /> Finalise
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+        {visibleTickets.length === 0 && (
+          <li className="p-4 text-center text-xs text-gray-400 italic">No vehicles waiting</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default PendingVehicles;
@@ -0,0 +1,170 @@
+import React from 'react';
+import { ReceiptIndianRupee, Plus, Trash2, X } from 'lucide-react';
+
+import { RATE_UNITS, newRateId } from '../lib/rates';
+
+/**
+ * RATE CARD PANEL (weighing fees per vehicle class, material rates and GST)
+ */
+const RateCardPanel = ({ rateCard, materials, customers, onChange, onClose }) => {
+  const setClasses = (vehicleClasses) => onChange({ ...rateCard, vehicleClasses });
+  const setRates = (materialRates) => onChange({ ...rateCard, materialRates });
+  const patch = (list, id, values) => list.map(item => (item.id === id ? { ...item, ...values } : item));
+
+  const handleAddClass = () => {
+    const entry = { id: newRateId('class'), name: '', fee: 0, maxGrossKg: 0 };
+    onChange({
+      ...rateCard,
+      vehicleClasses: [...rateCard.vehicleClasses, entry],
+      defaultClassId: rateCard.defaultClassId || entry.id,
+    });
+  };
+
+  const handleRemoveClass = (id) => {
+    const vehicleClasses = rateCard.vehicleClasses.filter(v => v.id !== id);
+    onChange({
+      ...rateCard,
+      vehicleClasses,
+      defaultClassId: rateCard.defaultClassId === id ? (vehicleClasses[0]?.id || '') : rateCard.defaultClassId,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><ReceiptIndianRupee size={18} /> Rate Card</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-5 text-sm">
+          <p className="text-xs text-gray-500">
+            Charges are worked out from these rates as the ticket is filled in. Leave both tables empty to type charges by hand.
+          </p>
+
+          {/* Flat weighing fee per vehicle class */}
+          <div>
+            <h5 className="font-bold text-gray-700 mb-2">Weighing Fee by Vehicle Class</h5>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 uppercase">
+                  <th className="p-1 w-16">Default</th>
+                  <th className="p-1">Class</th>
+                  <th className="p-1 w-28 text-right">Fee (Rs.)</th>
+                  <th className="p-1 w-28 text-right" title="Heaviest legal gross weight; 0 for no limit">Max Gross (kg)</th>
+                  <th className="p-1 w-8"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rateCard.vehicleClasses.map(v => (
+                  <tr key={v.id}>
+                    <td className="p-1 text-center">
+                      <input
+                        type="radio" name="defaultClass" checked={rateCard.defaultClassId === v.id}
+                        onChange={() => onChange({ ...rateCard, defaultClassId: v.id })}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <input
+                        className="w-full border rounded p-1" placeholder="e.g. 10-wheel truck"
+                        value={v.name} onChange={(e) => setClasses(patch(rateCard.vehicleClasses, v.id, { name: e.target.value }))}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <input
+                        type="number" min="0" className="w-full border rounded p-1 text-right font-mono"
+                        value={v.fee} onChange={(e) => setClasses(patch(rateCard.vehicleClasses, v.id, { fee: parseFloat(e.target.value) || 0 }))}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <input
+                        type="number" min="0" className="w-full border rounded p-1 text-right font-mono"
+                        value={v.maxGrossKg || 0} onChange={(e) => setClasses(patch(rateCard.vehicleClasses, v.id, { maxGrossKg: parseFloat(e.target.value) || 0 }))}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <button onClick={() => handleRemoveClass(v.id)} className="text-red-400 hover:text-red-600"><Trash2 size={14} /></button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button onClick={handleAddClass} className="mt-1 text-xs text-indigo-600 hover:text-indigo-800 flex items-center gap-1">
+              <Plus size={12} /> Add vehicle class
+            </button>
+          </div>
+
+          {/* Material rates, optionally for one customer */}
+          <div>
+            <h5 className="font-bold text-gray-700 mb-2">Material Rates</h5>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 uppercase">
+                  <th className="p-1">Material</th>
+                  <th className="p-1">Customer</th>
+                  <th className="p-1 w-24 text-right">Rate (Rs.)</th>
+                  <th className="p-1 w-40">Unit</th>
+                  <th className="p-1 w-8"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rateCard.materialRates.map(r => (
+                  <tr key={r.id}>
+                    <td className="p-1">
+                      <input
+                        className="w-full border rounded p-1" list="rate-materials"
+                        value={r.material} onChange={(e) => setRates(patch(rateCard.materialRates, r.id, { material: e.target.value }))}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <input
+                        className="w-full border rounded p-1" list="rate-customers" placeholder="Any customer"
+                        value={r.customer} onChange={(e) => setRates(patch(rateCard.materialRates, r.id, { customer: e.target.value }))}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <input
+                        type="number" min="0" step="0.01" className="w-full border rounded p-1 text-right font-mono"
+                        value={r.rate} onChange={(e) => setRates(patch(rateCard.materialRates, r.id, { rate: parseFloat(e.target.value) || 0 }))}
+                      />
+                    </td>
+                    <td className="p-1">
+                      <select
+                        className="w-full border rounded p-1"
+                        value={r.unit} onChange={(e) => setRates(patch(rateCard.materialRates, r.id, { unit: e.target.value }))}
+                      >
+                        {RATE_UNITS.map(u => <option key={u.value} value={u.value}>{u.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-1">
+                      <button onClick={() => setRates(rateCard.materialRates.filter(x => x.id !== r.id))} className="text-red-400 hover:text-red-600"><Trash2 size={14} /></button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={() => setRates([...rateCard.materialRates, { id: newRateId('rate'), material: '', customer: '', rate: 0, unit: RATE_UNITS[0].value }])}
+              className="mt-1 text-xs text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+            >
+              <Plus size={12} /> Add material rate
+            </button>
+            <datalist id="rate-materials">{materials.map(name => <option key={name} value={name} />)}</datalist>
+            <datalist id="rate-customers">{customers.map(name => <option key={name} value={name} />)}</datalist>
+          </div>
+
+          <div className="border-t border-gray-200 pt-4 flex items-center gap-2">
+            <label className="text-gray-700 font-semibold">GST on charges (%)</label>
+            <input
+              type="number" min="0" step="0.01" className="w-24 border rounded p-1 text-right font-mono"
+              value={rateCard.gstPercent} onChange={(e) => onChange({ ...rateCard, gstPercent: parseFloat(e.target.value) || 0 })}
+            />
+            <span className="text-xs text-gray-400">0 = no GST line</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RateCardPanel;
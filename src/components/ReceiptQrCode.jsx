@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from 'react';
+
+import { receiptQrCode } from '../lib/verify';
+
+/**
+ * RECEIPT QR CODE (signed key fields, checked by the Verify Receipt screen)
+ */
+const ReceiptQrCode = ({ data, config, size, className = '' }) => {
+  const [image, setImage] = useState(null);
+  const { companyName, verificationSecret } = config;
+
+  useEffect(() => {
+    let cancelled = false;
+    receiptQrCode(data, { companyName, verificationSecret })
+      .then(url => { if (!cancelled) setImage(url); })
+      .catch(error => {
+        console.error("QR Code Error:", error);
+        if (!cancelled) setImage(null);
+      });
+    return () => { cancelled = true; };
+  }, [data, companyName, verificationSecret]);
+
+  if (!image) return null;
+  return <img src={image} alt="Verification QR code" className={className} style={{ width: size, height: size }} />;
+};
+
+export default ReceiptQrCode;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Trash2, RotateCcw, X } from 'lucide-react';
+
+import { formatDate, formatTime } from '../lib/format';
+import { canPurge, purgeableFrom } from '../lib/voids';
+
+/**
+ * RECYCLE BIN (voided tickets, restored or purged after the retention period)
+ */
+const RecycleBin = ({ receipts, retentionDays, onRestore, onPurge, onClose }) => {
+  const voided = [...receipts].sort((a, b) => String(b.voided.at).localeCompare(String(a.voided.at)));
+  const now = new Date();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><Trash2 size={18} /> Recycle Bin</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <p className="px-4 pt-3 text-xs text-gray-500">
+          Voided tickets are kept for {retentionDays} days before they can be purged. Purged RST numbers are listed as voided in the gap report.
+        </p>
+
+        <ul className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-2 text-sm">
+          {voided.length === 0 && <li className="text-center text-gray-400 py-6">The recycle bin is empty.</li>}
+          {voided.map(r => {
+            const purgeable = canPurge(r, retentionDays, now);
+            return (
+              <li key={r.id} className="border rounded p-2 flex items-start gap-2">
+                <div className="flex-1">
+                  <div className="font-bold">#{r.rstNo || '---'} - {r.vehicleNo || 'No Vehicle'} <span className="font-mono font-normal text-xs">{r.netWeight} kg</span></div>
+                  <div className="text-xs text-gray-500">Voided {formatDate(r.voided.at)} {formatTime(r.voided.at)}{r.voided.by && ` by ${r.voided.by}`}: <span className="italic">"{r.voided.reason}"</span></div>
+                  {!purgeable && <div className="text-[10px] text-gray-400">Can be purged from {formatDate(purgeableFrom(r, retentionDays))}</div>}
+                </div>
+                <button onClick={() => onRestore(r)} title="Restore to history" className="p-1 text-indigo-600 hover:text-indigo-800"><RotateCcw size={16} /></button>
+                <button
+                  onClick={() => onPurge(r)} disabled={!purgeable} title="Delete permanently"
+                  className="p-1 text-red-500 hover:text-red-700 disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default RecycleBin;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { BarChart3, Download, Printer, X } from 'lucide-react';
+
+import SummaryReport from './SummaryReport';
+import { toDateTimeLocal } from '../lib/format';
+import { REPORT_PERIODS, buildSummary } from '../lib/reports';
+
+/**
+ * REPORTS PANEL (daily / monthly summary with print and PDF export)
+ */
+const ReportsPanel = ({ receipts, config, onPrint, onClose, toast }) => {
+  const [period, setPeriod] = useState('day');
+  const [date, setDate] = useState(() => toDateTimeLocal().slice(0, 10));
+  const [isExporting, setIsExporting] = useState(false);
+
+  const summary = buildSummary(receipts, period, date);
+
+  const handleExportPdf = async () => {
+    setIsExporting(true);
+    try {
+      // jsPDF is only downloaded the first time a PDF is made
+      const { saveSummaryPdf } = await import('../lib/summaryPdf');
+      await saveSummaryPdf(summary, config, `Summary_${summary.date}.pdf`);
+      toast({ message: 'Summary report downloaded as PDF!', type: 'success' });
+    } catch (error) {
+      console.error("PDF Generation Error:", error);
+      toast({ message: `Failed to generate PDF: ${error.message || 'Unknown error'}`, type: 'error' });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><BarChart3 size={18} /> Summary Report</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="p-3 bg-gray-50 border-b border-gray-200 flex flex-wrap items-end gap-3 text-sm">
+          <div>
+            <label className="block text-gray-500 text-xs">Period</label>
+            <select className="border rounded p-1" value={period} onChange={(e) => setPeriod(e.target.value)}>
+              {REPORT_PERIODS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-500 text-xs">{period === 'month' ? 'Month' : 'Date'}</label>
+            {period === 'month' ? (
+              <input type="month" className="border rounded p-1" value={date.slice(0, 7)} onChange={(e) => setDate(`${e.target.value}-01`)} />
+            ) : (
+              <input type="date" className="border rounded p-1" value={date} onChange={(e) => setDate(e.target.value)} />
+            )}
+          </div>
+          <div className="flex-1" />
+          <button onClick={handleExportPdf} disabled={isExporting} className="bg-emerald-600 hover:bg-emerald-700 text-white px-3 py-1.5 rounded shadow flex items-center gap-2 disabled:opacity-50">
+            <Download size={16} /> {isExporting ? 'Exporting...' : 'Export PDF'}
+          </button>
+          <button onClick={() => onPrint(summary)} className="bg-gray-800 hover:bg-gray-900 text-white px-3 py-1.5 rounded shadow flex items-center gap-2">
+            <Printer size={16} /> Print
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto custom-scrollbar bg-gray-600 p-4 flex justify-center">
+          <div className="bg-white shadow-2xl h-fit">
+            <SummaryReport summary={summary} config={config} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportsPanel;
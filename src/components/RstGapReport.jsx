@@ -0,0 +1,61 @@
+import React from 'react';
+import { ClipboardList, X } from 'lucide-react';
+
+import { formatDate, formatTime } from '../lib/format';
+
+/**
+ * RST GAP REPORT (skipped and voided serial numbers, for auditors)
+ */
+const RstGapReport = ({ report, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn">
+    <div className="bg-white rounded-lg shadow-2xl w-full max-w-lg max-h-[85vh] flex flex-col overflow-hidden">
+      <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+        <h4 className="font-bold flex items-center gap-2"><ClipboardList size={18} /> RST Gap Report</h4>
+        <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-4 text-sm">
+        {report.length === 0 && (
+          <p className="text-center text-xs text-gray-400 italic">No RST numbers issued yet</p>
+        )}
+        {report.map(s => (
+          <div key={s.series}>
+            <div className="flex justify-between items-baseline border-b border-gray-200 pb-1 mb-2">
+              <h5 className="font-bold text-gray-700">{s.series === 'default' ? 'Continuous series' : `FY ${s.series}`}</h5>
+              <span className="text-xs text-gray-500">
+                {s.first !== null ? `${s.first} – ${s.last}` : '---'} • {s.issued} tickets • {s.missing} gaps
+              </span>
+            </div>
+            {s.gaps.length === 0 ? (
+              <p className="text-xs text-green-600 font-semibold">No gaps in this series.</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 uppercase">
+                    <th className="py-1">RST No</th>
+                    <th className="py-1">Status</th>
+                    <th className="py-1">Reason</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {s.gaps.map(g => (
+                    <tr key={g.number}>
+                      <td className="py-1 font-mono font-bold">{g.rstNo}</td>
+                      <td className={`py-1 font-semibold uppercase ${g.status === 'voided' ? 'text-amber-600' : 'text-red-600'}`}>{g.status}</td>
+                      <td className="py-1 text-gray-600">
+                        {g.reason || (g.count > 1 ? `${g.count} numbers` : '—')}
+                        {g.voidedAt && <span className="text-gray-400"> ({formatDate(g.voidedAt)} {formatTime(g.voidedAt)}{g.by && ` by ${g.by}`})</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+export default RstGapReport;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useRef, useImperativeHandle } from 'react';
+import { Plug, Unplug, Scale } from 'lucide-react';
+
+import { getScaleParser } from '../lib/scale';
+import { createSerialAdapter, createSimulatedAdapter, isWebSerialSupported } from '../lib/scaleAdapters';
+
+/**
+ * SCALE CAPTURE (live indicator reading with stable-only capture)
+ * The ref's capture(field) lets hotkeys take the reading; it returns false when there is none to take.
+ * stableWeight() gives the reading to other weight fields, or null while there is no stable one.
+ */
+const ScaleCapture = React.forwardRef(({ config, onCapture, onError }, ref) => {
+  const [reading, setReading] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const adapterRef = useRef(null);
+
+  // Drop the connection if the component unmounts or the scale settings change
+  useEffect(() => () => {
+    adapterRef.current?.stop();
+    adapterRef.current = null;
+    setConnected(false);
+    setReading(null);
+  }, [config.scaleProtocol, config.scaleBaudRate, config.scaleSimulate]);
+
+  const handleConnect = async () => {
+    const parser = getScaleParser(config.scaleProtocol);
+    const adapter = config.scaleSimulate
+      ? createSimulatedAdapter({ parser })
+      : createSerialAdapter({ parser, baudRate: parseInt(config.scaleBaudRate, 10) || 2400 });
+
+    try {
+      await adapter.start(setReading, (error) => {
+        onError(`Scale connection lost: ${error.message}`);
+        setConnected(false);
+        setReading(null);
+      });
+      adapterRef.current = adapter;
+      setConnected(true);
+    } catch (error) {
+      // Closing the port picker without choosing a port is not an error worth reporting
+      if (error.name !== 'NotFoundError') onError(`Could not connect to scale: ${error.message}`);
+    }
+  };
+
+  const handleDisconnect = async () => {
+    await adapterRef.current?.stop();
+    adapterRef.current = null;
+    setConnected(false);
+    setReading(null);
+  };
+
+  const canCapture = connected && reading?.stable;
+
+  useImperativeHandle(ref, () => ({
+    capture: (field) => {
+      if (!canCapture) return false;
+      onCapture(field, reading.weight);
+      return true;
+    },
+    stableWeight: () => (canCapture ? reading.weight : null),
+  }), [canCapture, reading, onCapture]);
+  const unsupported = !config.scaleSimulate && !isWebSerialSupported();
+
+  return (
+    <div className="bg-white p-2 rounded border border-indigo-100 flex items-center gap-2">
+      <button
+        onClick={connected ? handleDisconnect : handleConnect}
+        disabled={unsupported}
+        title={unsupported ? 'Web Serial needs Chrome or Edge' : (connected ? 'Disconnect scale' : 'Connect scale')}
+        className="p-2 rounded bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-40"
+      >
+        {connected ? <Unplug size={16} /> : <Plug size={16} />}
+      </button>
+
+      <div className="flex-1 flex items-center gap-2">
+        <span
+          className={`h-3 w-3 rounded-full shrink-0 ${!connected || !reading ? 'bg-gray-300' : reading.stable ? 'bg-green-500' : 'bg-amber-400 animate-pulse'}`}
+        />
+        <span className="font-mono text-lg font-bold text-right w-24">{connected && reading ? reading.weight : '-----'}</span>
+        <span className="text-xs text-gray-500 uppercase">
+          {!connected ? (config.scaleSimulate ? 'Simulator off' : 'Scale off') : reading?.stable ? 'Stable' : 'Unstable'}
+        </span>
+      </div>
+
+      <button
+        onClick={() => onCapture('grossWeight', reading.weight)} disabled={!canCapture}
+        className="bg-indigo-600 hover:bg-indigo-700 text-white px-2 py-1 rounded text-xs flex items-center gap-1 disabled:opacity-40"
+      >
+        <Scale size={14} /> Gross
+      </button>
+      <button
+        onClick={() => onCapture('tareWeight', reading.weight)} disabled={!canCapture}
+        className="bg-indigo-600 hover:bg-indigo-700 text-white px-2 py-1 rounded text-xs flex items-center gap-1 disabled:opacity-40"
+      >
+        <Scale size={14} /> Tare
+      </button>
+    </div>
+  );
+});
+
+export default ScaleCapture;
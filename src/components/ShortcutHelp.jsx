@@ -0,0 +1,41 @@
+import React from 'react';
+import { Keyboard, X } from 'lucide-react';
+
+import { SHORTCUTS } from '../lib/keyboard';
+
+/**
+ * SHORTCUT HELP (keyboard mode keys; F1 or Esc closes it)
+ */
+const ShortcutHelp = ({ onClose }) => (
+  <div onClick={onClose} className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+    <div onClick={(e) => e.stopPropagation()} className="bg-white rounded-lg shadow-2xl w-full max-w-md overflow-hidden">
+      <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+        <h4 className="font-bold flex items-center gap-2"><Keyboard size={18} /> Keyboard Shortcuts</h4>
+        <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+      </div>
+      <div className="p-4 text-sm space-y-3">
+        <table className="w-full">
+          <tbody>
+            {SHORTCUTS.map(s => (
+              <tr key={s.action} className="border-b last:border-0">
+                <td className="py-1.5 pr-3 whitespace-nowrap">
+                  {s.keys.map(k => <kbd key={k} className="mr-1 px-1.5 py-0.5 border rounded bg-gray-100 font-mono text-xs">{k}</kbd>)}
+                </td>
+                <td className="py-1.5 text-gray-700">{s.label}</td>
+              </tr>
+            ))}
+            <tr className="border-b last:border-0">
+              <td className="py-1.5 pr-3 whitespace-nowrap">
+                <kbd className="mr-1 px-1.5 py-0.5 border rounded bg-gray-100 font-mono text-xs">Enter</kbd>
+                <kbd className="mr-1 px-1.5 py-0.5 border rounded bg-gray-100 font-mono text-xs">Tab</kbd>
+              </td>
+              <td className="py-1.5 text-gray-700">Next field (Shift+Tab goes back)</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  </div>
+);
+
+export default ShortcutHelp;
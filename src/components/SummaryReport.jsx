@@ -0,0 +1,93 @@
+import React from 'react';
+
+import { formatDate, formatTime } from '../lib/format';
+
+// One breakdown table (material, customer or vehicle) in the receipt's column style
+const BreakdownTable = ({ title, rows, showCharges }) => (
+  <div className="mt-3">
+    <div className="font-bold text-sm uppercase border-b border-black border-dashed pb-1">{title}</div>
+    <div className="flex text-xs font-bold uppercase pt-1">
+      <span className="flex-1">Name</span>
+      <span className="w-16 text-right">Tickets</span>
+      <span className="w-28 text-right">Net (kg)</span>
+      {showCharges && <span className="w-24 text-right">Rs.</span>}
+    </div>
+    {rows.map(row => (
+      <div key={row.key} className="flex text-sm">
+        <span className="flex-1 truncate">{row.key}</span>
+        <span className="w-16 text-right">{row.count}</span>
+        <span className="w-28 text-right font-bold">{row.net}</span>
+        {showCharges && <span className="w-24 text-right">{row.charges}</span>}
+      </div>
+    ))}
+    {rows.length === 0 && <div className="text-sm italic">No tickets</div>}
+  </div>
+);
+
+/**
+ * SUMMARY REPORT TEMPLATE (Forwarded Ref, printed in the receipt's Courier style)
+ */
+const SummaryReport = React.forwardRef(({ summary, config }, ref) => (
+  <div
+    ref={ref}
+    className="p-1 bg-white text-black box-border"
+    style={{
+      width: '200mm',
+      fontFamily: '"Courier Prime", "Courier New", monospace',
+      fontSize: '14px',
+      lineHeight: '1.3',
+    }}
+  >
+    {/* Header */}
+    <div className="text-center mb-3">
+      <h1 className="text-2xl font-bold tracking-tight uppercase" style={{ letterSpacing: '1px' }}>{config.companyName}</h1>
+      <p className="text-xs mt-1 uppercase mx-auto" style={{ lineHeight: '1.2', whiteSpace: 'pre-wrap' }}>{config.address}</p>
+      <p className="mt-2 font-bold uppercase tracking-widest">
+        {summary.period === 'month' ? 'Monthly' : 'Daily'} Summary : {summary.label}
+      </p>
+    </div>
+
+    {/* Totals */}
+    <div className="border-t border-b border-black border-dashed py-1 space-y-1">
+      <div className="flex">
+        <span className="w-40 shrink-0">TICKETS</span>
+        <span className="shrink-0 mr-4">:</span>
+        <span className="font-bold">{summary.ticketCount}</span>
+        {summary.voidedCount > 0 && <span className="ml-4 text-xs">(+ {summary.voidedCount} VOID, NOT COUNTED)</span>}
+      </div>
+      <div className="flex">
+        <span className="w-40 shrink-0">TOTAL NET Wt</span>
+        <span className="shrink-0 mr-4">:</span>
+        <span className="font-bold">{summary.totalNet} kg</span>
+      </div>
+      {config.showCharges && (
+        <div className="flex">
+          <span className="w-40 shrink-0">CHARGES COLLECTED</span>
+          <span className="shrink-0 mr-4">:</span>
+          <span className="font-bold">Rs. {summary.totalCharges}</span>
+        </div>
+      )}
+      {config.showCharges && summary.chargeSplit && (
+        <div className="flex text-xs pl-4">
+          <span>
+            WEIGHING FEES Rs. {summary.chargeSplit.fees} + MATERIAL Rs. {summary.chargeSplit.material}
+            {' '}+ GST Rs. {summary.chargeSplit.gst}
+            {summary.chargeSplit.other > 0 && ` + OTHER / MANUAL Rs. ${summary.chargeSplit.other}`}
+          </span>
+        </div>
+      )}
+    </div>
+
+    <BreakdownTable title="By Material" rows={summary.byMaterial} showCharges={config.showCharges} />
+    <BreakdownTable title="By Customer" rows={summary.byCustomer} showCharges={config.showCharges} />
+    <BreakdownTable title="By Vehicle" rows={summary.byVehicle} showCharges={config.showCharges} />
+
+    {/* Footer */}
+    <div className="mt-4 pt-1 border-t border-black border-dotted flex justify-between text-xs uppercase">
+      <span>Printed: {formatDate(summary.generatedAt)} {formatTime(summary.generatedAt)}</span>
+      <span>Operator's Signature:</span>
+    </div>
+  </div>
+));
+
+export default SummaryReport;
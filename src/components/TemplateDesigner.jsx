@@ -0,0 +1,176 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, ArrowLeftRight, Trash2, Plus, Download, Upload, RotateCcw } from 'lucide-react';
+
+import {
+  DEFAULT_TEMPLATE, TEMPLATE_FIELDS, TEMPLATE_LABELS, TEMPLATE_SPACING,
+  createCell, newRowId, parseTemplate, downloadTemplate,
+} from '../lib/template';
+
+// Editor for one side of a detail row: field, caption, visibility and weight
+const CellEditor = ({ side, cell, onChange }) => (
+  <div className="space-y-1">
+    <div className="flex items-center gap-1">
+      <span className="w-9 shrink-0 text-[10px] text-gray-400 uppercase">{side}</span>
+      <select
+        className="flex-1 min-w-0 border rounded p-0.5 text-xs"
+        value={cell ? cell.field : ''}
+        onChange={(e) => onChange(e.target.value ? createCell(e.target.value) : null)}
+      >
+        <option value="">— empty —</option>
+        {TEMPLATE_FIELDS.map(f => <option key={f.key} value={f.key}>{f.name}</option>)}
+      </select>
+      {cell && (
+        <>
+          <label className="flex items-center gap-0.5 text-[10px] text-gray-500" title="Print this field">
+            <input type="checkbox" checked={cell.visible} onChange={(e) => onChange({ ...cell, visible: e.target.checked })} className="h-3 w-3" />
+            Show
+          </label>
+          <label className="flex items-center gap-0.5 text-[10px] text-gray-500" title="Print the value in bold">
+            <input type="checkbox" checked={cell.bold} onChange={(e) => onChange({ ...cell, bold: e.target.checked })} className="h-3 w-3" />
+            Bold
+          </label>
+        </>
+      )}
+    </div>
+    {cell && (
+      <div className="flex gap-1 pl-10">
+        <input
+          className="flex-1 min-w-0 border rounded p-0.5 text-xs font-mono"
+          placeholder="Label" value={cell.label}
+          onChange={(e) => onChange({ ...cell, label: e.target.value })}
+        />
+        {cell.field === 'text' && (
+          <input
+            className="flex-1 min-w-0 border rounded p-0.5 text-xs font-mono"
+            placeholder="Text" value={cell.text}
+            onChange={(e) => onChange({ ...cell, text: e.target.value })}
+          />
+        )}
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * TEMPLATE DESIGNER (field placement, labels and spacing of the printed receipt)
+ */
+const TemplateDesigner = ({ template, onChange, toast }) => {
+  const rows = template.rows;
+
+  const setRows = (next) => onChange({ ...template, rows: next });
+  const updateRow = (index, patch) => setRows(rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+  const moveRow = (index, delta) => {
+    const next = [...rows];
+    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+    setRows(next);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      onChange(parseTemplate(await file.text()));
+      toast({ message: `Template loaded from ${file.name}.`, type: 'success' });
+    } catch (error) {
+      toast({ message: `${file.name}: ${error.message}`, type: 'error' });
+    }
+  };
+
+  return (
+    <div className="space-y-3 border rounded bg-white p-2">
+      {/* Detail rows */}
+      <div>
+        <h4 className="text-xs font-bold text-gray-600 uppercase mb-1">Detail Rows</h4>
+        <div className="space-y-2">
+          {rows.map((row, i) => (
+            <div key={row.id} className="border rounded p-1.5 bg-gray-50 space-y-1">
+              <div className="flex items-center justify-between text-[10px] text-gray-400">
+                <span className="uppercase font-semibold">Row {i + 1}</span>
+                <div className="flex gap-1">
+                  <button onClick={() => moveRow(i, -1)} disabled={i === 0} className="p-0.5 hover:text-indigo-600 disabled:opacity-30" title="Move up"><ArrowUp size={12} /></button>
+                  <button onClick={() => moveRow(i, 1)} disabled={i === rows.length - 1} className="p-0.5 hover:text-indigo-600 disabled:opacity-30" title="Move down"><ArrowDown size={12} /></button>
+                  <button onClick={() => updateRow(i, { left: row.right, right: row.left })} className="p-0.5 hover:text-indigo-600" title="Swap columns"><ArrowLeftRight size={12} /></button>
+                  <button onClick={() => setRows(rows.filter((_, j) => j !== i))} className="p-0.5 hover:text-red-600" title="Remove row"><Trash2 size={12} /></button>
+                </div>
+              </div>
+              <CellEditor side="Left" cell={row.left} onChange={(left) => updateRow(i, { left })} />
+              <CellEditor side="Right" cell={row.right} onChange={(right) => updateRow(i, { right })} />
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setRows([...rows, { id: newRowId(), left: createCell('text'), right: null }])}
+          className="mt-1 text-xs text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+        >
+          <Plus size={12} /> Add row
+        </button>
+      </div>
+
+      {/* Fixed captions */}
+      <div>
+        <h4 className="text-xs font-bold text-gray-600 uppercase mb-1">Labels</h4>
+        <div className="grid grid-cols-2 gap-x-2 gap-y-1">
+          {TEMPLATE_LABELS.map(l => (
+            <div key={l.key}>
+              <label className="block text-gray-500 text-[10px]">{l.name}</label>
+              <input
+                className="w-full border rounded p-0.5 text-xs font-mono"
+                value={template.labels[l.key]}
+                onChange={(e) => onChange({ ...template, labels: { ...template.labels, [l.key]: e.target.value } })}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Section toggles */}
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-700">
+        {[['dateTime', 'Date & time'], ['words', 'Weight in words'], ['chargesWords', 'Charges in words'], ['signatures', 'Signatures'], ['qrCode', 'Verification QR']].map(([key, name]) => (
+          <label key={key} className="flex items-center gap-1">
+            <input
+              type="checkbox" checked={template.show[key]} className="h-3 w-3"
+              onChange={(e) => onChange({ ...template, show: { ...template.show, [key]: e.target.checked } })}
+            />
+            {name}
+          </label>
+        ))}
+      </div>
+
+      {/* Spacing for pre-printed stationery */}
+      <div>
+        <h4 className="text-xs font-bold text-gray-600 uppercase mb-1">Spacing (px)</h4>
+        <div className="grid grid-cols-2 gap-x-2 gap-y-1">
+          {TEMPLATE_SPACING.map(sp => (
+            <div key={sp.key}>
+              <label className="block text-gray-500 text-[10px]">{sp.name}</label>
+              <input
+                type="number" min="0"
+                className="w-full border rounded p-0.5 text-xs"
+                value={template.spacing[sp.key]}
+                onChange={(e) => onChange({ ...template, spacing: { ...template.spacing, [sp.key]: Math.max(0, Number(e.target.value) || 0) } })}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 pt-1 border-t border-gray-100 text-xs">
+        <button onClick={() => downloadTemplate(template, 'receipt-template.json')} className="flex items-center gap-1 text-gray-600 hover:text-indigo-700">
+          <Download size={12} /> Save JSON
+        </button>
+        <label className="flex items-center gap-1 text-gray-600 hover:text-indigo-700 cursor-pointer">
+          <Upload size={12} /> Load JSON
+          <input type="file" accept=".json,application/json" className="hidden" onChange={handleFile} />
+        </label>
+        <div className="flex-1" />
+        <button onClick={() => onChange(DEFAULT_TEMPLATE)} className="flex items-center gap-1 text-gray-500 hover:text-red-600">
+          <RotateCcw size={12} /> Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateDesigner;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { RefreshCw, WifiOff, X } from 'lucide-react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+/**
+ * UPDATE PROMPT (service worker: offline ready / new version downloaded)
+ */
+const UpdatePrompt = () => {
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisterError: (error) => console.error("Service Worker Error:", error),
+  });
+
+  if (!offlineReady && !needRefresh) return null;
+
+  const close = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <div className="fixed bottom-4 left-4 bg-gray-900 text-white px-4 py-3 rounded-lg shadow-xl flex items-center gap-3 z-[9999] animate-fadeIn no-print text-sm">
+      {needRefresh ? <RefreshCw size={18} /> : <WifiOff size={18} />}
+      <p className="font-semibold">
+        {needRefresh ? 'A new version has been downloaded. Save your work, then reload.' : 'Ready to work offline.'}
+      </p>
+      {needRefresh && (
+        <button onClick={() => updateServiceWorker(true)} className="bg-indigo-600 hover:bg-indigo-500 px-3 py-1 rounded font-semibold">
+          Reload
+        </button>
+      )}
+      <button onClick={close} className="p-1 -mr-2 rounded-full hover:bg-white/20" title={needRefresh ? 'Later' : 'Dismiss'}>
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,191 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ShieldCheck, ShieldAlert, Camera, X } from 'lucide-react';
+
+import { QR_FIELDS, verifyQrPayload } from '../lib/verify';
+import { formatDate, formatTime } from '../lib/format';
+
+const RESULTS = {
+  valid: { ok: true, title: 'Genuine receipt', text: 'The QR code is signed by this site and matches the stored ticket.' },
+  forged: { ok: false, title: 'Not genuine', text: 'The signature does not match. The slip was altered or was not issued here.' },
+  unknown: { ok: false, title: 'No such ticket', text: 'The signature is genuine but no ticket with this RST is in history (it may have been purged).' },
+  void: { ok: false, title: 'Ticket is void', text: 'The signature is genuine but the ticket has been voided.' },
+  amended: { ok: false, title: 'Superseded by an amendment', text: 'This slip is an earlier version. The ticket was amended after it was printed.' },
+  mismatch: { ok: false, title: 'Differs from stored ticket', text: 'The signature is genuine but the stored ticket no longer has these values.' },
+};
+
+// Reads QR codes from the camera where the browser can decode them (BarcodeDetector)
+const CameraScanner = ({ onScan, onError }) => {
+  const videoRef = useRef(null);
+  // Latest callbacks, so a parent re-render doesn't restart the camera
+  const callbacks = useRef({ onScan, onError });
+  useEffect(() => {
+    callbacks.current = { onScan, onError };
+  });
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    // Closed while a step below was pending: the cleanup may have run before the stream existed
+    const closed = () => {
+      if (!stopped && videoRef.current) return false;
+      if (stream) stream.getTracks().forEach(t => t.stop());
+      return true;
+    };
+
+    const start = async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (closed()) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        if (closed()) return;
+        timer = setInterval(async () => {
+          const video = videoRef.current;
+          if (!video) return;
+          try {
+            const codes = await detector.detect(video);
+            if (!stopped && codes.length > 0) callbacks.current.onScan(codes[0].rawValue);
+          } catch {
+            // A frame that can't be read yet (video still starting); try the next one
+          }
+        }, 300);
+      } catch (error) {
+        // play() is aborted when the scanner closes mid-start; that is not a camera fault
+        if (!closed()) callbacks.current.onError(error);
+      }
+    };
+    start();
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach(t => t.stop());
+    };
+  }, []);
+
+  return <video ref={videoRef} muted playsInline className="w-full rounded bg-black" />;
+};
+
+/**
+ * VERIFY RECEIPT PANEL (checks a scanned or pasted QR payload against history)
+ */
+const VerifyReceiptPanel = ({ secret, receipts, companyOf, onOpen, onClose }) => {
+  const [payload, setPayload] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  const verify = async (value) => {
+    setError('');
+    setResult(null);
+    try {
+      setResult(await verifyQrPayload(value, secret, receipts, companyOf));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    verify(payload);
+  };
+
+  const handleScan = (value) => {
+    setScanning(false);
+    setPayload(value);
+    verify(value);
+  };
+
+  const handleScanError = (e) => {
+    setScanning(false);
+    setError(`Camera unavailable: ${e.message}`);
+  };
+
+  const info = result && RESULTS[result.status];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <div className="bg-white rounded-lg shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><ShieldCheck size={18} /> Verify Receipt</h4>
+          <button onClick={onClose} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-3 text-sm">
+          <form onSubmit={handleSubmit} className="space-y-2">
+            <label className="block text-xs font-semibold text-gray-500 uppercase">QR code contents</label>
+            <textarea
+              autoFocus rows={3} className="w-full border border-gray-300 rounded p-2 font-mono text-xs"
+              placeholder="Scan the receipt with a QR scanner, or paste the text here"
+              value={payload} onChange={(e) => setPayload(e.target.value)}
+            />
+            <div className="flex gap-2">
+              <button type="submit" disabled={!payload.trim()} className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded shadow text-sm disabled:opacity-40">
+                Verify
+              </button>
+              {canScan && (
+                <button type="button" onClick={() => setScanning(!scanning)} className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded text-sm flex items-center gap-1">
+                  <Camera size={16} /> {scanning ? 'Stop Camera' : 'Scan with Camera'}
+                </button>
+              )}
+            </div>
+          </form>
+
+          {scanning && <CameraScanner onScan={handleScan} onError={handleScanError} />}
+
+          {error && <p className="p-2 rounded bg-red-50 border border-red-200 text-red-700 text-xs">{error}</p>}
+
+          {info && (
+            <div className={`p-3 rounded border ${info.ok ? 'bg-green-50 border-green-300' : 'bg-red-50 border-red-300'}`}>
+              <div className={`font-bold flex items-center gap-2 ${info.ok ? 'text-green-700' : 'text-red-700'}`}>
+                {info.ok ? <ShieldCheck size={18} /> : <ShieldAlert size={18} />} {info.title}
+              </div>
+              <p className="text-xs text-gray-600 mt-1">{info.text}</p>
+
+              <table className="w-full text-xs mt-2">
+                <thead className="text-gray-500 uppercase">
+                  <tr>
+                    <th className="text-left p-1">Field</th>
+                    <th className="text-left p-1">On slip</th>
+                    {result.record && <th className="text-left p-1">Stored</th>}
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  <tr className="border-t">
+                    <td className="p-1 font-sans font-semibold">Company</td>
+                    <td className="p-1" colSpan={2}>{result.parsed.company}</td>
+                  </tr>
+                  {QR_FIELDS.map(f => {
+                    const diff = result.differences.find(d => d.key === f.key);
+                    return (
+                      <tr key={f.key} className={`border-t ${diff ? 'text-red-700 font-bold' : ''}`}>
+                        <td className="p-1 font-sans font-semibold">{f.label}</td>
+                        <td className="p-1">{result.parsed.fields[f.key]}</td>
+                        {result.record && <td className="p-1">{diff ? diff.stored : '✓'}</td>}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {result.record && (
+                <div className="flex justify-between items-center mt-2 text-xs text-gray-500">
+                  <span>
+                    {result.record.voided && `Voided ${formatDate(result.record.voided.at)} ${formatTime(result.record.voided.at)}: "${result.record.voided.reason}"`}
+                  </span>
+                  <button onClick={() => onOpen(result.record)} className="text-indigo-600 hover:text-indigo-800 font-semibold">Open ticket</button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyReceiptPanel;
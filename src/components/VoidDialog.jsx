@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { Ban, X } from 'lucide-react';
+
+/**
+ * VOID DIALOG (asks why a saved ticket is being voided)
+ */
+const VoidDialog = ({ receipt, onConfirm, onCancel }) => {
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (reason.trim()) onConfirm(reason);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[9997] backdrop-blur-sm animate-fadeIn no-print">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-2xl w-full max-w-sm overflow-hidden">
+        <div className="p-4 bg-indigo-700 text-white flex justify-between items-center">
+          <h4 className="font-bold flex items-center gap-2"><Ban size={18} /> Void RST {receipt.rstNo}</h4>
+          <button type="button" onClick={onCancel} className="p-1 rounded hover:bg-indigo-600"><X size={18} /></button>
+        </div>
+
+        <div className="p-4 space-y-3 text-sm">
+          <p className="text-xs text-gray-500">
+            {receipt.vehicleNo} • {receipt.netWeight} kg. The ticket stays in history marked VOID and is left out of all totals.
+            It can be restored from the recycle bin.
+          </p>
+          <div>
+            <label className="block text-xs font-semibold text-gray-500 uppercase">Reason for voiding</label>
+            <input
+              autoFocus className="w-full border border-gray-300 rounded p-2"
+              value={reason} onChange={(e) => setReason(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 bg-gray-50 border-t">
+          <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded text-sm font-semibold text-gray-700">Cancel</button>
+          <button type="submit" disabled={!reason.trim()} className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded text-sm font-semibold disabled:opacity-40">
+            Void Ticket
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default VoidDialog;
@@ -0,0 +1,71 @@
+// Edit history of saved receipts. A saved ticket is locked: later changes are only
+// stored as amendments, each with its reason, the old and new value of every
+// changed field and the whole version it replaced, appended to receipt.amendments
+// and never rewritten.
+//
+// receipt.amendments = [{ at, by, reason, changes: [{ field, label, from, to }], previous }]
+
+export const AMENDED_MARK = 'AMENDED / DUPLICATE';
+
+// Fields that make up a ticket as printed or billed, in receipt order
+export const AUDITED_FIELDS = [
+  { field: 'rstNo', label: 'RST No' },
+  { field: 'profileId', label: 'Company profile' },
+  { field: 'vehicleNo', label: 'Vehicle No' },
+  { field: 'customer', label: 'Customer' },
+  { field: 'supplier', label: 'Supplier' },
+  { field: 'material', label: 'Material' },
+  { field: 'vehicleClass', label: 'Vehicle class' },
+  { field: 'grossWeight', label: 'Gross weight' },
+  { field: 'tareWeight', label: 'Tare weight' },
+  { field: 'netWeight', label: 'Net weight' },
+  { field: 'dateTimeIn', label: 'Date/time in' },
+  { field: 'dateTimeOut', label: 'Date/time out' },
+  { field: 'charges', label: 'Charges' },
+  { field: 'chargesReason', label: 'Charges override reason' },
+  { field: 'remarks', label: 'Remarks' },
+];
+
+export const isLocked = (receipt) => !!receipt && !!receipt.lockedAt;
+
+export const isAmended = (receipt) => !!receipt && Array.isArray(receipt.amendments) && receipt.amendments.length > 0;
+
+// Printed on reprints so an amended ticket can't pass for the original
+export const amendmentMark = (receipt) => (isAmended(receipt) ? AMENDED_MARK : '');
+
+// Locks a ticket as it is first saved
+export const lockReceipt = (receipt) => ({
+  ...receipt,
+  lockedAt: receipt.lockedAt || new Date().toISOString(),
+  amendments: receipt.amendments || [],
+});
+
+const shown = (value) => String(value ?? '').trim();
+
+export const diffReceipts = (before, after) => AUDITED_FIELDS
+  .filter(({ field }) => shown(before[field]) !== shown(after[field]))
+  .map(({ field, label }) => ({ field, label, from: shown(before[field]), to: shown(after[field]) }));
+
+// The replaced version without its own history, so amendments don't nest
+const snapshot = (receipt) => {
+  const { amendments: _amendments, ...rest } = receipt;
+  return rest;
+};
+
+// New version of a locked ticket; its lock and earlier amendments come from the stored
+// version, so an edited copy can't drop them. `by` is the signed-in operator's name.
+// Throws when nothing changed.
+export const amendReceipt = (before, after, reason, by = '') => {
+  const changes = diffReceipts(before, after);
+  if (changes.length === 0) throw new Error('Nothing has changed on this ticket.');
+  if (!shown(reason)) throw new Error('A reason is required to amend a saved ticket.');
+
+  return {
+    ...after,
+    lockedAt: before.lockedAt,
+    amendments: [
+      ...(before.amendments || []),
+      { at: new Date().toISOString(), by, reason: shown(reason), changes, previous: snapshot(before) },
+    ],
+  };
+};
@@ -0,0 +1,144 @@
+// Single-file backup and restore of everything the app keeps in this browser:
+// receipt history, template settings, open tickets, the RST series counters, master
+// lists and operator accounts. Version 1 backups have no masters or operators; restoring
+// one leaves this PC's as they are.
+
+import { isLocked, isAmended } from './audit';
+import { downloadBlob } from './download';
+import { MASTER_TYPES, findEntry } from './masters';
+import { isVoided } from './voids';
+
+export const BACKUP_FORMAT = 'weight-receipt-maker-backup';
+export const BACKUP_VERSION = 2;
+
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const createBackup = async ({ receipts, config, pendingTickets, seriesState, masters, operators }) => {
+  const data = { receipts, config, pendingTickets, seriesState, masters, operators };
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    checksum: await sha256(JSON.stringify(data)),
+    data,
+  };
+};
+
+export const downloadBackup = (backup, filename) => {
+  downloadBlob(new Blob([JSON.stringify(backup)], { type: 'application/json' }), filename);
+};
+
+// Parses and verifies a backup file; throws with a message fit for the operator
+export const readBackup = async (file) => {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+
+  if (backup?.format !== BACKUP_FORMAT) throw new Error('File is not a weight receipt backup.');
+  if (backup.version > BACKUP_VERSION) throw new Error(`Backup version ${backup.version} is newer than this app supports.`);
+
+  const { data } = backup;
+  if (!data || !Array.isArray(data.receipts) || data.receipts.some(r => r?.id === undefined || r?.id === null)) {
+    throw new Error('Backup receipts are missing or malformed.');
+  }
+  if (await sha256(JSON.stringify(data)) !== backup.checksum) {
+    throw new Error('Checksum mismatch: the backup file is damaged or was edited.');
+  }
+
+  return {
+    ...backup,
+    data: {
+      receipts: data.receipts,
+      config: data.config || null,
+      pendingTickets: Array.isArray(data.pendingTickets) ? data.pendingTickets : [],
+      seriesState: data.seriesState || { counters: {}, voided: [] },
+      masters: data.masters || null,
+      operators: Array.isArray(data.operators) ? data.operators : null,
+    },
+  };
+};
+
+const mergeById = (current, incoming) => {
+  const ids = new Set(current.map(r => r.id));
+  return [...current, ...incoming.filter(r => !ids.has(r.id))];
+};
+
+const mergeSeries = (current, incoming) => {
+  const counters = { ...current.counters };
+  Object.entries(incoming.counters || {}).forEach(([series, n]) => {
+    counters[series] = Math.max(counters[series] || 0, n);
+  });
+  const seen = new Set(current.voided.map(v => `${v.rstSeries}|${v.rstNo}`));
+  const voided = [...current.voided, ...(incoming.voided || []).filter(v => !seen.has(`${v.rstSeries}|${v.rstNo}`))];
+  return { counters, voided };
+};
+
+// Adds the backup's master entries this PC doesn't have yet
+const mergeMasters = (current, incoming) => MASTER_TYPES.reduce((masters, { key }) => ({
+  ...masters,
+  [key]: [...masters[key], ...(incoming[key] || []).filter(e => !findEntry(masters, key, e.name))],
+}), current);
+
+// Adds the backup's operators; an account whose name is taken here is left out
+const mergeOperators = (current, incoming) => [
+  ...current,
+  ...incoming.filter(o => !current.some(c => c.id === o.id || c.name.toUpperCase() === o.name.toUpperCase())),
+];
+
+// Tickets that are locked, amended or voided carry an audit trail a replace would lose
+const isProtected = (r) => isLocked(r) || isAmended(r) || isVoided(r);
+
+// Works out the restored state without applying it. 'replace' swaps everything for
+// the backup; 'merge' keeps local data and only adds what the backup has extra.
+// summary.protectedLost lists the locked, amended or voided local tickets a replace
+// would overwrite or remove, for the operator to confirm.
+export const planRestore = (current, backup, mode) => {
+  const incoming = backup.data;
+  const currentIds = new Set(current.receipts.map(r => r.id));
+  const incomingById = new Map(incoming.receipts.map(r => [r.id, r]));
+  const changed = (r) => {
+    const local = current.receipts.find(c => c.id === r.id);
+    return local && JSON.stringify(local) !== JSON.stringify(r);
+  };
+
+  const next = mode === 'replace'
+    ? {
+        receipts: [...incoming.receipts].sort((a, b) => b.id - a.id),
+        config: incoming.config || current.config,
+        pendingTickets: incoming.pendingTickets,
+        seriesState: incoming.seriesState,
+        masters: incoming.masters || current.masters,
+        operators: incoming.operators || current.operators,
+      }
+    : {
+        receipts: mergeById(current.receipts, incoming.receipts).sort((a, b) => b.id - a.id),
+        config: current.config,
+        pendingTickets: mergeById(current.pendingTickets, incoming.pendingTickets),
+        seriesState: mergeSeries(current.seriesState, incoming.seriesState),
+        masters: incoming.masters ? mergeMasters(current.masters, incoming.masters) : current.masters,
+        operators: incoming.operators ? mergeOperators(current.operators, incoming.operators) : current.operators,
+      };
+
+  const summary = {
+    added: incoming.receipts.filter(r => !currentIds.has(r.id)).length,
+    updated: mode === 'replace' ? incoming.receipts.filter(changed).length : 0,
+    keptLocal: mode === 'merge' ? incoming.receipts.filter(changed).length : 0,
+    removed: mode === 'replace' ? current.receipts.filter(r => !incomingById.has(r.id)).length : 0,
+    protectedLost: mode === 'replace'
+      ? current.receipts.filter(r => isProtected(r) && (!incomingById.has(r.id) || changed(incomingById.get(r.id))))
+      : [],
+    configChanged: JSON.stringify(next.config) !== JSON.stringify(current.config),
+    mastersChanged: JSON.stringify(next.masters) !== JSON.stringify(current.masters),
+    operators: next.operators.length,
+    pendingTickets: next.pendingTickets.length,
+    totalReceipts: next.receipts.length,
+  };
+
+  return { next, summary };
+};
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { BACKUP_VERSION, createBackup, planRestore, readBackup } from './backup';
+
+const masters = { customers: [{ id: 'c1', name: 'Shree Traders' }], suppliers: [], materials: [], vehicles: [], enforced: {} };
+const operators = [{ id: 'op-1', name: 'Asha', role: 'supervisor', salt: 'aa', pinHash: 'bb' }];
+const current = {
+  receipts: [
+    { id: 2, rstNo: '2', netWeight: 500, lockedAt: '2026-03-01T10:00:00.000Z' },
+    { id: 1, rstNo: '1', netWeight: 400 },
+  ],
+  config: { companyName: 'Here' },
+  pendingTickets: [],
+  seriesState: { counters: { default: 2 }, voided: [] },
+  masters,
+  operators,
+};
+const asFile = (backup) => ({ text: async () => JSON.stringify(backup) });
+
+describe('backup', () => {
+  it('keeps master lists and operator accounts', async () => {
+    const backup = await readBackup(asFile(await createBackup(current)));
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(backup.data.masters).toEqual(masters);
+    expect(backup.data.operators).toEqual(operators);
+  });
+
+  it('lists locked tickets a replace would overwrite', async () => {
+    const older = await readBackup(asFile(await createBackup({ ...current, receipts: [{ id: 2, rstNo: '2', netWeight: 450 }] })));
+    const { summary } = planRestore(current, older, 'replace');
+    expect(summary.protectedLost.map(r => r.rstNo)).toEqual(['2']);
+    expect(summary.removed).toBe(1);
+    expect(planRestore(current, older, 'merge').summary.protectedLost).toEqual([]);
+  });
+
+  it('leaves masters and operators alone for a version 1 backup', async () => {
+    const { masters: _masters, operators: _operators, ...v1 } = current;
+    const backup = await readBackup(asFile(await createBackup(v1)));
+    const { next } = planRestore(current, backup, 'replace');
+    expect(next.masters).toBe(masters);
+    expect(next.operators).toBe(operators);
+  });
+});
@@ -0,0 +1,115 @@
+// IndexedDB storage for receipt history. localStorage tops out around 5 MB,
+// which a busy weighbridge fills within a season, so tickets live here instead.
+
+const DB_NAME = 'weight-receipt-maker';
+const RECEIPTS_STORE = 'receipts';
+const META_STORE = 'meta';
+const LEGACY_RECEIPTS_KEY = 'weight_receipts';
+
+// One entry per schema version; each runs once inside onupgradeneeded when a
+// browser's database is older than it. Append new versions, never edit old ones.
+const MIGRATIONS = [
+  // v1: receipts keyed by id with the indexes history search relies on
+  (db) => {
+    const receipts = db.createObjectStore(RECEIPTS_STORE, { keyPath: 'id' });
+    receipts.createIndex('rstNo', 'rstNo');
+    receipts.createIndex('vehicleNo', 'vehicleNo');
+    receipts.createIndex('customer', 'customer');
+    receipts.createIndex('dateTimeOut', 'dateTimeOut');
+    db.createObjectStore(META_STORE);
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+let dbPromise = null;
+
+export const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Close other tabs of this app to finish upgrading its storage.'));
+  });
+
+  // Let a later call retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const result = fn(tx.objectStore(storeName));
+  await transactionDone(tx);
+  return result instanceof IDBRequest ? result.result : result;
+};
+
+// Copies the old localStorage history into IndexedDB once, then frees the localStorage key
+const migrateFromLocalStorage = async () => {
+  const migrated = await withStore(META_STORE, 'readonly', store => store.get('migratedFromLocalStorage'));
+  if (migrated) return;
+
+  const legacy = localStorage.getItem(LEGACY_RECEIPTS_KEY);
+  const receipts = legacy ? JSON.parse(legacy) : [];
+
+  const db = await openDb();
+  const tx = db.transaction([RECEIPTS_STORE, META_STORE], 'readwrite');
+  const store = tx.objectStore(RECEIPTS_STORE);
+  receipts.forEach((r, i) => store.put({ ...r, id: r.id ?? Date.now() + i }));
+  tx.objectStore(META_STORE).put(new Date().toISOString(), 'migratedFromLocalStorage');
+  await transactionDone(tx);
+
+  localStorage.removeItem(LEGACY_RECEIPTS_KEY);
+};
+
+// Newest first, matching the order the history list has always shown
+const sortNewestFirst = (receipts) => receipts.sort((a, b) => b.id - a.id);
+
+export const loadReceipts = async () => {
+  await migrateFromLocalStorage();
+  const receipts = await withStore(RECEIPTS_STORE, 'readonly', store => store.getAll());
+  return sortNewestFirst(receipts);
+};
+
+export const putReceipt = (receipt) => withStore(RECEIPTS_STORE, 'readwrite', store => store.put(receipt));
+
+export const putReceipts = (receipts) => withStore(RECEIPTS_STORE, 'readwrite', store => {
+  receipts.forEach(r => store.put(r));
+});
+
+export const deleteReceipt = (id) => withStore(RECEIPTS_STORE, 'readwrite', store => store.delete(id));
+
+export const clearReceipts = () => withStore(RECEIPTS_STORE, 'readwrite', store => store.clear());
+
+// Looks receipts up through one of the store's indexes, e.g.
+// queryReceipts('dateTimeOut', IDBKeyRange.bound('2025-12-01', '2025-12-31T23:59'))
+export const queryReceipts = async (indexName, range) => {
+  const receipts = await withStore(RECEIPTS_STORE, 'readonly', store => store.index(indexName).getAll(range));
+  return sortNewestFirst(receipts);
+};
+
+// Swaps the whole history in one transaction, so a failed restore leaves the old data intact
+export const replaceAllReceipts = (receipts) => withStore(RECEIPTS_STORE, 'readwrite', store => {
+  store.clear();
+  receipts.forEach(r => store.put(r));
+});
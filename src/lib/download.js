@@ -0,0 +1,13 @@
+// Saves generated data (backups, templates, spreadsheets) as a file download
+
+// Safari and Firefox read the object URL after click() returns; revoking it at once can cancel the download
+const REVOKE_DELAY_MS = 1000;
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
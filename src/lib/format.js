@@ -0,0 +1,19 @@
+// Date/time helpers shared by the editor, the receipt template and the history lists
+
+export const formatDate = (dateStr) => {
+  if (!dateStr) return '';
+  const d = new Date(dateStr);
+  return d.toLocaleDateString('en-GB', { year: 'numeric', month: '2-digit', day: '2-digit' }).replace(/\//g, '/'); // 04/12/2025
+};
+
+export const formatTime = (dateStr) => {
+  if (!dateStr) return '';
+  const d = new Date(dateStr);
+  return d.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }); // 17:54 (24-hour format)
+};
+
+// Formats a Date as the YYYY-MM-DDTHH:MM value used by datetime-local inputs (local time)
+export const toDateTimeLocal = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
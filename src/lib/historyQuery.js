@@ -0,0 +1,85 @@
+// Filtering, sorting and paging for the Saved History list
+
+import { toDateTimeLocal } from './format';
+
+export const DEFAULT_HISTORY_QUERY = {
+  text: '',
+  from: '', // YYYY-MM-DD, compared against dateTimeOut
+  to: '',
+  materials: [],
+  customers: [],
+  suppliers: [],
+  minNet: '',
+  maxNet: '',
+  sort: 'newest',
+};
+
+export const HISTORY_PAGE_SIZE = 25;
+
+const byText = (field) => (a, b) => String(a[field] ?? '').localeCompare(String(b[field] ?? ''));
+const byNumber = (field) => (a, b) => (parseFloat(a[field]) || 0) - (parseFloat(b[field]) || 0);
+
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first', compare: (a, b) => String(b.dateTimeOut ?? '').localeCompare(String(a.dateTimeOut ?? '')) || b.id - a.id },
+  { value: 'oldest', label: 'Oldest first', compare: (a, b) => String(a.dateTimeOut ?? '').localeCompare(String(b.dateTimeOut ?? '')) || a.id - b.id },
+  { value: 'rstAsc', label: 'RST No (low-high)', compare: (a, b) => String(a.rstNo ?? '').localeCompare(String(b.rstNo ?? ''), undefined, { numeric: true }) },
+  { value: 'rstDesc', label: 'RST No (high-low)', compare: (a, b) => String(b.rstNo ?? '').localeCompare(String(a.rstNo ?? ''), undefined, { numeric: true }) },
+  { value: 'netDesc', label: 'Net weight (high-low)', compare: (a, b) => byNumber('netWeight')(b, a) },
+  { value: 'netAsc', label: 'Net weight (low-high)', compare: byNumber('netWeight') },
+  { value: 'vehicle', label: 'Vehicle No', compare: byText('vehicleNo') },
+  { value: 'customer', label: 'Customer', compare: byText('customer') },
+];
+
+// Quick date ranges for the most common clerk questions
+export const DATE_PRESETS = [
+  { label: 'Today', range: (now) => [now, now] },
+  { label: 'Last 7 days', range: (now) => [new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6), now] },
+  { label: 'This month', range: (now) => [new Date(now.getFullYear(), now.getMonth(), 1), now] },
+  { label: 'Last month', range: (now) => [new Date(now.getFullYear(), now.getMonth() - 1, 1), new Date(now.getFullYear(), now.getMonth(), 0)] },
+];
+
+export const presetToQuery = (preset, now = new Date()) => {
+  const [from, to] = preset.range(now);
+  return { from: toDateTimeLocal(from).slice(0, 10), to: toDateTimeLocal(to).slice(0, 10) };
+};
+
+const normalise = (value) => String(value ?? '').trim().toLowerCase();
+
+// Sorted unique non-empty values of a field, for the multi-select options
+export const distinctValues = (receipts, field) =>
+  [...new Set(receipts.map(r => String(r[field] ?? '').trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+const inSelection = (selected, value) => selected.length === 0 || selected.includes(String(value ?? '').trim());
+
+export const isQueryActive = (query) =>
+  Object.keys(DEFAULT_HISTORY_QUERY).some(key => key !== 'sort' && String(query[key]) !== String(DEFAULT_HISTORY_QUERY[key]));
+
+export const applyHistoryQuery = (receipts, query) => {
+  const text = normalise(query.text);
+  const minNet = query.minNet === '' ? -Infinity : parseFloat(query.minNet);
+  const maxNet = query.maxNet === '' ? Infinity : parseFloat(query.maxNet);
+  const sort = SORT_OPTIONS.find(o => o.value === query.sort) || SORT_OPTIONS[0];
+
+  return receipts
+    .filter(r => {
+      if (text && ![r.vehicleNo, r.customer, r.supplier, r.material, r.rstNo].some(v => normalise(v).includes(text))) return false;
+
+      const day = String(r.dateTimeOut ?? '').slice(0, 10);
+      if (query.from && (!day || day < query.from)) return false;
+      if (query.to && (!day || day > query.to)) return false;
+
+      if (!inSelection(query.materials, r.material)) return false;
+      if (!inSelection(query.customers, r.customer)) return false;
+      if (!inSelection(query.suppliers, r.supplier)) return false;
+
+      const net = parseFloat(r.netWeight) || 0;
+      return net >= minNet && net <= maxNet;
+    })
+    .sort(sort.compare);
+};
+
+export const paginate = (list, page, pageSize = HISTORY_PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(list.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return { items: list.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount };
+};
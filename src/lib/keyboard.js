@@ -0,0 +1,41 @@
+// Keyboard-first data entry. With config.keyboardMode on, Enter and Tab walk the
+// editor fields in EDITOR_FIELD_ORDER and the function keys below run the
+// common actions, so a ticket can be issued without the mouse.
+
+// Editor inputs by name, in entry order: details, then weights and times, then charges
+export const EDITOR_FIELD_ORDER = [
+  'rstNo', 'vehicleNo', 'customer', 'supplier', 'material', 'vehicleClass',
+  'grossWeight', 'tareWeight', 'netWeight', 'dateTimeIn', 'dateTimeOut', 'charges', 'remarks',
+];
+
+export const SHORTCUTS = [
+  { action: 'help', keys: ['F1'], label: 'Show or hide these shortcuts' },
+  { action: 'new', keys: ['F2'], label: 'New ticket' },
+  { action: 'captureGross', keys: ['F3'], label: 'Capture gross from the scale (or type it)' },
+  { action: 'captureTare', keys: ['F4'], label: 'Capture tare from the scale (or type it)' },
+  { action: 'stampIn', keys: ['F6'], label: 'Stamp Date/Time In with the current time' },
+  { action: 'stampOut', keys: ['F7'], label: 'Stamp Date/Time Out with the current time' },
+  { action: 'save', keys: ['F8', 'Ctrl+S'], label: 'Save' },
+  { action: 'savePrint', keys: ['F9', 'Ctrl+P'], label: 'Save, print and start the next ticket' },
+];
+
+// How a key event is written in SHORTCUTS ('F8', 'Ctrl+S')
+const keyName = (e) => {
+  const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  return `${e.ctrlKey || e.metaKey ? 'Ctrl+' : ''}${e.altKey ? 'Alt+' : ''}${key}`;
+};
+
+// The shortcut action of a keydown event, or null
+export const shortcutAction = (e) => {
+  const name = keyName(e);
+  return SHORTCUTS.find(s => s.keys.includes(name))?.action || null;
+};
+
+// Name of the field `step` places after (or before, when negative) `current` among
+// the fields on screen, or null past either end
+export const nextField = (current, step, available) => {
+  const order = EDITOR_FIELD_ORDER.filter(name => available.includes(name));
+  const index = order.indexOf(current);
+  if (index === -1) return null;
+  return order[index + step] || null;
+};
@@ -0,0 +1,29 @@
+// Print layout presets. One preset drives the on-screen page preview, the
+// @page / slot CSS used by window.print(), and the vector PDF export.
+//   page:    sheet size in mm (thermal rolls use a nominal ticket length)
+//   perPage: receipt copies (or batch tickets) per sheet
+//   variant: 'full' = the 200mm two-column receipt, 'compact' = narrow single column
+
+export const PRINT_LAYOUTS = {
+  '3up': { label: '3-up A4', page: { width: 210, height: 297 }, cssSize: 'A4 portrait', margin: 3, gap: 4, perPage: 3, variant: 'full' },
+  '2up': { label: '2-up A4', page: { width: 210, height: 297 }, cssSize: 'A4 portrait', margin: 3, gap: 4, perPage: 2, variant: 'full' },
+  '1up': { label: '1-up A4', page: { width: 210, height: 297 }, cssSize: 'A4 portrait', margin: 3, gap: 0, perPage: 1, variant: 'full' },
+  a5: { label: 'A5 stationery', page: { width: 210, height: 148 }, cssSize: 'A5 landscape', margin: 3, gap: 0, perPage: 1, variant: 'full' },
+  // Roll printers feed to the end of the content and cut, so the print page length is only an
+  // upper bound; PDF pages are cut to each ticket's own length (continuous)
+  thermal80: { label: '80mm thermal roll', page: { width: 80, height: 180 }, cssSize: '80mm 180mm', margin: 4, gap: 0, perPage: 1, variant: 'compact', continuous: true },
+};
+
+export const DEFAULT_LAYOUT = '3up';
+
+export const getLayout = (id) => PRINT_LAYOUTS[id] || PRINT_LAYOUTS[DEFAULT_LAYOUT];
+
+export const listLayouts = () => Object.entries(PRINT_LAYOUTS).map(([id, { label }]) => ({ id, label }));
+
+// Printable height of the sheet inside the margins
+export const contentHeight = (layout) => layout.page.height - 2 * layout.margin;
+
+// Height of each receipt slot once the gaps between slots are taken out
+// (e.g. 3-up A4: (291 - 2 * 4) / 3 = 94.33mm)
+export const slotHeight = (layout) =>
+  (contentHeight(layout) - (layout.perPage - 1) * layout.gap) / layout.perPage;
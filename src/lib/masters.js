@@ -0,0 +1,155 @@
+// Master lists of customers, suppliers, materials and vehicles. The editor offers
+// them as autocomplete and can be set to accept master entries only, so one party
+// is always spelled one way. Also finds near-duplicate names already in history.
+
+export const MASTERS_STORAGE_KEY = 'weight_masters';
+
+// `field` is the receipt property each list feeds
+export const MASTER_TYPES = [
+  { key: 'customers', field: 'customer', label: 'Customers', singular: 'Customer' },
+  { key: 'suppliers', field: 'supplier', label: 'Suppliers', singular: 'Supplier' },
+  { key: 'materials', field: 'material', label: 'Materials', singular: 'Material' },
+  { key: 'vehicles', field: 'vehicleNo', label: 'Vehicles', singular: 'Vehicle' },
+];
+
+const DEFAULT_MASTERS = {
+  customers: [],
+  suppliers: [],
+  materials: [],
+  vehicles: [],
+  // Types whose editor input only accepts master entries
+  enforced: { customers: false, suppliers: false, materials: false, vehicles: false },
+};
+
+export const loadMasters = () => {
+  const saved = localStorage.getItem(MASTERS_STORAGE_KEY);
+  if (!saved) return DEFAULT_MASTERS;
+  const parsed = JSON.parse(saved);
+  return { ...DEFAULT_MASTERS, ...parsed, enforced: { ...DEFAULT_MASTERS.enforced, ...parsed.enforced } };
+};
+
+export const saveMasters = (masters) => {
+  localStorage.setItem(MASTERS_STORAGE_KEY, JSON.stringify(masters));
+};
+
+// Comparison key: case, spacing and stray punctuation do not make a different party
+export const normalizeName = (value) => String(value ?? '')
+  .toUpperCase()
+  .replace(/[.,;:'"`]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Vehicle numbers also ignore separators: MH-17 CV 3329 is MH17CV3329
+const keyFor = (type, value) => {
+  const key = normalizeName(value);
+  return type === 'vehicles' ? key.replace(/[^A-Z0-9]/g, '') : key;
+};
+
+export const vehicleKey = (value) => keyFor('vehicles', value);
+
+// How a new entry is stored: trimmed, single-spaced, vehicles in capitals without separators
+export const cleanName = (type, value) => {
+  const name = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return type === 'vehicles' ? keyFor(type, name) : name;
+};
+
+export const findEntry = (masters, type, value) => {
+  const key = keyFor(type, value);
+  return key ? masters[type].find(e => keyFor(type, e.name) === key) || null : null;
+};
+
+const sortByName = (list) => [...list].sort((a, b) => a.name.localeCompare(b.name));
+
+// Adds a name unless an equivalent one exists; throws with a readable message
+export const addEntry = (masters, type, value) => {
+  const name = cleanName(type, value);
+  if (!name) throw new Error('Name is required');
+  const existing = findEntry(masters, type, name);
+  if (existing) throw new Error(`"${existing.name}" is already in the list`);
+
+  const entry = { id: `${type}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name };
+  return { ...masters, [type]: sortByName([...masters[type], entry]) };
+};
+
+export const renameEntry = (masters, type, id, value) => {
+  const name = cleanName(type, value);
+  if (!name) throw new Error('Name is required');
+  const existing = findEntry(masters, type, name);
+  if (existing && existing.id !== id) throw new Error(`"${existing.name}" is already in the list`);
+
+  return { ...masters, [type]: sortByName(masters[type].map(e => (e.id === id ? { ...e, name } : e))) };
+};
+
+// Sets extra fields on an entry, e.g. a vehicle's stored tare
+export const updateEntry = (masters, type, id, patch) =>
+  ({ ...masters, [type]: masters[type].map(e => (e.id === id ? { ...e, ...patch } : e)) });
+
+export const removeEntry = (masters, type, id) => ({ ...masters, [type]: masters[type].filter(e => e.id !== id) });
+
+// Master spelling for an editor value, or the value unchanged when nothing matches
+export const canonicalName = (masters, type, value) => findEntry(masters, type, value)?.name ?? value;
+
+// Fields of a ticket that break an enforced master list; empty values are allowed
+export const masterViolations = (masters, record) => MASTER_TYPES
+  .filter(t => masters.enforced[t.key] && String(record[t.field] ?? '').trim() && !findEntry(masters, t.key, record[t.field]))
+  .map(t => t.singular);
+
+// Classic edit distance, used to catch one-letter typos between names
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+// Names this close are suggested as the same party: equal keys, or one typo in names of
+// 5+ letters. Vehicle numbers one character apart are usually different trucks, so
+// those only match on equal keys (MH-17 CV 3329 and MH17CV3329).
+const isNearDuplicate = (type, a, b) => a === b
+  || (type !== 'vehicles' && Math.min(a.length, b.length) >= 5 && editDistance(a, b) <= 1);
+
+// Groups the spellings of one field found in history that look like the same name.
+// Each suggestion: { type, field, canonical, variants: [{ value, count }] }, with the
+// master spelling (or else the most used one) as canonical.
+export const suggestMerges = (receipts, masters) => MASTER_TYPES.flatMap(({ key: type, field }) => {
+  const counts = new Map();
+  receipts.forEach(r => {
+    const value = String(r[field] ?? '');
+    if (value.trim()) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  const groups = [];
+  [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([value, count]) => {
+      const key = keyFor(type, value);
+      const group = groups.find(g => g.keys.some(k => isNearDuplicate(type, k, key)));
+      if (group) {
+        group.variants.push({ value, count });
+        group.keys.push(key);
+      } else {
+        groups.push({ keys: [key], variants: [{ value, count }] });
+      }
+    });
+
+  return groups
+    .filter(g => g.variants.length > 1)
+    .map(g => ({
+      type,
+      field,
+      canonical: g.variants.map(v => findEntry(masters, type, v.value)?.name).find(Boolean) || cleanName(type, g.variants[0].value),
+      variants: g.variants,
+    }));
+});
+
+// Receipts rewritten to use `canonical` wherever the field holds one of `values`
+export const applyMerge = (receipts, field, values, canonical) => receipts
+  .filter(r => values.includes(String(r[field] ?? '')) && r[field] !== canonical)
+  .map(r => ({ ...r, [field]: canonical }));
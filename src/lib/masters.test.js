@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { suggestMerges } from './masters';
+
+const masters = { customers: [], suppliers: [], materials: [], vehicles: [], enforced: {} };
+const receipt = (vehicleNo, customer) => ({ vehicleNo, customer, supplier: '', material: '' });
+
+describe('suggestMerges', () => {
+  it('does not merge vehicle numbers one character apart', () => {
+    const suggestions = suggestMerges([receipt('MH17CV3329', 'A'), receipt('MH17CV3328', 'B')], masters);
+    expect(suggestions.filter(s => s.type === 'vehicles')).toEqual([]);
+  });
+
+  it('merges vehicle numbers written with separators', () => {
+    const [suggestion] = suggestMerges([receipt('MH17CV3329', 'A'), receipt('MH-17 CV 3329', 'B')], masters);
+    expect(suggestion.type).toBe('vehicles');
+    expect(suggestion.canonical).toBe('MH17CV3329');
+  });
+
+  it('still suggests names one typo apart', () => {
+    const suggestions = suggestMerges([receipt('', 'Shree Traders'), receipt('', 'Shree Trader')], masters);
+    expect(suggestions.map(s => s.field)).toEqual(['customer']);
+  });
+});
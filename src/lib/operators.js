@@ -0,0 +1,84 @@
+// Local operator accounts. Once a supervisor account exists the app asks for a
+// name and PIN, stamps each new ticket with the operator who issued it and hides
+// what the operator's role does not allow. PINs are stored only as salted
+// SHA-256 hashes. The signed-in operator lasts for the browser session.
+//
+// operator = { id, name, role, salt, pinHash }
+
+export const OPERATORS_STORAGE_KEY = 'weight_operators';
+export const SESSION_STORAGE_KEY = 'weight_session';
+
+export const ROLES = [
+  { value: 'operator', label: 'Operator (create and print tickets)' },
+  { value: 'supervisor', label: 'Supervisor (also settings, amend, void, reports)' },
+];
+
+// What each permission unlocks, and the roles holding it
+export const PERMISSIONS = {
+  settings: ['supervisor'], // settings, template, profiles, rate card, master data
+  amend: ['supervisor'], // change a saved ticket
+  void: ['supervisor'], // void, restore and purge tickets
+  reports: ['supervisor'], // summary reports and the RST gap report
+  backup: ['supervisor'], // backup and restore, spreadsheet import and export
+  batch: ['supervisor'], // PDF export and printing of many history tickets at once
+  operators: ['supervisor'], // manage operator accounts
+};
+
+export const MIN_PIN_LENGTH = 4;
+
+export const loadOperators = () => {
+  const saved = localStorage.getItem(OPERATORS_STORAGE_KEY);
+  return saved ? JSON.parse(saved) : [];
+};
+
+export const saveOperators = (operators) => {
+  localStorage.setItem(OPERATORS_STORAGE_KEY, JSON.stringify(operators));
+};
+
+// Login is only required once a supervisor can sign in to manage accounts
+export const isLoginRequired = (operators) => operators.some(o => o.role === 'supervisor');
+
+// Without accounts the app is open to whoever uses it, as before
+export const can = (operator, permission, operators) =>
+  !isLoginRequired(operators) || (!!operator && (PERMISSIONS[permission] || []).includes(operator.role));
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+const hashPin = async (pin, salt) =>
+  toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`)));
+
+const checkPin = (pin) => {
+  if (!/^\d+$/.test(pin) || pin.length < MIN_PIN_LENGTH) throw new Error(`The PIN must be at least ${MIN_PIN_LENGTH} digits.`);
+};
+
+export const createOperator = async (operators, { name, role, pin }) => {
+  const cleanName = String(name ?? '').replace(/\s+/g, ' ').trim();
+  if (!cleanName) throw new Error('Enter the operator\'s name.');
+  if (operators.some(o => o.name.toUpperCase() === cleanName.toUpperCase())) throw new Error(`${cleanName} already has an account.`);
+  if (!ROLES.some(r => r.value === role)) throw new Error('Choose a role.');
+  checkPin(pin);
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(8)));
+  return { id: `op-${Date.now().toString(36)}`, name: cleanName, role, salt, pinHash: await hashPin(pin, salt) };
+};
+
+export const changePin = async (operator, pin) => {
+  checkPin(pin);
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(8)));
+  return { ...operator, salt, pinHash: await hashPin(pin, salt) };
+};
+
+export const verifyPin = async (operator, pin) => !!operator && (await hashPin(pin, operator.salt)) === operator.pinHash;
+
+// The last supervisor can't be removed or demoted, or no one could manage accounts again
+export const canRemoveOperator = (operators, operator) =>
+  operator.role !== 'supervisor' || operators.filter(o => o.role === 'supervisor').length > 1;
+
+export const loadSession = (operators) => {
+  const id = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  return operators.find(o => o.id === id) || null;
+};
+
+export const saveSession = (operator) => {
+  if (operator) sessionStorage.setItem(SESSION_STORAGE_KEY, operator.id);
+  else sessionStorage.removeItem(SESSION_STORAGE_KEY);
+};
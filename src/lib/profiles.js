@@ -0,0 +1,53 @@
+// Company profiles. One bridge can issue tickets for several firms; each profile
+// carries its own letterhead, template options and RST rule, while scale, layout
+// and export settings stay shared. Profiles live inside the saved config
+// (config.profiles / config.activeProfileId), so backups carry them too.
+// Receipts are stamped with profileId; unstamped ones belong to the default profile.
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Config keys that belong to a profile rather than to the installation
+export const PROFILE_KEYS = ['companyName', 'address', 'footer', 'showCharges', 'wordsStyle', 'template', 'rstResetRule', 'rstStart'];
+
+export const pickProfileSettings = (source) =>
+  Object.fromEntries(PROFILE_KEYS.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+
+export const createProfile = (name, settings) => ({
+  id: `profile-${Date.now().toString(36)}`,
+  name,
+  ...pickProfileSettings(settings),
+});
+
+export const profileIdOf = (record) => record.profileId || DEFAULT_PROFILE_ID;
+
+export const getProfile = (config, id = config.activeProfileId) =>
+  config.profiles.find(p => p.id === id) || config.profiles[0];
+
+// Flat settings as the renderers and RST helpers expect them, for one profile
+export const profileConfig = (config, id = config.activeProfileId) => {
+  const { id: profileId, name: profileName, ...settings } = getProfile(config, id);
+  return { ...config, ...settings, profileId, profileName };
+};
+
+// Brings a stored config up to the profile layout. Configs saved before profiles
+// existed keep their letterhead as the default profile.
+export const migrateProfiles = (config, defaults) => {
+  if (Array.isArray(config.profiles) && config.profiles.length > 0) return config;
+
+  const legacy = { ...defaults, ...pickProfileSettings(config) };
+  const rest = Object.fromEntries(Object.entries(config).filter(([key]) => !PROFILE_KEYS.includes(key)));
+  return {
+    ...rest,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: legacy.companyName || 'Default', ...legacy }],
+    activeProfileId: DEFAULT_PROFILE_ID,
+  };
+};
+
+// Writes one setting: profile keys go to the active profile, the rest to the config
+export const setConfigValue = (config, key, value) => {
+  if (!PROFILE_KEYS.includes(key)) return { ...config, [key]: value };
+  return {
+    ...config,
+    profiles: config.profiles.map(p => (p.id === config.activeProfileId ? { ...p, [key]: value } : p)),
+  };
+};
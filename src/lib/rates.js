@@ -0,0 +1,110 @@
+// Rate card and charge calculation. A ticket pays its vehicle class's flat
+// weighing fee plus, when a material rate matches, a per-quintal or per-tonne
+// charge on the net weight, then GST on the total when configured.
+//
+// config.rateCard = {
+//   vehicleClasses: [{ id, name, fee, maxGrossKg }],   maxGrossKg 0 = no limit (lib/validation.js)
+//   defaultClassId,
+//   materialRates:  [{ id, material, customer, rate, unit }]   customer '' = any customer
+//   gstPercent,
+// }
+
+import { normalizeName } from './masters';
+
+export const RATE_UNITS = [
+  { value: 'quintal', label: 'per quintal (100 kg)', short: 'q', kg: 100 },
+  { value: 'tonne', label: 'per tonne (1000 kg)', short: 't', kg: 1000 },
+];
+
+export const DEFAULT_RATE_CARD = { vehicleClasses: [], defaultClassId: '', materialRates: [], gstPercent: 0 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const newRateId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// With no classes and no rates charges stay a typed number, as before rate cards
+export const isRateCardActive = (rateCard) =>
+  !!rateCard && (rateCard.vehicleClasses.length > 0 || rateCard.materialRates.length > 0);
+
+// Most specific rate for a material: one for this customer beats one for any customer
+export const findMaterialRate = (rateCard, material, customer) => {
+  const m = normalizeName(material);
+  const c = normalizeName(customer);
+  if (!m) return null;
+  const forMaterial = rateCard.materialRates.filter(r => normalizeName(r.material) === m);
+  return forMaterial.find(r => normalizeName(r.customer) === c && c) || forMaterial.find(r => !normalizeName(r.customer)) || null;
+};
+
+// The inputs a breakdown was worked out from; unchanged inputs mean a saved
+// ticket keeps its charges even after the rate card changes
+const chargeInputs = (receipt) => ({
+  netWeight: parseFloat(receipt.netWeight) || 0,
+  material: String(receipt.material ?? ''),
+  customer: String(receipt.customer ?? ''),
+  vehicleClass: receipt.vehicleClass || '',
+});
+
+export const sameChargeInputs = (receipt, breakdown) => !!breakdown
+  && JSON.stringify(chargeInputs(receipt)) === JSON.stringify(breakdown.inputs);
+
+// The ticket's chosen class, else the card's default class, else null
+export const vehicleClassOf = (receipt, rateCard) =>
+  rateCard.vehicleClasses.find(v => v.id === (receipt.vehicleClass || ''))
+  || rateCard.vehicleClasses.find(v => v.id === rateCard.defaultClassId)
+  || null;
+
+// { inputs, classId, className, fee, rate, unit, quantity, material, subtotal, gstPercent, gst, total }
+export const computeCharges = (receipt, rateCard) => {
+  const inputs = chargeInputs(receipt);
+  const vehicleClass = vehicleClassOf(inputs, rateCard);
+  const fee = vehicleClass ? parseFloat(vehicleClass.fee) || 0 : 0;
+
+  const rate = findMaterialRate(rateCard, inputs.material, inputs.customer);
+  const unit = rate ? RATE_UNITS.find(u => u.value === rate.unit) || RATE_UNITS[0] : null;
+  const quantity = unit ? round2(Math.max(0, inputs.netWeight) / unit.kg) : 0;
+  const material = rate ? round2(quantity * (parseFloat(rate.rate) || 0)) : 0;
+
+  const subtotal = round2(fee + material);
+  const gstPercent = parseFloat(rateCard.gstPercent) || 0;
+  const gst = round2(subtotal * gstPercent / 100);
+
+  return {
+    inputs,
+    classId: vehicleClass ? vehicleClass.id : '',
+    className: vehicleClass ? vehicleClass.name : '',
+    fee,
+    rate: rate ? parseFloat(rate.rate) || 0 : null,
+    unit: unit ? unit.value : null,
+    quantity,
+    material,
+    subtotal,
+    gstPercent,
+    gst,
+    total: round2(subtotal + gst),
+  };
+};
+
+// The ticket with a fresh breakdown; typed-over charges keep their amount
+export const priceReceipt = (receipt, rateCard) => {
+  if (!isRateCardActive(rateCard)) return receipt;
+  const chargeBreakdown = computeCharges(receipt, rateCard);
+  return { ...receipt, chargeBreakdown, charges: receipt.manualCharges ? receipt.charges : chargeBreakdown.total };
+};
+
+// Charges as they were billed: the breakdown unless the operator overrode the amount
+export const isChargeOverridden = (receipt) =>
+  !!receipt.manualCharges && !!receipt.chargeBreakdown && round2(parseFloat(receipt.charges) || 0) !== receipt.chargeBreakdown.total;
+
+// One-line breakdown printed beside the charges, e.g.
+// "FEE 50 + 145.6 q x 8 = 1164.8 + GST 18% 218.66"; empty when there is nothing to add
+export const describeCharges = (receipt) => {
+  const b = receipt.chargeBreakdown;
+  if (!b || isChargeOverridden(receipt)) return '';
+
+  const parts = [];
+  if (b.fee) parts.push(`FEE ${b.fee}`);
+  if (b.rate !== null) parts.push(`${b.quantity} ${RATE_UNITS.find(u => u.value === b.unit).short} x ${b.rate} = ${b.material}`);
+  if (b.gstPercent) parts.push(`GST ${b.gstPercent}% ${b.gst}`);
+  // A bare weighing fee needs no breakdown
+  return b.rate === null && !b.gstPercent ? '' : parts.join(' + ');
+};
@@ -0,0 +1,444 @@
+// Draws ReceiptTemplate's layout straight onto a jsPDF page with text and line
+// primitives, so exported receipts are small, sharp at any zoom and searchable.
+// All positions are in mm; the comments name the Tailwind class each value mirrors.
+
+import { jsPDF } from 'jspdf';
+
+import courierPrimeRegularUrl from '../assets/fonts/CourierPrime-Regular.ttf?url';
+import courierPrimeBoldUrl from '../assets/fonts/CourierPrime-Bold.ttf?url';
+import { formatDate, formatTime } from './format';
+import { getLayout, slotHeight } from './layouts';
+import { DEFAULT_WORDS_STYLE, isLatinStyle, weightInWords, rupeesInWords } from './words';
+import { cellValue, visibleRows, operatorSignText } from './template';
+import { describeCharges } from './rates';
+import { amendmentMark } from './audit';
+import { VOID_MARK, isVoided } from './voids';
+import { receiptQrCode } from './verify';
+
+export const PX = 25.4 / 96; // one CSS pixel in mm
+const PT_PER_PX = 0.75;
+
+export const RECEIPT_WIDTH = 200; // matches the template's width: 200mm
+const PADDING = 4 * PX; // p-1
+export const LINE = 14 * 1.3 * PX; // 14px text at line-height 1.3
+
+const FONT = 'CourierPrime';
+const FALLBACK_FONT = 'courier';
+
+// Column widths from the template's classes (label widths and offsets come from config.template.spacing)
+const COLON_GAP = 16 * PX; // mr-4
+const WEIGHT_COL = 200 * PX; // w-[200px]
+const WEIGHT_VALUE_W = 80 * PX; // w-20, right aligned
+const DATE_LABEL_W = 48 * PX; // w-12
+const DATE_VALUE_W = 80 * PX; // w-20
+const TIME_GAP = 16 * PX; // ml-4
+const SIGN_W = 192 * PX; // w-48
+
+let fontsPromise = null;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const loadFonts = () => {
+  if (!fontsPromise) {
+    fontsPromise = Promise.all([courierPrimeRegularUrl, courierPrimeBoldUrl].map(async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Font download failed (${response.status})`);
+      return toBase64(await response.arrayBuffer());
+    }));
+    fontsPromise.catch(() => { fontsPromise = null; });
+  }
+  return fontsPromise;
+};
+
+const orientationOf = ([width, height]) => (width > height ? 'l' : 'p');
+
+// Creates a document of the given [width, height] in mm with Courier Prime embedded
+// (or the built-in Courier if the font files cannot be read). Returns { pdf, font }.
+export const createReceiptDocument = async (format = [210, 297]) => {
+  const pdf = new jsPDF({ orientation: orientationOf(format), unit: 'mm', format, compress: true });
+
+  try {
+    const [regular, bold] = await loadFonts();
+    pdf.addFileToVFS('CourierPrime-Regular.ttf', regular);
+    pdf.addFont('CourierPrime-Regular.ttf', FONT, 'normal');
+    pdf.addFileToVFS('CourierPrime-Bold.ttf', bold);
+    pdf.addFont('CourierPrime-Bold.ttf', FONT, 'bold');
+    return { pdf, font: FONT };
+  } catch (error) {
+    console.warn("Courier Prime unavailable, using built-in Courier:", error);
+    return { pdf, font: FALLBACK_FONT };
+  }
+};
+
+// Small drawing context so the layout code reads like the JSX it mirrors
+export const painter = (pdf, font) => {
+  const setFont = (sizePx, bold = false) => {
+    pdf.setFont(font, bold ? 'bold' : 'normal');
+    pdf.setFontSize(sizePx * PT_PER_PX);
+  };
+
+  return {
+    text: (value, x, y, { size = 14, bold = false, align = 'left', charSpace = 0 } = {}) => {
+      setFont(size, bold);
+      pdf.text(String(value ?? ''), x, y, { align, baseline: 'middle', charSpace });
+    },
+    width: (value, { size = 14, bold = false, charSpace = 0 } = {}) => {
+      setFont(size, bold);
+      const text = String(value ?? '');
+      return pdf.getTextWidth(text) + charSpace * Math.max(0, text.length - 1);
+    },
+    wrap: (value, maxWidth, { size = 14, bold = false } = {}) => {
+      setFont(size, bold);
+      return String(value ?? '').split('\n').flatMap(line => pdf.splitTextToSize(line, maxWidth));
+    },
+    // Large light-grey text at an angle, drawn over the finished receipt
+    watermark: (value, cx, cy, size, angle) => {
+      setFont(size, true);
+      pdf.setTextColor(190);
+      pdf.text(String(value), cx, cy, { align: 'center', baseline: 'middle', angle });
+      pdf.setTextColor(0);
+    },
+    rect: (x, y, w, h) => {
+      pdf.setLineWidth(1 * PX);
+      pdf.rect(x, y, w, h);
+    },
+    line: (x1, y1, x2, y2, style = 'solid') => {
+      pdf.setLineWidth(1 * PX);
+      pdf.setLineDashPattern(style === 'dashed' ? [1.2, 0.8] : style === 'dotted' ? [0.3, 0.6] : [], 0);
+      pdf.line(x1, y1, x2, y2);
+      pdf.setLineDashPattern([], 0);
+    },
+  };
+};
+
+// Regional numerals fall back to digit words: the embedded fonts have no Indic glyphs
+const pdfWordsStyle = (config) => (isLatinStyle(config.wordsStyle) ? config.wordsStyle : DEFAULT_WORDS_STYLE);
+
+// Draws one receipt with its top-left corner at (x, y); returns the height used.
+// `qrCode` is the receipt's verification QR as a PNG data URL (see lib/verify.js).
+export const drawReceipt = (pdf, font, data, config, x, y, qrCode = null) => {
+  const p = painter(pdf, font);
+  const left = x + PADDING;
+  const right = x + RECEIPT_WIDTH - PADDING;
+  const width = right - left;
+  const centre = x + RECEIPT_WIDTH / 2;
+  const { labels, show, spacing } = config.template;
+  const LABEL_W = spacing.labelWidth * PX;
+  const RIGHT_LABEL_W = spacing.rightLabelWidth * PX;
+  const VEHICLE_OFFSET = spacing.rightOffset * PX;
+  const DATE_OFFSET = spacing.dateOffset * PX;
+  let cursor = y + PADDING;
+
+  // Verification QR in the top-left corner, as ReceiptTemplate places it
+  if (qrCode && show.qrCode) pdf.addImage(qrCode, 'PNG', x + 4 * PX, y + 4 * PX, 18, 18);
+
+  // Reprint of an amended ticket, boxed in the top-right corner
+  const mark = amendmentMark(data);
+  if (mark) {
+    const markLine = 11 * 1.3 * PX;
+    const markWidth = p.width(mark, { size: 11, bold: true }) + 8 * PX;
+    p.rect(right - markWidth, y + 4 * PX, markWidth, markLine);
+    p.text(mark, right - 4 * PX, y + 4 * PX + markLine / 2, { size: 11, bold: true, align: 'right' });
+  }
+
+  // Header
+  const titleLine = 24 * 1.3 * PX;
+  p.wrap(config.companyName.toUpperCase(), width, { size: 24, bold: true }).forEach(line => {
+    p.text(line, centre, cursor + titleLine / 2, { size: 24, bold: true, align: 'center', charSpace: 1 * PX });
+    cursor += titleLine;
+  });
+  cursor += 4 * PX; // mt-1
+  const addressLine = 12 * 1.2 * PX;
+  p.wrap(config.address.toUpperCase(), width, { size: 12 }).forEach(line => {
+    p.text(line, centre, cursor + addressLine / 2, { size: 12, align: 'center' });
+    cursor += addressLine;
+  });
+  cursor += 20 * PX; // mb-5
+
+  // Label : value pair starting at `at`
+  const pair = (label, value, at, labelWidth, rowY, bold = false) => {
+    p.text(label, at, rowY);
+    p.text(':', at + labelWidth, rowY);
+    p.text(value, at + labelWidth + p.width(':') + COLON_GAP, rowY, { bold });
+  };
+  // Label : value pair pushed against the right edge, less `offset`
+  const rightPair = (label, value, rowY, offset, bold = false) => {
+    const blockWidth = RIGHT_LABEL_W + p.width(':') + COLON_GAP + p.width(value, { bold });
+    pair(label, value, right - offset - blockWidth, RIGHT_LABEL_W, rowY, bold);
+  };
+
+  // Detail rows in template order (RST / vehicle, material / customer, supplier by default)
+  const rows = visibleRows(config.template);
+  rows.forEach((row, i) => {
+    const rowY = cursor + i * LINE + LINE / 2;
+    if (row.left) pair(row.left.label, cellValue(row.left, data), left, LABEL_W, rowY, row.left.bold);
+    if (row.right) rightPair(row.right.label, cellValue(row.right, data), rowY, VEHICLE_OFFSET, row.right.bold);
+  });
+  cursor += rows.length * LINE + 16 * PX; // mb-4
+
+  // Weights section between dashed rules
+  p.line(left, cursor, right, cursor, 'dashed');
+  cursor += 4 * PX; // py-1
+
+  const weightLine = 16 * 1.3 * PX;
+  const weightRow = (label, value, date, time) => {
+    const mid = cursor + weightLine / 2;
+    p.text(label, left, mid);
+    p.text(':', left + LABEL_W, mid);
+    const valueLeft = left + LABEL_W + p.width(':') + COLON_GAP;
+    p.text(value, valueLeft + WEIGHT_VALUE_W, mid, { size: 16, bold: true, align: 'right' });
+    p.text(labels.unit, valueLeft + WEIGHT_VALUE_W + 4 * PX, mid);
+
+    if (date !== undefined && show.dateTime) {
+      const timeWidth = p.width(time);
+      const start = right - DATE_OFFSET - (DATE_LABEL_W + DATE_VALUE_W + TIME_GAP + DATE_LABEL_W + timeWidth);
+      p.text(labels.date, start, mid);
+      p.text(date, start + DATE_LABEL_W, mid);
+      p.text(labels.time, start + DATE_LABEL_W + DATE_VALUE_W + TIME_GAP, mid);
+      p.text(time, start + DATE_LABEL_W + DATE_VALUE_W + TIME_GAP + DATE_LABEL_W, mid);
+    }
+    return mid;
+  };
+
+  weightRow(labels.gross, data.grossWeight, formatDate(data.dateTimeOut), formatTime(data.dateTimeOut));
+  cursor += weightLine + 4 * PX; // space-y-1
+  weightRow(labels.tare, data.tareWeight, formatDate(data.dateTimeIn), formatTime(data.dateTimeIn));
+  cursor += weightLine + 4 * PX + 4 * PX; // space-y-1 + pt-1
+  weightRow(labels.net, data.netWeight);
+
+  // Net weight in words, right aligned beside NET Wt (wraps leftwards into the free space)
+  const wordsWidth = right - DATE_OFFSET - (left + WEIGHT_COL);
+  const wordsLine = 14 * 1.625 * PX; // leading-relaxed
+  const words = show.words ? p.wrap(weightInWords(data.netWeight, pdfWordsStyle(config), labels.wordsSuffix), wordsWidth, { bold: true }) : [];
+  words.forEach((line, i) => {
+    p.text(line, right - DATE_OFFSET, cursor + wordsLine / 2 + i * wordsLine, { bold: true, align: 'right', charSpace: 1.4 * PX });
+  });
+  cursor += Math.max(weightLine, words.length * wordsLine) + 4 * PX; // py-1
+  p.line(left, cursor, right, cursor, 'dashed');
+
+  // Charges
+  if (config.showCharges) {
+    cursor += 4 * PX; // mt-1
+    const mid = cursor + LINE / 2;
+    p.text(labels.charges, left, mid);
+    p.text(labels.currency, left + RIGHT_LABEL_W, mid);
+    p.text(data.charges, left + RIGHT_LABEL_W + p.width(labels.currency) + COLON_GAP, mid, { bold: true });
+    p.text(describeCharges(data), right - DATE_OFFSET, mid, { size: 12, align: 'right' });
+    cursor += LINE;
+    const amountWords = show.chargesWords ? rupeesInWords(data.charges) : '';
+    if (amountWords) {
+      const wordsLine = 12 * 1.3 * PX;
+      p.wrap(amountWords, width, { size: 12, bold: true }).forEach(line => {
+        p.text(line, left, cursor + wordsLine / 2, { size: 12, bold: true });
+        cursor += wordsLine;
+      });
+    }
+    cursor += 4 * PX; // pb-1
+    p.line(left, cursor, right, cursor, 'dashed');
+  }
+
+  // Signatures: dotted rule above each label
+  if (show.signatures) {
+    cursor += 12 * PX; // mt-3
+    p.line(left, cursor, left + SIGN_W, cursor, 'dotted');
+    p.line(right - SIGN_W, cursor, right, cursor, 'dotted');
+    cursor += 4 * PX; // pt-1
+    p.text(operatorSignText(labels, data).toUpperCase(), left, cursor + LINE / 2);
+    p.text(labels.partySign.toUpperCase(), right, cursor + LINE / 2, { align: 'right' });
+    cursor += LINE;
+  }
+
+  // Footer
+  cursor += 8 * PX + 4 * PX; // mt-2 pt-1
+  const footerLine = 12 * 1.2 * PX;
+  p.wrap(config.footer.toUpperCase(), width, { size: 12 }).forEach(line => {
+    p.text(line, centre, cursor + footerLine / 2, { size: 12, align: 'center' });
+    cursor += footerLine;
+  });
+  if (data.remarks) {
+    cursor += 4 * PX;
+    const noteLine = 10 * 1.3 * PX;
+    p.wrap(`${labels.note} ${data.remarks}`, width, { size: 10, bold: true }).forEach(line => {
+      p.text(line, centre, cursor + noteLine / 2, { size: 10, bold: true, align: 'center' });
+      cursor += noteLine;
+    });
+  }
+
+  if (isVoided(data)) p.watermark(VOID_MARK, centre, (y + cursor + PADDING) / 2, 96, 12);
+
+  return cursor + PADDING - y;
+};
+
+// Draws the narrow single-column receipt used on 80mm thermal rolls (CompactReceipt)
+export const COMPACT_WIDTH = 72;
+
+export const drawCompactReceipt = (pdf, font, data, config, x, y, qrCode = null) => {
+  const p = painter(pdf, font);
+  const right = x + COMPACT_WIDTH;
+  const centre = x + COMPACT_WIDTH / 2;
+  const line = 12 * 1.3 * PX;
+  const small = 10 * 1.2 * PX;
+  const { labels, show } = config.template;
+  let cursor = y;
+
+  const centred = (text, size, bold = false) => {
+    const lineHeight = size * 1.25 * PX;
+    p.wrap(String(text ?? '').toUpperCase(), COMPACT_WIDTH, { size, bold }).forEach(l => {
+      p.text(l, centre, cursor + lineHeight / 2, { size, bold, align: 'center' });
+      cursor += lineHeight;
+    });
+  };
+  const row = (label, value, bold = false) => {
+    p.text(label, x, cursor + line / 2, { size: 12 });
+    p.text(':', x + 26, cursor + line / 2, { size: 12 });
+    p.text(value, x + 26 + p.width(':', { size: 12 }) + 8 * PX, cursor + line / 2, { size: 12, bold });
+    cursor += line;
+  };
+  const note = (text, { bold = false, indent = 4 } = {}) => {
+    p.wrap(text, COMPACT_WIDTH - indent, { size: 11, bold }).forEach(l => {
+      p.text(l, x + indent, cursor + line / 2, { size: 11, bold });
+      cursor += line;
+    });
+  };
+  const rule = (style = 'dashed') => {
+    cursor += 2 * PX;
+    p.line(x, cursor, right, cursor, style);
+    cursor += 4 * PX;
+  };
+
+  centred(config.companyName, 16, true);
+  centred(config.address, 10);
+  if (amendmentMark(data)) centred(amendmentMark(data), 11, true);
+  cursor += 8 * PX;
+
+  rule();
+  visibleRows(config.template)
+    .flatMap(r => [r.left, r.right].filter(Boolean))
+    .forEach(cell => row(cell.label, cellValue(cell, data), cell.bold));
+  rule();
+  row(labels.gross, `${data.grossWeight} ${labels.unit}`, true);
+  if (show.dateTime) note(`${formatDate(data.dateTimeOut)} ${formatTime(data.dateTimeOut)}`);
+  row(labels.tare, `${data.tareWeight} ${labels.unit}`, true);
+  if (show.dateTime) note(`${formatDate(data.dateTimeIn)} ${formatTime(data.dateTimeIn)}`);
+  row(labels.net, `${data.netWeight} ${labels.unit}`, true);
+  if (show.words && weightInWords(data.netWeight, config.wordsStyle)) note(weightInWords(data.netWeight, pdfWordsStyle(config), labels.wordsSuffix), { bold: true, indent: 0 });
+  rule();
+
+  if (config.showCharges) {
+    row(labels.charges, `${labels.currency} ${data.charges}`, true);
+    const detail = describeCharges(data);
+    if (detail) note(detail);
+    if (show.chargesWords && rupeesInWords(data.charges)) note(rupeesInWords(data.charges), { bold: true, indent: 0 });
+    rule();
+  }
+
+  // Signatures
+  if (show.signatures) {
+    [operatorSignText(labels, data), labels.partySign].forEach(label => {
+      cursor += 24 * PX;
+      p.line(x, cursor, right, cursor, 'dotted');
+      cursor += 4 * PX;
+      p.text(label.toUpperCase(), x, cursor + line / 2, { size: 12 });
+      cursor += line;
+    });
+  }
+  if (qrCode && show.qrCode) {
+    cursor += 8 * PX;
+    pdf.addImage(qrCode, 'PNG', centre - 11, cursor, 22, 22);
+    cursor += 22;
+  }
+  cursor += 8 * PX;
+
+  // Footer
+  p.wrap(String(config.footer ?? '').toUpperCase(), COMPACT_WIDTH, { size: 10 }).forEach(l => {
+    p.text(l, centre, cursor + small / 2, { size: 10, align: 'center' });
+    cursor += small;
+  });
+  if (data.remarks) {
+    cursor += 4 * PX;
+    p.wrap(`${labels.note} ${data.remarks}`, COMPACT_WIDTH, { size: 10, bold: true }).forEach(l => {
+      p.text(l, centre, cursor + small / 2, { size: 10, bold: true, align: 'center' });
+      cursor += small;
+    });
+  }
+
+  if (isVoided(data)) p.watermark(VOID_MARK, centre, (y + cursor) / 2, 64, 45);
+
+  return cursor - y;
+};
+
+const variantOf = (layout) => (layout.variant === 'compact'
+  ? { draw: drawCompactReceipt, width: COMPACT_WIDTH }
+  : { draw: drawReceipt, width: RECEIPT_WIDTH });
+
+// Page [width, height] for every sheet. Continuous rolls get one sheet per ticket,
+// cut to that ticket's drawn length (measured on a scratch document).
+const pageFormats = async (receipts, configFor, layout, perPage, qrCodes) => {
+  const sheets = Math.ceil(receipts.length / perPage);
+  if (!layout.continuous) return Array(sheets).fill([layout.page.width, layout.page.height]);
+
+  const { draw } = variantOf(layout);
+  const scratch = await createReceiptDocument([layout.page.width, 1000]);
+  return receipts.map((r, i) => [layout.page.width, draw(scratch.pdf, scratch.font, r, configFor(r), 0, 0, qrCodes[i]) + 2 * layout.margin]);
+};
+
+// Verification QR of every receipt; a failure only leaves that ticket without one
+const qrCodesFor = (receipts, configFor) => Promise.all(receipts.map(r => receiptQrCode(r, configFor(r)).catch(error => {
+  console.warn("QR code skipped:", error);
+  return null;
+})));
+
+// Lays receipts out on the preset's sheets, `perPage` slots to a sheet (defaults to
+// the preset's own count; batches may ask for 1). onProgress(done, total) fires after
+// each ticket, and the loop yields between tickets so the UI can repaint. configFor(receipt)
+// picks each ticket's letterhead when a batch spans company profiles.
+const buildReceiptsPdf = async (receipts, config, { layout: layoutId, perPage, onProgress, configFor = () => config } = {}) => {
+  const layout = getLayout(layoutId);
+  const slots = perPage || layout.perPage;
+  const slot = slotHeight({ ...layout, perPage: slots });
+  const { draw, width } = variantOf(layout);
+  const qrCodes = await qrCodesFor(receipts, configFor);
+  const formats = await pageFormats(receipts, configFor, layout, slots, qrCodes);
+
+  const { pdf, font } = await createReceiptDocument(formats[0]);
+  const x = (layout.page.width - width) / 2;
+
+  for (let i = 0; i < receipts.length; i++) {
+    const index = i % slots;
+    if (i > 0 && index === 0) {
+      const format = formats[i / slots];
+      pdf.addPage(format, orientationOf(format));
+    }
+    draw(pdf, font, receipts[i], configFor(receipts[i]), x, layout.margin + index * (slot + layout.gap), qrCodes[i]);
+
+    if (onProgress) {
+      onProgress(i + 1, receipts.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  return pdf;
+};
+
+// Builds one sheet holding the preset's copies of a single receipt and downloads it
+export const saveReceiptPdf = async (data, config, filename, layoutId) => {
+  const copies = getLayout(layoutId).perPage;
+  const pdf = await buildReceiptsPdf(Array(copies).fill(data), config, { layout: layoutId });
+
+  pdf.setProperties({ title: filename.replace(/\.pdf$/i, ''), subject: `RST ${data.rstNo} ${data.vehicleNo}` });
+  pdf.save(filename);
+};
+
+// Builds one multi-page PDF of many different receipts and downloads it
+export const saveReceiptsPdf = async (receipts, config, filename, options) => {
+  const pdf = await buildReceiptsPdf(receipts, config, options);
+
+  pdf.setProperties({ title: filename.replace(/\.pdf$/i, ''), subject: `${receipts.length} receipts` });
+  pdf.save(filename);
+};
@@ -0,0 +1,48 @@
+// Conflict rules for multi-terminal sync, shared by the app (lib/sync.js) and the LAN
+// server (server/sync-server.js) so both always pick the same winner. Every synced
+// record carries `version` (bumped on each change), `updatedAt` and `updatedBy`
+// (the terminal that made the change). A purged receipt travels as a tombstone,
+// { id, deleted: true, version, ... }, so other terminals drop it too.
+
+// Next version of a record changed on this terminal
+export const stampRecord = (record, terminalId, now = new Date()) => ({
+  ...record,
+  version: (record.version || 0) + 1,
+  updatedAt: now.toISOString(),
+  updatedBy: terminalId,
+});
+
+export const tombstone = (record, terminalId, now = new Date()) =>
+  stampRecord({ id: record.id, rstNo: record.rstNo, version: record.version, deleted: true }, terminalId, now);
+
+// Whether `a` should replace `b`: the higher version wins; two edits of the same
+// version (made on different terminals while apart) go to the later one, then to
+// the higher terminal id so the outcome never depends on who syncs first
+export const isNewer = (a, b) => {
+  if (!a) return false;
+  if (!b) return true;
+  const versionA = a.version || 0;
+  const versionB = b.version || 0;
+  if (versionA !== versionB) return versionA > versionB;
+  const timeA = String(a.updatedAt || '');
+  const timeB = String(b.updatedAt || '');
+  if (timeA !== timeB) return timeA > timeB;
+  return String(a.updatedBy || '') > String(b.updatedBy || '');
+};
+
+// A receipt's RST within its series, as isDuplicateRst (lib/rstSeries.js) compares them
+export const rstKeyOf = (record) => `${record.rstSeries || 'default'}\n${String(record.rstNo ?? '').trim()}`;
+
+// Ids of live receipts sharing an RST. Each terminal allocates RSTs from its own
+// counter, so two terminals saving while apart can issue the same number; sync flags those.
+export const duplicateRstIds = (records) => {
+  const idsByRst = new Map();
+  records.forEach((r) => {
+    if (r.deleted || !String(r.rstNo ?? '').trim()) return;
+    const key = rstKeyOf(r);
+    idsByRst.set(key, [...(idsByRst.get(key) || []), r.id]);
+  });
+  return new Set([...idsByRst.values()].filter(ids => ids.length > 1).flat());
+};
+
+export const newTerminalId = () => `T-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
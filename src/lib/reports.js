@@ -0,0 +1,67 @@
+// End-of-shift summaries built from the saved receipt history
+
+import { formatDate } from './format';
+import { isChargeOverridden } from './rates';
+import { isVoided } from './voids';
+
+const MONTHS = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'];
+
+export const REPORT_PERIODS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'month', label: 'Monthly' },
+];
+
+// Keeps summed decimals (e.g. charges in paise) from printing float noise
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Groups receipts by a field and totals them, heaviest group first
+const breakdown = (receipts, field) => {
+  const groups = new Map();
+  receipts.forEach(r => {
+    const key = String(r[field] ?? '').trim().toUpperCase() || '(NONE)';
+    const group = groups.get(key) || { key, count: 0, net: 0, charges: 0 };
+    group.count += 1;
+    group.net += parseFloat(r.netWeight) || 0;
+    group.charges += parseFloat(r.charges) || 0;
+    groups.set(key, group);
+  });
+  return [...groups.values()].map(g => ({ ...g, net: round2(g.net), charges: round2(g.charges) })).sort((a, b) => b.net - a.net || a.key.localeCompare(b.key));
+};
+
+// Splits charges into weighing fees, material charges and GST; typed or overridden
+// charges (no rate-card breakdown behind them) are totalled as `other`
+const chargeSplit = (receipts) => {
+  const split = receipts.reduce((acc, r) => {
+    const b = r.chargeBreakdown;
+    if (!b || isChargeOverridden(r)) return { ...acc, other: acc.other + (parseFloat(r.charges) || 0) };
+    return { ...acc, fees: acc.fees + b.fee, material: acc.material + b.material, gst: acc.gst + b.gst };
+  }, { fees: 0, material: 0, gst: 0, other: 0 });
+  return Object.fromEntries(Object.entries(split).map(([key, value]) => [key, round2(value)]));
+};
+
+// `date` is YYYY-MM-DD for a daily report or YYYY-MM for a monthly one.
+// Voided tickets are counted separately and left out of every total.
+export const buildSummary = (receipts, period, date) => {
+  const prefix = period === 'month' ? date.slice(0, 7) : date.slice(0, 10);
+  const allInPeriod = receipts.filter(r => String(r.dateTimeOut ?? '').startsWith(prefix));
+  const inPeriod = allInPeriod.filter(r => !isVoided(r));
+
+  const label = period === 'month'
+    ? `${MONTHS[parseInt(prefix.slice(5, 7), 10) - 1] || ''} ${prefix.slice(0, 4)}`
+    : formatDate(prefix);
+
+  return {
+    period,
+    date: prefix,
+    label,
+    ticketCount: inPeriod.length,
+    voidedCount: allInPeriod.length - inPeriod.length,
+    totalNet: round2(inPeriod.reduce((sum, r) => sum + (parseFloat(r.netWeight) || 0), 0)),
+    totalCharges: round2(inPeriod.reduce((sum, r) => sum + (parseFloat(r.charges) || 0), 0)),
+    chargeSplit: chargeSplit(inPeriod),
+    byMaterial: breakdown(inPeriod, 'material'),
+    byCustomer: breakdown(inPeriod, 'customer'),
+    byVehicle: breakdown(inPeriod, 'vehicleNo'),
+    generatedAt: new Date().toISOString(),
+  };
+};
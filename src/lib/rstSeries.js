@@ -0,0 +1,136 @@
+// RST serial allocation. Numbers are peeked for the editor and only committed
+// when a ticket is saved or opened for two-pass weighing, so the series stays
+// gap-free; anything abandoned after commit is recorded as voided for audit.
+//
+// A series key is the period ('default' or a financial year such as '2025-26'),
+// scoped as 'profileId:period' for every company profile except the default one.
+
+import { DEFAULT_PROFILE_ID } from './profiles';
+import { isVoided } from './voids';
+
+export const SERIES_STORAGE_KEY = 'weight_rst_series';
+
+export const RST_RESET_RULES = [
+  { value: 'none', label: 'Continuous (never reset)' },
+  { value: 'reset', label: 'Restart from start no. every April' },
+  { value: 'prefix', label: 'Prefix with financial year (2025-26/1)' },
+];
+
+const DEFAULT_SERIES_STATE = { counters: {}, voided: [] };
+
+export const loadSeriesState = () => {
+  const saved = localStorage.getItem(SERIES_STORAGE_KEY);
+  return saved ? { ...DEFAULT_SERIES_STATE, ...JSON.parse(saved) } : DEFAULT_SERIES_STATE;
+};
+
+export const saveSeriesState = (state) => {
+  localStorage.setItem(SERIES_STORAGE_KEY, JSON.stringify(state));
+};
+
+// Indian financial year label for a date, e.g. 2025-26 for anything from 1 Apr 2025 to 31 Mar 2026
+export const getFinancialYear = (date = new Date()) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+export const scopeSeries = (profileId, period) =>
+  (!profileId || profileId === DEFAULT_PROFILE_ID) ? period : `${profileId}:${period}`;
+
+// 'default' or the financial year of a (possibly profile-scoped) series key
+export const seriesPeriod = (series) => series.slice(series.indexOf(':') + 1);
+
+const seriesProfile = (series) => (series.includes(':') ? series.slice(0, series.indexOf(':')) : DEFAULT_PROFILE_ID);
+
+export const getSeriesKey = (config, date = new Date()) =>
+  scopeSeries(config.profileId, (!config.rstResetRule || config.rstResetRule === 'none') ? 'default' : getFinancialYear(date));
+
+export const formatRstNo = (number, series, config) => {
+  const period = seriesPeriod(series);
+  return (config.rstResetRule === 'prefix' && period !== 'default') ? `${period}/${number}` : String(number);
+};
+
+// Extracts the running number from an RST, ignoring any financial-year prefix
+export const parseRstNumber = (rstNo) => {
+  const match = String(rstNo ?? '').match(/(\d+)\s*$/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const seriesOf = (record) => record.rstSeries || 'default';
+
+const highestUsed = (records, series) => records.reduce((max, r) => {
+  if (seriesOf(r) !== series) return max;
+  const n = parseRstNumber(r.rstNo);
+  return n !== null && n > max ? n : max;
+}, 0);
+
+// Returns the RST the next ticket would receive without reserving it
+export const peekNextRst = (state, records, config, date = new Date()) => {
+  const series = getSeriesKey(config, date);
+  const start = (parseInt(config.rstStart, 10) || 1) - 1;
+  const last = Math.max(state.counters[series] || 0, start, highestUsed(records, series));
+  return { rstNo: formatRstNo(last + 1, series, config), rstSeries: series };
+};
+
+// Marks a ticket's RST as issued so the counter moves past it
+export const commitRst = (state, record) => {
+  const n = parseRstNumber(record.rstNo);
+  const series = seriesOf(record);
+  if (n === null || n <= (state.counters[series] || 0)) return state;
+  return { ...state, counters: { ...state.counters, [series]: n } };
+};
+
+// Records an issued RST that will never appear as a finished ticket, and who gave it up
+export const voidRst = (state, record, reason, by = '') => {
+  if (!record.rstNo) return state;
+  const entry = { rstNo: String(record.rstNo), rstSeries: seriesOf(record), reason, voidedAt: new Date().toISOString(), by };
+  return { ...state, voided: [...state.voided, entry] };
+};
+
+export const isDuplicateRst = (records, record) => {
+  const rstNo = String(record.rstNo ?? '').trim();
+  if (!rstNo) return false;
+  return records.some(r =>
+    r.id !== record.id && seriesOf(r) === seriesOf(record) && String(r.rstNo ?? '').trim() === rstNo
+  );
+};
+
+// Lists every number between the first issued and the counter that has no live ticket,
+// marking each one as voided (an abandoned RST or a voided ticket, with its reason) or
+// skipped. Runs of skipped numbers come as one entry with a `count`, so a mistyped
+// RST far ahead of the series costs one line rather than millions. Covers the series
+// of config's profile only; `series` in the result is the unscoped period and
+// `missing` the count of numbers without a live ticket.
+export const buildGapReport = (state, records, config) => {
+  const profileId = config.profileId || DEFAULT_PROFILE_ID;
+  const series = new Set([...Object.keys(state.counters), ...records.map(seriesOf)].filter(key => seriesProfile(key) === profileId));
+
+  return [...series].sort().map(key => {
+    const inSeries = records.filter(r => seriesOf(r) === key);
+    const used = new Set(inSeries.filter(r => !isVoided(r)).map(r => parseRstNumber(r.rstNo)).filter(n => n !== null));
+    const voided = new Map([
+      ...state.voided.filter(v => v.rstSeries === key),
+      ...inSeries.filter(isVoided).map(r => ({ rstNo: String(r.rstNo), reason: `Ticket voided: ${r.voided.reason}`, voidedAt: r.voided.at, by: r.voided.by })),
+    ].map(v => [parseRstNumber(v.rstNo), v]));
+    // Only numbers that are issued or voided need visiting; the rest are the runs between them
+    const known = [...new Set([...used, ...voided.keys()])].filter(n => n !== null).sort((a, b) => a - b);
+    const first = known.length ? known[0] : null;
+    const last = Math.max(known.length ? known[known.length - 1] : 0, state.counters[key] || 0);
+
+    const gaps = [];
+    const addSkipped = (from, to) => {
+      if (from > to) return;
+      const rstNo = from === to ? formatRstNo(from, key, config) : `${formatRstNo(from, key, config)} – ${formatRstNo(to, key, config)}`;
+      gaps.push({ number: from, rstNo, count: to - from + 1, status: 'skipped', reason: '', voidedAt: null, by: '' });
+    };
+    known.forEach((n, i) => {
+      if (i > 0) addSkipped(known[i - 1] + 1, n - 1);
+      const v = !used.has(n) && voided.get(n);
+      if (v) gaps.push({ number: n, rstNo: v.rstNo, count: 1, status: 'voided', reason: v.reason, voidedAt: v.voidedAt, by: v.by || '' });
+    });
+    if (first !== null) addSkipped(known[known.length - 1] + 1, last);
+
+    const missing = gaps.reduce((sum, g) => sum + g.count, 0);
+    return { series: seriesPeriod(key), first, last, issued: used.size, missing, gaps };
+  });
+};
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { buildGapReport, voidRst } from './rstSeries';
+
+const config = { profileId: 'default', rstResetRule: 'none' };
+
+describe('buildGapReport', () => {
+  it('lists voided tickets with their reason alongside skipped numbers', () => {
+    const state = { counters: { default: 5 }, voided: [{ rstNo: '4', rstSeries: 'default', reason: 'Open ticket cancelled', voidedAt: '2026-03-02T10:00:00.000Z' }] };
+    const records = [
+      { id: 1, rstNo: '1', rstSeries: 'default' },
+      { id: 2, rstNo: '2', rstSeries: 'default', voided: { at: '2026-03-02T11:00:00.000Z', by: 'Asha', reason: 'Wrong vehicle' } },
+      { id: 5, rstNo: '5', rstSeries: 'default' },
+    ];
+    const [series] = buildGapReport(state, records, config);
+    expect(series.issued).toBe(2);
+    expect(series.missing).toBe(3);
+    expect(series.gaps.map(g => [g.rstNo, g.status, g.reason, g.by])).toEqual([
+      ['2', 'voided', 'Ticket voided: Wrong vehicle', 'Asha'],
+      ['3', 'skipped', '', ''],
+      ['4', 'voided', 'Open ticket cancelled', ''],
+    ]);
+  });
+
+  it('records who gave up an RST', () => {
+    const state = voidRst({ counters: { default: 1 }, voided: [] }, { rstNo: '1', rstSeries: 'default' }, 'Open ticket cancelled', 'Asha');
+    const [series] = buildGapReport(state, [], config);
+    expect(series.gaps[0]).toMatchObject({ rstNo: '1', status: 'voided', by: 'Asha' });
+    expect(series.gaps[0].voidedAt).toBeTruthy();
+  });
+
+  it('reports a long run of skipped numbers as one entry', () => {
+    const records = [
+      { id: 1, rstNo: '1', rstSeries: 'default' },
+      { id: 2, rstNo: '9999999', rstSeries: 'default' },
+    ];
+    const [series] = buildGapReport({ counters: { default: 10000001 }, voided: [] }, records, config);
+    expect(series.gaps.map(g => [g.rstNo, g.count])).toEqual([['2 – 9999998', 9999997], ['10000000 – 10000001', 2]]);
+    expect(series.missing).toBe(9999999);
+  });
+});
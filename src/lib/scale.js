@@ -0,0 +1,95 @@
+// Weighbridge indicator protocol parsing. Parsers are plain objects, so a new
+// indicator format is one registerScaleParser() call, away from the serial plumbing:
+//   id, label             -> key stored in config.scaleProtocol, name shown in Settings
+//   parse(frame)          -> { weight, stable, unit } | null   (stable: null = indicator does not say;
+//                            weight always in kg)
+//   encode(weight, stable) -> frame text, used by the simulated scale
+
+const STX = String.fromCharCode(2);
+const ETX = String.fromCharCode(3);
+
+// Kilograms per unit an indicator may report in
+const KG_PER_UNIT = { kg: 1, g: 0.001, t: 1000, lb: 0.45359237, lbs: 0.45359237 };
+
+// Rockway-style continuous output: STX, sign, 7-digit weight, status (S = stable, M = motion), ETX
+const rockwayParser = {
+  id: 'rockway',
+  label: 'Rockway continuous (STX +0012345 S ETX)',
+  parse: (frame) => {
+    const match = frame.match(/([+-])?\s*(\d{1,7})\s*([SM])?/);
+    if (!match) return null;
+    const weight = parseInt(match[2], 10) * (match[1] === '-' ? -1 : 1);
+    return { weight, stable: match[3] ? match[3] === 'S' : null, unit: 'kg' };
+  },
+  encode: (weight, stable) =>
+    `${STX}${weight < 0 ? '-' : '+'}${String(Math.abs(Math.round(weight))).padStart(7, '0')}${stable ? 'S' : 'M'}${ETX}`,
+};
+
+// Avery-style continuous output: "ST,GS,+0012345kg" (ST = stable, US = unstable, OL = overload).
+// Indicators set to lb, t or g are converted; a unit we don't know drops the frame.
+const averyParser = {
+  id: 'avery',
+  label: 'Avery continuous (ST,GS,+0012345kg)',
+  parse: (frame) => {
+    const match = frame.match(/(ST|US|OL)\s*,\s*(GS|NT|TR)?\s*,?\s*([+-]?\s*\d+(?:\.\d+)?)\s*([a-z]*)/i);
+    if (!match || match[1].toUpperCase() === 'OL') return null;
+    const kgPerUnit = KG_PER_UNIT[(match[4] || 'kg').toLowerCase()];
+    if (!kgPerUnit) return null;
+    const weight = Math.round(parseFloat(match[3].replace(/\s/g, '')) * kgPerUnit * 100) / 100;
+    return { weight, stable: match[1].toUpperCase() === 'ST', unit: 'kg' };
+  },
+  encode: (weight, stable) =>
+    `${stable ? 'ST' : 'US'},GS,${weight < 0 ? '-' : '+'}${String(Math.abs(Math.round(weight))).padStart(7, '0')}kg\r\n`,
+};
+
+// Fallback for indicators that stream a bare number; stability is inferred from repeated readings
+const genericParser = {
+  id: 'generic',
+  label: 'Generic (first number in each line)',
+  parse: (frame) => {
+    const match = frame.match(/[+-]?\d+(?:\.\d+)?/);
+    return match ? { weight: parseFloat(match[0]), stable: null, unit: 'kg' } : null;
+  },
+  encode: (weight) => `${Math.round(weight)}\r\n`,
+};
+
+const SCALE_PARSERS = {
+  [rockwayParser.id]: rockwayParser,
+  [averyParser.id]: averyParser,
+  [genericParser.id]: genericParser,
+};
+
+// Adds (or replaces) an indicator format; it is listed in Settings from then on
+export const registerScaleParser = (parser) => {
+  if (!parser?.id || !parser.label || typeof parser.parse !== 'function' || typeof parser.encode !== 'function') {
+    throw new Error('A scale parser needs an id, a label, parse() and encode().');
+  }
+  SCALE_PARSERS[parser.id] = parser;
+};
+
+export const getScaleParser = (id) => SCALE_PARSERS[id] || genericParser;
+
+export const listScaleParsers = () => Object.values(SCALE_PARSERS).map(({ id, label }) => ({ id, label }));
+
+// Accumulates serial chunks and returns the complete frames, split on STX/ETX/CR/LF
+export const createFrameSplitter = () => {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk;
+    const parts = buffer.replaceAll(STX, '\n').replaceAll(ETX, '\n').split(/[\r\n]+/);
+    buffer = parts.pop();
+    return parts.map(p => p.trim()).filter(Boolean);
+  };
+};
+
+// Decides stability from the indicator's own flag when it sends one, otherwise
+// from the last `samples` readings all lying within `tolerance` kg of each other
+export const createStabilityTracker = ({ samples = 5, tolerance = 0 } = {}) => {
+  let recent = [];
+  return (reading) => {
+    recent = [...recent, reading.weight].slice(-samples);
+    if (reading.stable !== null && reading.stable !== undefined) return reading.stable;
+    if (recent.length < samples) return false;
+    return Math.max(...recent) - Math.min(...recent) <= tolerance;
+  };
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { createFrameSplitter, getScaleParser, listScaleParsers, registerScaleParser } from './scale';
+
+const STX = String.fromCharCode(2);
+const ETX = String.fromCharCode(3);
+
+describe('scale parsers', () => {
+  it('reads Rockway frames with sign and stability', () => {
+    const rockway = getScaleParser('rockway');
+    expect(rockway.parse('+0012345S')).toEqual({ weight: 12345, stable: true, unit: 'kg' });
+    expect(rockway.parse('-0000040M')).toEqual({ weight: -40, stable: false, unit: 'kg' });
+    expect(rockway.parse('ERR')).toBeNull();
+  });
+
+  it('reads Avery frames and converts them to kg', () => {
+    const avery = getScaleParser('avery');
+    expect(avery.parse('ST,GS,+0012345kg')).toEqual({ weight: 12345, stable: true, unit: 'kg' });
+    expect(avery.parse('US,GS,+0001000lb')).toEqual({ weight: 453.59, stable: false, unit: 'kg' });
+    expect(avery.parse('ST,NT,+12.345t')).toEqual({ weight: 12345, stable: true, unit: 'kg' });
+    expect(avery.parse('OL,GS,+9999999kg')).toBeNull();
+    expect(avery.parse('ST,GS,+0012345oz')).toBeNull();
+  });
+
+  it('reads the first number of a generic line', () => {
+    const generic = getScaleParser('generic');
+    expect(generic.parse('WT: 14440 KG')).toEqual({ weight: 14440, stable: null, unit: 'kg' });
+    expect(generic.parse('----')).toBeNull();
+    expect(getScaleParser('unknown')).toBe(generic);
+  });
+
+  it('round-trips what the simulated scale encodes', () => {
+    ['rockway', 'avery', 'generic'].forEach((id) => {
+      const parser = getScaleParser(id);
+      const [frame] = createFrameSplitter()(parser.encode(22235, true));
+      expect(parser.parse(frame).weight).toBe(22235);
+    });
+  });
+});
+
+describe('registerScaleParser', () => {
+  it('adds a new indicator format next to the built-in ones', () => {
+    const essae = {
+      id: 'essae',
+      label: 'Essae (W=0012345,S)',
+      parse: (frame) => {
+        const match = frame.match(/W=(\d+),([SU])/);
+        return match ? { weight: parseInt(match[1], 10), stable: match[2] === 'S', unit: 'kg' } : null;
+      },
+      encode: (weight, stable) => `W=${String(Math.round(weight)).padStart(7, '0')},${stable ? 'S' : 'U'}\r\n`,
+    };
+    registerScaleParser(essae);
+
+    expect(getScaleParser('essae')).toBe(essae);
+    expect(listScaleParsers()).toContainEqual({ id: 'essae', label: essae.label });
+    const [frame] = createFrameSplitter()(essae.encode(9200, true));
+    expect(getScaleParser('essae').parse(frame)).toEqual({ weight: 9200, stable: true, unit: 'kg' });
+  });
+
+  it('refuses a parser without parse() or encode()', () => {
+    expect(() => registerScaleParser({ id: 'broken', label: 'Broken' })).toThrow(/parse\(\) and encode\(\)/);
+    expect(listScaleParsers().map(p => p.id)).not.toContain('broken');
+  });
+});
+
+describe('createFrameSplitter', () => {
+  it('splits on STX/ETX and line ends, keeping a partial frame for the next chunk', () => {
+    const split = createFrameSplitter();
+    expect(split(`${STX}+0012345S${ETX}${STX}+00123`)).toEqual(['+0012345S']);
+    expect(split(`46S${ETX}\r\nST,GS,+1kg\r\n`)).toEqual(['+0012346S', 'ST,GS,+1kg']);
+  });
+});
@@ -0,0 +1,102 @@
+// Sources of raw indicator text. Every adapter exposes the same shape:
+//   start(onReading, onError) -> Promise, stop() -> Promise
+// where onReading receives { weight, stable, unit, raw, at }.
+
+import { createFrameSplitter, createStabilityTracker } from './scale';
+
+const wireReadings = (parser, onReading) => {
+  const split = createFrameSplitter();
+  const isStable = createStabilityTracker();
+
+  return (chunk) => {
+    split(chunk).forEach(frame => {
+      const parsed = parser.parse(frame);
+      if (!parsed || !Number.isFinite(parsed.weight)) return;
+      onReading({ ...parsed, stable: isStable(parsed), raw: frame, at: Date.now() });
+    });
+  };
+};
+
+export const isWebSerialSupported = () => typeof navigator !== 'undefined' && 'serial' in navigator;
+
+// Reads the indicator's RS-232 stream through the Web Serial API (Chrome/Edge)
+export const createSerialAdapter = ({ parser, baudRate = 2400 }) => {
+  let port = null;
+  let reader = null;
+
+  return {
+    start: async (onReading, onError) => {
+      if (!isWebSerialSupported()) throw new Error('Web Serial is not supported in this browser.');
+
+      const activePort = await navigator.serial.requestPort();
+      await activePort.open({ baudRate, dataBits: 8, stopBits: 1, parity: 'none' });
+      const activeReader = activePort.readable.getReader();
+      port = activePort;
+      reader = activeReader;
+
+      const feed = wireReadings(parser, onReading);
+      const decoder = new TextDecoder();
+
+      // Read loop runs until stop() cancels the reader. A read failure (cable pulled,
+      // device reset) closes the port too, or reconnecting would find it still open.
+      (async () => {
+        let failure = null;
+        try {
+          for (;;) {
+            const { value, done } = await activeReader.read();
+            if (done) break;
+            feed(decoder.decode(value, { stream: true }));
+          }
+        } catch (error) {
+          failure = error;
+        } finally {
+          activeReader.releaseLock();
+        }
+        if (!failure) return;
+        await activePort.close().catch(() => {});
+        if (port === activePort) {
+          port = null;
+          reader = null;
+        }
+        onError?.(failure);
+      })();
+    },
+    stop: async () => {
+      if (reader) await reader.cancel().catch(() => {});
+      if (port) await port.close().catch(() => {});
+      reader = null;
+      port = null;
+    },
+  };
+};
+
+// Emits frames in the selected protocol so the capture flow works without hardware.
+// The weight drifts towards a random target, settles, then holds steady.
+export const createSimulatedAdapter = ({ parser, intervalMs = 250 }) => {
+  let timer = null;
+
+  return {
+    start: async (onReading) => {
+      const feed = wireReadings(parser, onReading);
+      let weight = 0;
+      let target = 5000 + Math.round(Math.random() * 20000);
+      let held = 0;
+
+      timer = setInterval(() => {
+        const diff = target - weight;
+        const moving = Math.abs(diff) > 10;
+        weight = moving ? weight + Math.round(diff / 3) : target;
+        held = moving ? 0 : held + 1;
+
+        // After holding for ~10s, drive another vehicle onto the bridge
+        if (held > 40) target = 5000 + Math.round(Math.random() * 20000);
+
+        feed(parser.encode(weight, !moving));
+      }, intervalMs);
+    },
+    stop: async () => {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
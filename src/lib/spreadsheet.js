@@ -0,0 +1,250 @@
+// CSV / XLSX export and import of the receipt history. CSV is read and written here;
+// workbooks go through ExcelJS, which is only downloaded the first time one is used.
+
+import { isAmended } from './audit';
+import { downloadBlob } from './download';
+import { toDateTimeLocal } from './format';
+import { DEFAULT_PROFILE_ID } from './profiles';
+import { rstKeyOf } from './replication';
+import { scopeSeries } from './rstSeries';
+import { isVoided } from './voids';
+
+// Columns with `value` are worked out for export only and skipped on import
+export const EXPORT_COLUMNS = [
+  { key: 'rstNo', header: 'RST No' },
+  { key: 'vehicleNo', header: 'Vehicle No' },
+  { key: 'customer', header: 'Customer' },
+  { key: 'supplier', header: 'Supplier' },
+  { key: 'material', header: 'Material' },
+  { key: 'grossWeight', header: 'Gross (kg)', numeric: true },
+  { key: 'tareWeight', header: 'Tare (kg)', numeric: true },
+  { key: 'netWeight', header: 'Net (kg)', numeric: true },
+  { key: 'dateTimeIn', header: 'Date/Time In', date: true },
+  { key: 'dateTimeOut', header: 'Date/Time Out', date: true },
+  { key: 'charges', header: 'Charges (Rs)', numeric: true },
+  { key: 'remarks', header: 'Remarks' },
+  { key: 'operator', header: 'Operator' },
+  { key: 'status', header: 'Status', value: (r) => (isVoided(r) ? 'Void' : isAmended(r) ? 'Amended' : '') },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.map(c => c.key);
+
+export const receiptsToRows = (receipts, columnKeys = DEFAULT_EXPORT_COLUMNS) => {
+  const columns = EXPORT_COLUMNS.filter(c => columnKeys.includes(c.key));
+  return receipts.map(r => Object.fromEntries(columns.map(c => {
+    const value = (c.value ? c.value(r) : r[c.key]) ?? '';
+    return [c.header, c.date && value ? String(value).replace('T', ' ') : value];
+  })));
+};
+
+// Quotes a field when it holds a comma, quote or line break (RFC 4180)
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (receipts, columnKeys = DEFAULT_EXPORT_COLUMNS) => {
+  const headers = EXPORT_COLUMNS.filter(c => columnKeys.includes(c.key)).map(c => c.header);
+  const lines = [headers, ...receiptsToRows(receipts, columnKeys).map(row => headers.map(h => row[h]))];
+  return lines.map(fields => fields.map(csvField).join(',')).join('\r\n');
+};
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Builds a one-sheet workbook; weights and charges are stored as numbers, dates as text
+export const toXlsx = async (receipts, columnKeys = DEFAULT_EXPORT_COLUMNS) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const columns = EXPORT_COLUMNS.filter(c => columnKeys.includes(c.key));
+  const book = new ExcelJS.Workbook();
+  const sheet = book.addWorksheet('Receipts');
+  sheet.columns = columns.map(c => ({ header: c.header, key: c.header, width: Math.max(12, c.header.length + 2) }));
+  receiptsToRows(receipts, columnKeys).forEach((row) => {
+    sheet.addRow(Object.fromEntries(columns.map(c => {
+      const value = row[c.header];
+      return [c.header, c.numeric && value !== '' && Number.isFinite(Number(value)) ? Number(value) : value];
+    })));
+  });
+  sheet.getRow(1).font = { bold: true };
+  return book.xlsx.writeBuffer();
+};
+
+// Writes the receipts as a download; format is 'csv' or 'xlsx'.
+// The byte order mark makes Excel read a CSV as UTF-8.
+export const exportReceipts = async (receipts, columnKeys, format, filename) => {
+  const blob = format === 'xlsx'
+    ? new Blob([await toXlsx(receipts, columnKeys)], { type: XLSX_TYPE })
+    : new Blob(['\uFEFF', toCsv(receipts, columnKeys)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${filename}.${format}`);
+};
+
+// Splits CSV text into rows of fields, honouring quoted commas, quotes and line breaks.
+// Excel in some locales separates with semicolons; the header line decides which is used.
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.slice(0, source.search(/\r?\n|$/));
+  const separator = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field]);
+  // Blank lines (often trailing) are not rows
+  return rows.filter(fields => fields.some(f => f.trim()));
+};
+
+const toValidDateTime = (y, m, d, hh, mm) => {
+  const date = new Date(+y, +m - 1, +d, +hh, +mm);
+  // Reject rollovers such as 31/02 becoming 03/03
+  if (date.getFullYear() !== +y || date.getMonth() !== +m - 1 || date.getDate() !== +d || +hh > 23) return null;
+  return toDateTimeLocal(date);
+};
+
+// Accepts a Date, YYYY-MM-DD HH:MM (with T or space) or DD/MM/YYYY HH:MM; returns YYYY-MM-DDTHH:MM or null
+export const parseImportDate = (value) => {
+  // Workbook date cells carry the wall-clock time in their UTC fields
+  if (value instanceof Date) {
+    return isNaN(value) ? null : toValidDateTime(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate(), value.getUTCHours(), value.getUTCMinutes());
+  }
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s](\d{1,2}):(\d{2}))?/);
+  if (match) {
+    const [, y, m, d, hh = '0', mm = '0'] = match;
+    return toValidDateTime(y, m, d, hh, mm);
+  }
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
+  if (match) {
+    const [, d, m, y, hh = '0', mm = '0'] = match;
+    return toValidDateTime(y, m, d, hh, mm);
+  }
+  return null;
+};
+
+// Plain value of a workbook cell: formulas give their result, rich text and links their text
+const plainValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return plainValue(value.result);
+  if ('text' in value) return plainValue(value.text);
+  return '';
+};
+
+// Rows of cell values from the first sheet of an .xlsx workbook
+const readXlsxRows = async (file) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const book = new ExcelJS.Workbook();
+  await book.xlsx.load(await file.arrayBuffer());
+  const sheet = book.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow((row) => {
+    // row.values is 1-based; slot 0 is always empty
+    const fields = Array.from({ length: row.cellCount }, (_, i) => plainValue(row.values[i + 1]));
+    if (fields.some(f => String(f).trim())) rows.push(fields);
+  });
+  return rows;
+};
+
+// Reads a CSV or XLSX file into objects keyed by receipt field; unknown columns are dropped
+export const readSpreadsheet = async (file) => {
+  const name = file.name || '.csv';
+  if (/\.xls$/i.test(name)) throw new Error('Old .xls workbooks are not supported. Save the sheet as .xlsx or CSV in Excel first.');
+  const [headers = [], ...rows] = /\.xlsx$/i.test(name) ? await readXlsxRows(file) : parseCsv(await file.text());
+
+  const keys = headers.map((header) => {
+    const name = String(header).trim().toLowerCase();
+    return EXPORT_COLUMNS.find(c => !c.value && (c.header.toLowerCase() === name || c.key.toLowerCase() === name))?.key;
+  });
+
+  return rows.map(fields => Object.fromEntries(
+    keys.map((key, i) => [key, fields[i] ?? '']).filter(([key]) => key)
+  ));
+};
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+// Validates imported rows and flags RST clashes with the existing history or earlier rows.
+// Each result: { rowNumber, receipt, errors, conflict } where conflict is the clashing saved receipt.
+// Rows are stamped with `profileId`; an RST clashes only within its series, as in isDuplicateRst.
+export const validateImportRows = (rows, existing, profileId = DEFAULT_PROFILE_ID) => {
+  const existingByRst = new Map(existing.map(r => [rstKeyOf(r), r]));
+  const seenInFile = new Set();
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const rstNo = String(row.rstNo ?? '').trim();
+    // Financial-year prefixed numbers (2025-26/15) belong to that year's series
+    const rstSeries = scopeSeries(profileId, rstNo.match(/^(\d{4}-\d{2})\//)?.[1] || 'default');
+    const rstKey = rstKeyOf({ rstNo, rstSeries });
+    if (!rstNo) errors.push('Missing RST No');
+    else if (seenInFile.has(rstKey)) errors.push('RST No repeated in file');
+    seenInFile.add(rstKey);
+
+    const gross = toNumber(row.grossWeight);
+    const tare = toNumber(row.tareWeight);
+    let net = toNumber(row.netWeight);
+    [['Gross', gross], ['Tare', tare], ['Net', net]].forEach(([label, value]) => {
+      if (value !== null && !Number.isFinite(value)) errors.push(`${label} weight is not a number`);
+    });
+    if (net === null && Number.isFinite(gross) && Number.isFinite(tare)) net = gross - tare;
+    if (Number.isFinite(net) && net < 0) errors.push('Negative net weight');
+
+    const dateTimeIn = parseImportDate(row.dateTimeIn);
+    const dateTimeOut = parseImportDate(row.dateTimeOut);
+    if (dateTimeIn === null) errors.push('Bad Date/Time In');
+    if (dateTimeOut === null) errors.push('Bad Date/Time Out');
+
+    const charges = toNumber(row.charges);
+    if (charges !== null && !Number.isFinite(charges)) errors.push('Charges is not a number');
+
+    const receipt = {
+      rstNo,
+      rstSeries,
+      profileId,
+      vehicleNo: String(row.vehicleNo ?? '').trim().toUpperCase(),
+      customer: String(row.customer ?? '').trim(),
+      supplier: String(row.supplier ?? '').trim(),
+      material: String(row.material ?? '').trim(),
+      grossWeight: gross ?? 0,
+      tareWeight: tare ?? 0,
+      netWeight: net ?? 0,
+      manualNetWeight: row.netWeight !== '' && row.netWeight !== undefined && net !== (gross ?? 0) - (tare ?? 0),
+      dateTimeIn: dateTimeIn || '',
+      dateTimeOut: dateTimeOut || '',
+      charges: charges ?? 0,
+      remarks: String(row.remarks ?? ''),
+      operator: String(row.operator ?? '').trim(),
+    };
+
+    return { rowNumber: index + 2, receipt, errors, conflict: existingByRst.get(rstKey) || null };
+  });
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv, parseImportDate, readSpreadsheet, receiptsToRows, toCsv, toXlsx, validateImportRows } from './spreadsheet';
+
+const asFile = (text, name = 'receipts.csv') => ({ name, text: async () => text });
+const asWorkbook = (buffer, name = 'receipts.xlsx') => ({ name, arrayBuffer: async () => buffer });
+
+describe('CSV', () => {
+  it('reads back what it writes, including commas, quotes and line breaks', async () => {
+    const receipt = { rstNo: '12', vehicleNo: 'MH17CV3329', customer: 'Shree "Sai", Traders', remarks: 'Line one\nline two', netWeight: 14440, dateTimeOut: '2026-03-02T09:30' };
+    const [row] = await readSpreadsheet(asFile(toCsv([receipt], ['rstNo', 'customer', 'remarks', 'netWeight', 'dateTimeOut'])));
+    expect(row).toEqual({ rstNo: '12', customer: receipt.customer, remarks: receipt.remarks, netWeight: '14440', dateTimeOut: '2026-03-02 09:30' });
+  });
+
+  it('accepts semicolon separators, a byte order mark and CRLF line ends', () => {
+    expect(parseCsv('\uFEFFRST No;Net (kg)\r\n1;100\r\n\r\n')).toEqual([['RST No', 'Net (kg)'], ['1', '100']]);
+  });
+
+  it('marks void and amended tickets in the Status column, which import ignores', async () => {
+    const receipts = [
+      { rstNo: '1', voided: { at: '2026-03-02T10:00:00.000Z', reason: 'Wrong vehicle' } },
+      { rstNo: '2', amendments: [{ reason: 'Typo' }] },
+      { rstNo: '3' },
+    ];
+    expect(receiptsToRows(receipts, ['rstNo', 'status']).map(row => row.Status)).toEqual(['Void', 'Amended', '']);
+    const rows = await readSpreadsheet(asFile(toCsv(receipts, ['rstNo', 'status'])));
+    expect(rows[0]).toEqual({ rstNo: '1' });
+  });
+
+});
+
+describe('XLSX', () => {
+  it('reads back what it writes, with weights as numbers', async () => {
+    const receipt = { rstNo: '12', vehicleNo: 'MH17CV3329', customer: 'Shree "Sai", Traders', grossWeight: 24500, tareWeight: 10060, netWeight: 14440, dateTimeOut: '2026-03-02T09:30', status: 'ignored' };
+    const columns = ['rstNo', 'vehicleNo', 'customer', 'grossWeight', 'tareWeight', 'netWeight', 'dateTimeOut', 'status'];
+    const [row] = await readSpreadsheet(asWorkbook(await toXlsx([receipt], columns)));
+    expect(row).toEqual({ rstNo: '12', vehicleNo: 'MH17CV3329', customer: receipt.customer, grossWeight: 24500, tareWeight: 10060, netWeight: 14440, dateTimeOut: '2026-03-02 09:30' });
+
+    const [result] = validateImportRows([row], []);
+    expect(result.errors).toEqual([]);
+    expect(result.receipt).toMatchObject({ rstNo: '12', netWeight: 14440, dateTimeOut: '2026-03-02T09:30' });
+  });
+
+  it('reads date cells by their wall-clock time', () => {
+    expect(parseImportDate(new Date(Date.UTC(2026, 2, 2, 9, 30)))).toBe('2026-03-02T09:30');
+  });
+
+  it('rejects old .xls workbooks', async () => {
+    await expect(readSpreadsheet(asFile('', 'receipts.xls'))).rejects.toThrow(/xlsx or CSV/);
+  });
+});
+
+describe('validateImportRows', () => {
+  const existing = [
+    { id: 1, rstNo: '5', rstSeries: 'default' },
+    { id: 2, rstNo: '6', rstSeries: 'p2:default', profileId: 'p2' },
+  ];
+
+  it('flags an RST clash only within the same series', () => {
+    const [same, otherProfile] = validateImportRows([{ rstNo: '5' }, { rstNo: '6' }], existing);
+    expect(same.conflict.id).toBe(1);
+    expect(otherProfile.conflict).toBeNull();
+  });
+
+  it('treats financial-year prefixed RSTs as their own series', () => {
+    const results = validateImportRows([{ rstNo: '2025-26/5' }, { rstNo: '5' }], existing);
+    expect(results.map(r => r.errors)).toEqual([[], []]);
+    expect(results[0].conflict).toBeNull();
+  });
+});
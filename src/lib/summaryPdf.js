@@ -0,0 +1,133 @@
+// Draws SummaryReport's layout onto A4 pages with the receipt PDF's text and line
+// primitives (lib/receiptPdf.js), breaking long breakdown tables across pages.
+// All positions are in mm; the comments name the Tailwind class each value mirrors.
+
+import { LINE, PX, RECEIPT_WIDTH, createReceiptDocument, painter } from './receiptPdf';
+import { formatDate, formatTime } from './format';
+
+const PAGE = { width: 210, height: 297 };
+const MARGIN = 3; // the 3mm print margin set in the CSS
+const PADDING = 4 * PX; // p-1
+
+const TOTAL_LABEL_W = 160 * PX; // w-40
+const COLON_GAP = 16 * PX; // mr-4
+const TICKETS_W = 64 * PX; // w-16
+const NET_W = 112 * PX; // w-28
+const CHARGES_W = 96 * PX; // w-24
+const SMALL_LINE = 12 * 1.3 * PX; // text-xs
+
+// Builds the summary as a searchable vector PDF and downloads it
+export const saveSummaryPdf = async (summary, config, filename) => {
+  const { pdf, font } = await createReceiptDocument([PAGE.width, PAGE.height]);
+  const p = painter(pdf, font);
+  const x = (PAGE.width - RECEIPT_WIDTH) / 2;
+  const left = x + PADDING;
+  const right = x + RECEIPT_WIDTH - PADDING;
+  const width = right - left;
+  const centre = x + RECEIPT_WIDTH / 2;
+  let cursor = MARGIN + PADDING;
+
+  // Starts a new page when the next `height` mm would run off this one
+  const ensure = (height) => {
+    if (cursor + height <= PAGE.height - MARGIN) return;
+    pdf.addPage([PAGE.width, PAGE.height], 'p');
+    cursor = MARGIN + PADDING;
+  };
+
+  // Header
+  const titleLine = 24 * 1.3 * PX;
+  p.wrap(config.companyName.toUpperCase(), width, { size: 24, bold: true }).forEach(line => {
+    p.text(line, centre, cursor + titleLine / 2, { size: 24, bold: true, align: 'center', charSpace: 1 * PX });
+    cursor += titleLine;
+  });
+  cursor += 4 * PX; // mt-1
+  const addressLine = 12 * 1.2 * PX;
+  p.wrap(config.address.toUpperCase(), width, { size: 12 }).forEach(line => {
+    p.text(line, centre, cursor + addressLine / 2, { size: 12, align: 'center' });
+    cursor += addressLine;
+  });
+  cursor += 8 * PX; // mt-2
+  const title = `${summary.period === 'month' ? 'Monthly' : 'Daily'} Summary : ${summary.label}`.toUpperCase();
+  p.text(title, centre, cursor + LINE / 2, { bold: true, align: 'center', charSpace: 1.4 * PX });
+  cursor += LINE + 12 * PX; // mb-3
+
+  // Totals between dashed rules
+  p.line(left, cursor, right, cursor, 'dashed');
+  cursor += 4 * PX; // py-1
+  const valueLeft = left + TOTAL_LABEL_W + p.width(':') + COLON_GAP;
+  const total = (label, value, note) => {
+    const mid = cursor + LINE / 2;
+    p.text(label, left, mid);
+    p.text(':', left + TOTAL_LABEL_W, mid);
+    p.text(value, valueLeft, mid, { bold: true });
+    if (note) p.text(note, valueLeft + p.width(value, { bold: true }) + 16 * PX, mid, { size: 12 }); // ml-4
+    cursor += LINE + 4 * PX; // space-y-1
+  };
+  total('TICKETS', summary.ticketCount, summary.voidedCount > 0 && `(+ ${summary.voidedCount} VOID, NOT COUNTED)`);
+  total('TOTAL NET Wt', `${summary.totalNet} kg`);
+  if (config.showCharges) total('CHARGES COLLECTED', `Rs. ${summary.totalCharges}`);
+  if (config.showCharges && summary.chargeSplit) {
+    const split = summary.chargeSplit;
+    const text = `WEIGHING FEES Rs. ${split.fees} + MATERIAL Rs. ${split.material} + GST Rs. ${split.gst}`
+      + (split.other > 0 ? ` + OTHER / MANUAL Rs. ${split.other}` : '');
+    p.wrap(text, width - 16 * PX, { size: 12 }).forEach(line => {
+      p.text(line, left + 16 * PX, cursor + SMALL_LINE / 2, { size: 12 }); // pl-4
+      cursor += SMALL_LINE;
+    });
+    cursor += 4 * PX;
+  }
+  // The last row's space-y-1 gap stands in for the bottom py-1
+  p.line(left, cursor, right, cursor, 'dashed');
+
+  // Breakdown tables; the header repeats on each page a table continues onto
+  const netRight = right - (config.showCharges ? CHARGES_W : 0);
+  const ticketsRight = netRight - NET_W;
+  const nameWidth = ticketsRight - TICKETS_W - left;
+  const columns = (size, bold, name, count, net, charges) => {
+    const mid = cursor + (size * 1.3 * PX) / 2;
+    p.text(name, left, mid, { size, bold });
+    p.text(count, ticketsRight, mid, { size, bold, align: 'right' });
+    p.text(net, netRight, mid, { size, bold: true, align: 'right' });
+    if (config.showCharges) p.text(charges, right, mid, { size, bold, align: 'right' });
+  };
+  const tableHead = (title) => {
+    p.text(title.toUpperCase(), left, cursor + LINE / 2, { bold: true });
+    cursor += LINE + 4 * PX; // pb-1
+    p.line(left, cursor, right, cursor, 'dashed');
+    cursor += 4 * PX; // pt-1
+    columns(12, true, 'NAME', 'TICKETS', 'NET (KG)', 'RS.');
+    cursor += SMALL_LINE;
+  };
+  const breakdown = (title, rows) => {
+    cursor += 12 * PX; // mt-3
+    ensure(LINE * 2 + SMALL_LINE + 8 * PX);
+    tableHead(title);
+    if (rows.length === 0) {
+      p.text('No tickets', left, cursor + LINE / 2);
+      cursor += LINE;
+    }
+    rows.forEach(row => {
+      if (cursor + LINE > PAGE.height - MARGIN) {
+        ensure(LINE);
+        tableHead(`${title} (contd.)`);
+      }
+      // truncate: only the first wrapped line of a long name fits the column
+      columns(14, false, p.wrap(row.key, nameWidth)[0] ?? '', row.count, row.net, row.charges);
+      cursor += LINE;
+    });
+  };
+  breakdown('By Material', summary.byMaterial);
+  breakdown('By Customer', summary.byCustomer);
+  breakdown('By Vehicle', summary.byVehicle);
+
+  // Footer
+  cursor += 16 * PX; // mt-4
+  ensure(4 * PX + SMALL_LINE);
+  p.line(left, cursor, right, cursor, 'dotted');
+  cursor += 4 * PX; // pt-1
+  p.text(`PRINTED: ${formatDate(summary.generatedAt)} ${formatTime(summary.generatedAt)}`, left, cursor + SMALL_LINE / 2, { size: 12 });
+  p.text("OPERATOR'S SIGNATURE:", right, cursor + SMALL_LINE / 2, { size: 12, align: 'right' });
+
+  pdf.setProperties({ title: filename.replace(/\.pdf$/i, ''), subject: `${summary.ticketCount} tickets` });
+  pdf.save(filename);
+};
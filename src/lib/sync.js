@@ -0,0 +1,168 @@
+// Optional sync with the LAN server (server/sync-server.js). Every receipt and
+// master data change is stamped (lib/replication.js) and queued in an outbox kept
+// in localStorage, so edits made while the server is unreachable are sent once it
+// is back. A sync pushes the outbox, then pulls what other terminals changed.
+
+import { duplicateRstIds, isNewer, rstKeyOf } from './replication';
+
+export const SYNC_OUTBOX_KEY = 'weight_sync_outbox';
+export const SYNC_STATE_KEY = 'weight_sync_state';
+
+export const SYNC_INTERVAL_MS = 30 * 1000;
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Local versions that lost a conflict, kept so an overwritten edit can still be looked up
+const MAX_CONFLICTS_KEPT = 50;
+
+// { receipts: { [id]: record }, masters: record | null }
+export const loadOutbox = () => {
+  const saved = localStorage.getItem(SYNC_OUTBOX_KEY);
+  return saved ? JSON.parse(saved) : { receipts: {}, masters: null };
+};
+
+const saveOutbox = (outbox) => {
+  localStorage.setItem(SYNC_OUTBOX_KEY, JSON.stringify(outbox));
+};
+
+export const outboxSize = (outbox = loadOutbox()) =>
+  Object.keys(outbox.receipts).length + (outbox.masters ? 1 : 0);
+
+// Only the newest version of each receipt needs to go out
+export const queueReceipts = (records) => {
+  const outbox = loadOutbox();
+  records.forEach((r) => {
+    if (isNewer(r, outbox.receipts[r.id])) outbox.receipts[r.id] = r;
+  });
+  saveOutbox(outbox);
+};
+
+export const queueMasters = (masters) => {
+  const outbox = loadOutbox();
+  outbox.masters = masters;
+  saveOutbox(outbox);
+};
+
+// { serverUrl, lastSeq, lastSyncAt, conflicts }. lastSeq is the server's change
+// counter at the last pull; a different server starts again from 0.
+export const loadSyncState = () => {
+  const saved = localStorage.getItem(SYNC_STATE_KEY);
+  return { serverUrl: '', lastSeq: 0, lastSyncAt: null, conflicts: [], ...(saved ? JSON.parse(saved) : {}) };
+};
+
+const saveSyncState = (state) => {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+};
+
+const conflictOf = (lost, winner) => ({
+  at: new Date().toISOString(),
+  lost,
+  winner: { version: winner.version, updatedAt: winner.updatedAt, updatedBy: winner.updatedBy },
+});
+
+const request = async ({ syncUrl, syncToken }, path, body) => {
+  if (!/^https?:\/\/[^/]+/i.test(syncUrl)) throw new Error('The sync server address must start with http:// or https://.');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const res = await fetch(`${syncUrl.replace(/\/+$/, '')}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(syncToken && { Authorization: `Bearer ${syncToken}` }),
+      },
+      body: body && JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Sync server answered ${res.status}.`);
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error('Sync server did not answer in time.');
+    if (error instanceof TypeError) throw new Error('Sync server is unreachable.');
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+export const checkServer = (config) => request(config, '/api/health');
+
+// One push and pull round. `local` is this terminal's { receipts, masters }; the
+// result says what to apply: { receipts, deletedIds, masters, conflicts, duplicates },
+// where receipts are the winners to store, deletedIds the tombstoned ids to drop,
+// masters the newer master data (or null), conflicts the local versions that lost and
+// duplicates every receipt sharing an RST with one pushed or pulled this round.
+export const syncNow = async (config, local) => {
+  let state = loadSyncState();
+  // First sync against this server: send everything this terminal already has
+  if (state.serverUrl !== config.syncUrl) {
+    state = { ...state, serverUrl: config.syncUrl, lastSeq: 0 };
+    queueReceipts(local.receipts);
+    if (local.masters.version) queueMasters(local.masters);
+  }
+
+  const incoming = [];
+  const conflicts = [];
+  const flagged = new Set();
+  let incomingMasters = null;
+  const outbox = loadOutbox();
+  if (outboxSize(outbox) > 0) {
+    const pushed = await request(config, '/api/push', { receipts: Object.values(outbox.receipts), masters: outbox.masters });
+    // Anything queued again while the push was in flight stays for the next round
+    const latest = loadOutbox();
+    pushed.accepted.forEach((id) => {
+      if (latest.receipts[id] && !isNewer(latest.receipts[id], outbox.receipts[id])) delete latest.receipts[id];
+    });
+    pushed.conflicts.forEach((r) => {
+      if (latest.receipts[r.id] && !isNewer(latest.receipts[r.id], outbox.receipts[r.id])) delete latest.receipts[r.id];
+    });
+    if (latest.masters && !isNewer(latest.masters, outbox.masters)) latest.masters = null;
+    saveOutbox(latest);
+    incoming.push(...pushed.conflicts);
+    pushed.conflicts.forEach(winner => conflicts.push(conflictOf(outbox.receipts[winner.id], winner)));
+    incomingMasters = pushed.masters;
+    pushed.duplicates.forEach(r => flagged.add(r.id));
+  }
+
+  const changes = await request(config, `/api/changes?since=${state.lastSeq}`);
+  incoming.push(...changes.receipts);
+  if (isNewer(changes.masters, incomingMasters)) incomingMasters = changes.masters;
+
+  const byId = new Map(local.receipts.map(r => [r.id, r]));
+  const receipts = [];
+  const deletedIds = [];
+  incoming.forEach((remote) => {
+    const mine = byId.get(remote.id);
+    if (!isNewer(remote, mine)) return;
+    // Not a later edit of our version but a rival one, made elsewhere before ours arrived
+    const rival = mine && mine.updatedBy === config.terminalId && (remote.version || 0) <= (mine.version || 0);
+    if (rival && !conflicts.some(c => c.lost.id === mine.id)) conflicts.push(conflictOf(mine, remote));
+    byId.set(remote.id, remote);
+    if (remote.deleted) {
+      if (mine) deletedIds.push(remote.id);
+    } else {
+      receipts.push(remote);
+    }
+  });
+  // A record can arrive twice (as a conflict and as a change); keep only the final copy
+  const finalReceipts = receipts.filter(r => byId.get(r.id) === r);
+  const duplicateIds = duplicateRstIds([...byId.values()]);
+  finalReceipts.forEach(r => flagged.add(r.id));
+  const flaggedRsts = new Set([...flagged].filter(id => duplicateIds.has(id)).map(id => rstKeyOf(byId.get(id))));
+
+  saveSyncState({
+    ...state,
+    lastSeq: changes.seq,
+    lastSyncAt: new Date().toISOString(),
+    conflicts: [...conflicts, ...state.conflicts].slice(0, MAX_CONFLICTS_KEPT),
+  });
+
+  return {
+    receipts: finalReceipts,
+    deletedIds: deletedIds.filter(id => byId.get(id)?.deleted),
+    masters: isNewer(incomingMasters, local.masters) ? incomingMasters : null,
+    conflicts,
+    duplicates: [...byId.values()].filter(r => duplicateIds.has(r.id) && flaggedRsts.has(rstKeyOf(r))),
+  };
+};
@@ -0,0 +1,45 @@
+// Stored tare weights of regular vehicles. The reference tare is either the one
+// entered on the vehicle's master entry or the median of its latest weighings,
+// and a fresh tare outside the tolerance is flagged as drift.
+
+import { findEntry, vehicleKey } from './masters';
+import { isVoided } from './voids';
+
+export const TARE_SAMPLE_SIZE = 5;
+
+// Tares weighed for a vehicle, newest first: [{ weight, at, rstNo }]
+export const tareHistory = (receipts, vehicleNo) => {
+  const key = vehicleKey(vehicleNo);
+  if (!key) return [];
+  return receipts
+    .filter(r => !isVoided(r) && vehicleKey(r.vehicleNo) === key && Number(r.tareWeight) > 0)
+    .map(r => ({ weight: Number(r.tareWeight), at: r.dateTimeIn, rstNo: r.rstNo }))
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+// Reference tare for a vehicle, or null if it has none:
+// { weight, source: 'manual' | 'history', samples, lastAt }
+export const getStoredTare = (receipts, masters, vehicleNo) => {
+  const entry = findEntry(masters, 'vehicles', vehicleNo);
+  if (entry && Number(entry.storedTare) > 0) {
+    return { weight: Number(entry.storedTare), source: 'manual', samples: 0, lastAt: entry.storedTareAt || null };
+  }
+
+  const recent = tareHistory(receipts, vehicleNo).slice(0, TARE_SAMPLE_SIZE);
+  if (recent.length === 0) return null;
+  return { weight: median(recent.map(t => t.weight)), source: 'history', samples: recent.length, lastAt: recent[0].at };
+};
+
+// How far a weighed tare is from the stored one; `exceeded` once beyond tolerance (kg)
+export const tareDrift = (stored, weight, tolerance) => {
+  const value = Number(weight);
+  if (!stored || !(value > 0)) return null;
+  const difference = value - stored.weight;
+  return { difference, exceeded: Math.abs(difference) > Number(tolerance || 0) };
+};
@@ -0,0 +1,156 @@
+// Receipt template schema. The designer in Template Settings edits it, and
+// ReceiptTemplate, CompactReceipt and the vector PDF renderer all read it, so
+// wording, field order and spacing stay identical on screen, on paper and in PDFs.
+//
+//   rows:    detail block under the header; each row has a left and a right cell
+//   labels:  fixed captions of the weights, charges, signature and note lines
+//   show:    section toggles
+//   spacing: column widths and right-edge offsets, in CSS px
+//
+// A cell is { field, label, visible, bold } where field is a TEMPLATE_FIELDS key,
+// or 'text' with an extra `text` for a fixed line such as a GSTIN.
+
+import { downloadBlob } from './download';
+
+export const TEMPLATE_VERSION = 1;
+
+export const TEMPLATE_FIELDS = [
+  { key: 'rstNo', name: 'RST No', label: 'RST NO' },
+  { key: 'vehicleNo', name: 'Vehicle No', label: 'VEHICLE NO' },
+  { key: 'material', name: 'Material', label: 'MATERIAL' },
+  { key: 'customer', name: 'Customer', label: 'CUSTOMER' },
+  { key: 'supplier', name: 'Supplier', label: 'SUPPLIER' },
+  { key: 'text', name: 'Fixed text', label: 'NOTE' },
+];
+
+export const TEMPLATE_LABELS = [
+  { key: 'gross', name: 'Gross weight' },
+  { key: 'tare', name: 'Tare weight' },
+  { key: 'net', name: 'Net weight' },
+  { key: 'unit', name: 'Weight unit' },
+  { key: 'date', name: 'Date' },
+  { key: 'time', name: 'Time' },
+  { key: 'wordsSuffix', name: 'After weight in words' },
+  { key: 'charges', name: 'Charges' },
+  { key: 'currency', name: 'Currency' },
+  { key: 'operatorSign', name: 'Operator signature' },
+  { key: 'partySign', name: 'Party signature' },
+  { key: 'note', name: 'Remarks prefix' },
+];
+
+export const TEMPLATE_SPACING = [
+  { key: 'labelWidth', name: 'Left label width' },
+  { key: 'rightLabelWidth', name: 'Right label width' },
+  { key: 'leftColumnWidth', name: 'Left column width' },
+  { key: 'rightOffset', name: 'Right column inset' },
+  { key: 'dateOffset', name: 'Date / words inset' },
+];
+
+export const createCell = (field, bold = false) => ({
+  field,
+  label: TEMPLATE_FIELDS.find(f => f.key === field).label,
+  visible: true,
+  bold,
+  ...(field === 'text' ? { text: '' } : {}),
+});
+
+// Reproduces the original fixed layout exactly
+export const DEFAULT_TEMPLATE = {
+  version: TEMPLATE_VERSION,
+  rows: [
+    { id: 'row-1', left: createCell('rstNo', true), right: createCell('vehicleNo', true) },
+    { id: 'row-2', left: createCell('material'), right: createCell('customer') },
+    { id: 'row-3', left: createCell('supplier'), right: null },
+  ],
+  labels: {
+    gross: 'GROSS Wt',
+    tare: 'TARE Wt',
+    net: 'NET Wt',
+    unit: 'kg',
+    date: 'Date:',
+    time: 'Time:',
+    wordsSuffix: 'KG',
+    charges: 'Charges(1):',
+    currency: 'Rs.',
+    operatorSign: "OPERATOR'S SIGNATURE:",
+    partySign: "PARTY'S SIGN:",
+    note: 'Note:',
+  },
+  show: { dateTime: true, words: true, chargesWords: false, signatures: true, qrCode: true },
+  spacing: { labelWidth: 80, rightLabelWidth: 96, leftColumnWidth: 240, rightOffset: 24, dateOffset: 16 },
+};
+
+export const newRowId = () => `row-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const normalizeCell = (raw) => {
+  if (!raw || !TEMPLATE_FIELDS.some(f => f.key === raw.field)) return null;
+  return {
+    field: raw.field,
+    label: String(raw.label ?? ''),
+    visible: raw.visible !== false,
+    bold: !!raw.bold,
+    ...(raw.field === 'text' ? { text: String(raw.text ?? '') } : {}),
+  };
+};
+
+// Fills gaps from DEFAULT_TEMPLATE and drops anything the renderers do not understand,
+// so a hand-edited or older template can never break printing
+export const normalizeTemplate = (raw) => {
+  if (!raw || typeof raw !== 'object' || raw.version !== TEMPLATE_VERSION) return DEFAULT_TEMPLATE;
+
+  const pick = (defaults, source, cast) => Object.fromEntries(
+    Object.entries(defaults).map(([key, value]) => [key, source && source[key] !== undefined ? cast(source[key]) : value])
+  );
+  const rows = Array.isArray(raw.rows) ? raw.rows : DEFAULT_TEMPLATE.rows;
+
+  return {
+    version: TEMPLATE_VERSION,
+    rows: rows.map((row, i) => ({
+      id: String(row?.id || `row-${i + 1}`),
+      left: normalizeCell(row?.left),
+      right: normalizeCell(row?.right),
+    })),
+    labels: pick(DEFAULT_TEMPLATE.labels, raw.labels, String),
+    show: pick(DEFAULT_TEMPLATE.show, raw.show, Boolean),
+    spacing: pick(DEFAULT_TEMPLATE.spacing, raw.spacing, (v) => Math.max(0, Number(v) || 0)),
+  };
+};
+
+// Reads a template file chosen in the designer; throws with a readable message
+export const parseTemplate = (json) => {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (!raw || raw.version !== TEMPLATE_VERSION || !Array.isArray(raw.rows)) {
+    throw new Error(`Not a version ${TEMPLATE_VERSION} receipt template`);
+  }
+  return normalizeTemplate(raw);
+};
+
+// Operator's signature caption followed by the name of the operator who issued the ticket
+export const operatorSignText = (labels, data) => [labels.operatorSign, data.operator].filter(Boolean).join(' ');
+
+// Text a cell prints for a receipt
+export const cellValue = (c, data) => {
+  if (c.field === 'text') return c.text;
+  const value = String(data[c.field] ?? '');
+  return c.field === 'vehicleNo' ? value.toUpperCase() : value;
+};
+
+// Rows with at least one visible cell; hidden cells come back as null so the
+// other column keeps its position
+export const visibleRows = (template) => template.rows
+  .map(row => ({
+    id: row.id,
+    left: row.left && row.left.visible ? row.left : null,
+    right: row.right && row.right.visible ? row.right : null,
+  }))
+  .filter(row => row.left || row.right);
+
+// Saves the template as a .json file so it can be copied to another installation
+export const downloadTemplate = (template, filename) => {
+  downloadBlob(new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' }), filename);
+};
@@ -0,0 +1,138 @@
+// Business rules checked before a ticket is saved, printed or exported. Each rule
+// is set in settings (config.validationRules) to block as an error, ask as a
+// warning, or be off. A result is { rule, level, field, message }, field being the
+// editor input the message is shown under.
+
+import { vehicleKey } from './masters';
+import { vehicleClassOf } from './rates';
+
+export const RULE_LEVELS = [
+  { value: 'error', label: 'Error (blocks)' },
+  { value: 'warning', label: 'Warning (asks)' },
+  { value: 'off', label: 'Off' },
+];
+
+// Heaviest weight the scale can show; anything above is a typing or reading mistake
+export const DEFAULT_SCALE_CAPACITY_KG = 100000;
+
+const REQUIRED_FIELDS = [
+  { field: 'vehicleNo', label: 'Vehicle No' },
+  { field: 'customer', label: 'Customer' },
+  { field: 'material', label: 'Material' },
+  { field: 'dateTimeIn', label: 'Date/Time In' },
+  { field: 'dateTimeOut', label: 'Date/Time Out' },
+];
+
+// State code, RTO number, series letters and a 4-digit number (MH17CV3329, DL1C1234),
+// or the Bharat series (22BH1234AB)
+const VEHICLE_PATTERNS = [/^[A-Z]{2}\d{1,2}[A-Z]{0,3}\d{4}$/, /^\d{2}BH\d{4}[A-Z]{1,2}$/];
+
+// Times may run a few minutes ahead of this PC's clock before they count as future
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const blank = (value) => String(value ?? '').trim() === '';
+const number = (value) => (blank(value) ? null : Number(value));
+
+export const VALIDATION_RULES = [
+  {
+    id: 'required',
+    label: 'Required fields are filled in',
+    defaultLevel: 'error',
+    check: (r) => REQUIRED_FIELDS.filter(f => blank(r[f.field])).map(f => ({ field: f.field, message: `${f.label} is required.` })),
+  },
+  {
+    id: 'vehicleFormat',
+    label: 'Vehicle number is an Indian registration (MH17CV3329)',
+    defaultLevel: 'warning',
+    check: (r) => (!blank(r.vehicleNo) && !VEHICLE_PATTERNS.some(p => p.test(vehicleKey(r.vehicleNo)))
+      ? [{ field: 'vehicleNo', message: `${r.vehicleNo} does not look like a registration number.` }]
+      : []),
+  },
+  {
+    id: 'weightRange',
+    label: 'Weights are between 0 and the scale capacity',
+    defaultLevel: 'error',
+    check: (r, { capacityKg }) => [['grossWeight', 'Gross'], ['tareWeight', 'Tare']].flatMap(([field, label]) => {
+      const value = number(r[field]);
+      if (value === null || !Number.isFinite(value)) return [{ field, message: `${label} weight is missing.` }];
+      if (value < 0) return [{ field, message: `${label} weight can't be negative.` }];
+      if (capacityKg > 0 && value > capacityKg) return [{ field, message: `${label} weight ${value} kg is above the scale capacity of ${capacityKg} kg.` }];
+      return [];
+    }),
+  },
+  {
+    id: 'tareBelowGross',
+    label: 'Tare is less than gross',
+    defaultLevel: 'error',
+    check: (r) => (number(r.tareWeight) !== null && number(r.grossWeight) !== null && number(r.tareWeight) > number(r.grossWeight)
+      ? [{ field: 'tareWeight', message: `Tare ${r.tareWeight} kg is more than gross ${r.grossWeight} kg.` }]
+      : []),
+  },
+  {
+    id: 'netPositive',
+    label: 'Net weight is not negative',
+    defaultLevel: 'error',
+    check: (r) => (number(r.netWeight) < 0 ? [{ field: 'netWeight', message: 'Net weight is negative.' }] : []),
+  },
+  {
+    id: 'netMatches',
+    label: 'Net weight equals gross minus tare',
+    defaultLevel: 'warning',
+    check: (r) => {
+      const net = number(r.netWeight);
+      const expected = (number(r.grossWeight) || 0) - (number(r.tareWeight) || 0);
+      return net !== null && net >= 0 && net !== expected
+        ? [{ field: 'netWeight', message: `Net ${net} kg was typed over the calculated ${expected} kg.` }]
+        : [];
+    },
+  },
+  {
+    id: 'classMaxGross',
+    label: 'Gross is within the vehicle class limit (rate card)',
+    defaultLevel: 'error',
+    check: (r, { rateCard }) => {
+      const vehicleClass = rateCard ? vehicleClassOf(r, rateCard) : null;
+      const limit = vehicleClass ? Number(vehicleClass.maxGrossKg) || 0 : 0;
+      return limit > 0 && number(r.grossWeight) > limit
+        ? [{ field: 'grossWeight', message: `Gross ${r.grossWeight} kg is over the ${limit} kg limit for ${vehicleClass.name || 'this class'}.` }]
+        : [];
+    },
+  },
+  {
+    id: 'chronology',
+    label: 'Second weighing is not before the first, nor in the future',
+    defaultLevel: 'error',
+    check: (r, { now }) => {
+      const timeIn = blank(r.dateTimeIn) ? null : new Date(r.dateTimeIn);
+      const timeOut = blank(r.dateTimeOut) ? null : new Date(r.dateTimeOut);
+      const results = [];
+      // dateTimeIn is the tare time and dateTimeOut the gross time; the tare comes
+      // first unless a two-pass ticket recorded a loaded arrival (lib/weighing.js)
+      if (r.firstWeighing === 'gross') {
+        if (timeIn && timeOut && timeIn < timeOut) results.push({ field: 'dateTimeIn', message: 'Date/Time In (tare) is before the gross weighing it followed.' });
+      } else if (timeIn && timeOut && timeOut < timeIn) {
+        results.push({ field: 'dateTimeOut', message: 'Date/Time Out is before Date/Time In.' });
+      }
+      [['dateTimeIn', timeIn, 'In'], ['dateTimeOut', timeOut, 'Out']].forEach(([field, time, label]) => {
+        if (time && time.getTime() > now.getTime() + CLOCK_SKEW_MS) results.push({ field, message: `Date/Time ${label} is in the future.` });
+      });
+      return results;
+    },
+  },
+];
+
+export const DEFAULT_VALIDATION_LEVELS = Object.fromEntries(VALIDATION_RULES.map(r => [r.id, r.defaultLevel]));
+
+// Every failed rule that isn't switched off. `options` = { levels, capacityKg, rateCard, now }
+export const validateReceipt = (receipt, { levels = DEFAULT_VALIDATION_LEVELS, capacityKg = DEFAULT_SCALE_CAPACITY_KG, rateCard = null, now = new Date() } = {}) =>
+  VALIDATION_RULES.flatMap((rule) => {
+    const level = levels[rule.id] || rule.defaultLevel;
+    if (level === 'off') return [];
+    return rule.check(receipt, { capacityKg, rateCard, now }).map(result => ({ rule: rule.id, level, ...result }));
+  });
+
+export const errorsOf = (results) => results.filter(r => r.level === 'error');
+
+export const warningsOf = (results) => results.filter(r => r.level === 'warning');
+
+export const resultsFor = (results, field) => results.filter(r => r.field === field);
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { errorsOf, validateReceipt } from './validation';
+import { completeTicket, createOpenTicket } from './weighing';
+
+const NOW = new Date('2026-03-02T12:00:00');
+const details = { rstNo: '12', vehicleNo: 'MH17CV3329', customer: 'Shree Traders', material: 'Sand' };
+const chronologyErrors = (receipt) =>
+  errorsOf(validateReceipt(receipt, { now: NOW })).filter((result) => result.rule === 'chronology');
+
+describe('chronology rule', () => {
+  it('accepts a loaded arrival weighed gross first and tare later', () => {
+    const open = createOpenTicket(details, 24500, '2026-03-02T08:00');
+    const completed = completeTicket(open, 9200, '2026-03-02T09:30');
+    expect(completed.dateTimeOut).toBe('2026-03-02T08:00');
+    expect(completed.dateTimeIn).toBe('2026-03-02T09:30');
+    expect(chronologyErrors(completed)).toEqual([]);
+  });
+
+  it('accepts an empty arrival weighed tare first and gross later', () => {
+    const open = createOpenTicket(details, 9200, '2026-03-02T08:00');
+    const completed = completeTicket(open, 24500, '2026-03-02T09:30');
+    expect(chronologyErrors(completed)).toEqual([]);
+  });
+
+  it('flags a manual ticket whose Out is before its In', () => {
+    const receipt = { ...details, grossWeight: 24500, tareWeight: 9200, netWeight: 15300, dateTimeIn: '2026-03-02T09:30', dateTimeOut: '2026-03-02T08:00' };
+    expect(chronologyErrors(receipt).map((result) => result.field)).toEqual(['dateTimeOut']);
+  });
+
+  it('flags a loaded arrival whose tare time was edited to before the gross', () => {
+    const open = createOpenTicket(details, 24500, '2026-03-02T08:00');
+    const completed = { ...completeTicket(open, 9200, '2026-03-02T09:30'), dateTimeIn: '2026-03-02T07:00' };
+    expect(chronologyErrors(completed).map((result) => result.field)).toEqual(['dateTimeIn']);
+  });
+});
@@ -0,0 +1,95 @@
+// Tamper-evident QR codes. Each printed receipt carries its key fields and an
+// HMAC-SHA-256 of them keyed with the site secret, so a slip whose weights were
+// altered (or made up) no longer verifies. Payload, one line split on '|':
+//
+//   WRM1|company|rstNo|vehicleNo|gross|tare|net|dateTimeIn|dateTimeOut|signature
+
+import QRCode from 'qrcode';
+
+export const QR_PREFIX = 'WRM1';
+
+// Hex digits of the HMAC kept in the payload (64 bits keeps the code small and scannable)
+const SIGNATURE_LENGTH = 16;
+
+export const QR_FIELDS = [
+  { key: 'rstNo', label: 'RST No' },
+  { key: 'vehicleNo', label: 'Vehicle No' },
+  { key: 'grossWeight', label: 'Gross (kg)' },
+  { key: 'tareWeight', label: 'Tare (kg)' },
+  { key: 'netWeight', label: 'Net (kg)' },
+  { key: 'dateTimeIn', label: 'Date/Time In' },
+  { key: 'dateTimeOut', label: 'Date/Time Out' },
+];
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+// Random 128-bit secret for a new site
+export const newSecret = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+// The separator can't appear inside a value
+const clean = (value) => String(value ?? '').trim().replace(/\|/g, '/');
+
+const fieldsText = (company, values) => [QR_PREFIX, clean(company), ...QR_FIELDS.map(f => clean(values[f.key]))].join('|');
+
+const sign = async (text, secret) => {
+  if (!secret) throw new Error('Set a verification secret in settings first.');
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(text));
+  return toHex(mac).slice(0, SIGNATURE_LENGTH);
+};
+
+// `config` is the receipt's profile config; its company name is part of the signed text
+export const buildQrPayload = async (receipt, config) => {
+  const text = fieldsText(config.companyName, receipt);
+  return `${text}|${await sign(text, config.verificationSecret)}`;
+};
+
+// Data URL of the receipt's QR code (PNG), or null when there is no secret to sign with
+export const receiptQrCode = async (receipt, config) => {
+  if (!config.verificationSecret) return null;
+  return QRCode.toDataURL(await buildQrPayload(receipt, config), { errorCorrectionLevel: 'M', margin: 0, width: 256 });
+};
+
+// { company, fields, signature, text }; throws on anything that isn't one of our payloads
+export const parseQrPayload = (payload) => {
+  const parts = String(payload ?? '').trim().split('|');
+  if (parts[0] !== QR_PREFIX || parts.length !== QR_FIELDS.length + 3) {
+    throw new Error('This is not a receipt QR code from this software.');
+  }
+  const [, company, ...rest] = parts;
+  const signature = rest.pop();
+  const fields = Object.fromEntries(QR_FIELDS.map((f, i) => [f.key, rest[i]]));
+  return { company, fields, signature, text: parts.slice(0, -1).join('|') };
+};
+
+const sameFields = (a, b) => QR_FIELDS.every(f => clean(a[f.key]) === clean(b[f.key]));
+
+// Checks a scanned payload against the secret and the stored history:
+// { status, parsed, record, differences }, status being
+//   'forged'   signature does not match: the slip was altered or not issued here
+//   'unknown'  genuine signature but no ticket with that RST in history
+//   'void'     matches a ticket that has since been voided
+//   'amended'  matches an earlier version of a ticket that was amended since
+//   'mismatch' genuine signature but the stored ticket differs (e.g. edited outside the app)
+//   'valid'    matches the stored ticket
+export const verifyQrPayload = async (payload, secret, receipts, companyOf) => {
+  const parsed = parseQrPayload(payload);
+  const expected = await sign(parsed.text, secret);
+  if (expected !== parsed.signature.toLowerCase()) return { status: 'forged', parsed, record: null, differences: [] };
+
+  const candidates = receipts.filter(r => clean(r.rstNo) === parsed.fields.rstNo && clean(companyOf(r)) === parsed.company);
+  const record = candidates.find(r => sameFields(r, parsed.fields))
+    || candidates.find(r => (r.amendments || []).some(a => sameFields(a.previous || {}, parsed.fields)))
+    || candidates[0];
+  if (!record) return { status: 'unknown', parsed, record: null, differences: [] };
+
+  const differences = QR_FIELDS
+    .filter(f => clean(record[f.key]) !== parsed.fields[f.key])
+    .map(f => ({ ...f, printed: parsed.fields[f.key], stored: clean(record[f.key]) }));
+
+  if (record.voided) return { status: 'void', parsed, record, differences };
+  if (differences.length === 0) return { status: 'valid', parsed, record, differences };
+  const earlier = (record.amendments || []).some(a => sameFields(a.previous || {}, parsed.fields));
+  return { status: earlier ? 'amended' : 'mismatch', parsed, record, differences };
+};
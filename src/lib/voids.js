@@ -0,0 +1,33 @@
+// Voided receipts. Deleting a ticket only voids it: it keeps its RST number and
+// stays in history, out of every total, until it is restored or purged from the
+// recycle bin once the retention period has passed.
+//
+// receipt.voided = { at, by, reason }; receipt.voidHistory = [{ at, by, reason, restoredAt, restoredBy }]
+
+export const DEFAULT_VOID_RETENTION_DAYS = 90;
+
+export const VOID_MARK = 'VOID';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isVoided = (receipt) => !!receipt && !!receipt.voided;
+
+export const voidReceipt = (receipt, reason, by = '') => {
+  if (isVoided(receipt)) throw new Error(`RST ${receipt.rstNo} is already void.`);
+  if (!String(reason ?? '').trim()) throw new Error('A reason is required to void a ticket.');
+  return { ...receipt, voided: { at: new Date().toISOString(), by, reason: reason.trim() } };
+};
+
+// Back into history; the void it came back from is kept in voidHistory
+export const restoreReceipt = (receipt, by = '') => {
+  const { voided, ...rest } = receipt;
+  if (!voided) return receipt;
+  return { ...rest, voidHistory: [...(receipt.voidHistory || []), { ...voided, restoredAt: new Date().toISOString(), restoredBy: by }] };
+};
+
+// Date from which a voided ticket may be purged for good
+export const purgeableFrom = (receipt, retentionDays) =>
+  new Date(new Date(receipt.voided.at).getTime() + Math.max(0, Number(retentionDays) || 0) * DAY_MS);
+
+export const canPurge = (receipt, retentionDays, now = new Date()) =>
+  isVoided(receipt) && purgeableFrom(receipt, retentionDays) <= now;
@@ -0,0 +1,58 @@
+// Two-pass weighing: a truck is weighed on arrival (opening a pending ticket)
+// and again on exit, at which point the ticket is finalised into a receipt.
+
+import { toDateTimeLocal } from './format';
+
+export const PENDING_STORAGE_KEY = 'weight_pending';
+
+// Creates an open ticket from the editor's party/vehicle details and the first reading.
+// Charges are priced from the rate card when the ticket is completed, once the net is
+// known; only the class and a typed-over amount (with its reason) carry across.
+export const createOpenTicket = (details, weight, weighedAt = toDateTimeLocal()) => ({
+  id: Date.now(),
+  rstNo: details.rstNo || '',
+  rstSeries: details.rstSeries || 'default',
+  profileId: details.profileId,
+  vehicleNo: (details.vehicleNo || '').trim().toUpperCase(),
+  customer: details.customer || '',
+  material: details.material || '',
+  supplier: details.supplier || '',
+  vehicleClass: details.vehicleClass || '',
+  charges: details.charges || 0,
+  manualCharges: !!details.manualCharges,
+  chargesReason: details.manualCharges ? details.chargesReason || '' : '',
+  remarks: details.remarks || '',
+  firstWeight: parseFloat(weight),
+  firstWeighedAt: weighedAt,
+});
+
+// Closes an open ticket with the second reading. The heavier reading is the gross
+// (loaded) weight and the lighter one the tare, regardless of which came first.
+// Gross time goes to dateTimeOut and tare time to dateTimeIn, matching the editor labels;
+// firstWeighing ('gross' or 'tare') keeps which came first, so a loaded arrival's
+// earlier dateTimeOut can be told apart from a clock error.
+export const completeTicket = (ticket, weight, weighedAt = toDateTimeLocal()) => {
+  const secondWeight = parseFloat(weight);
+  const firstIsGross = ticket.firstWeight >= secondWeight;
+
+  const grossWeight = firstIsGross ? ticket.firstWeight : secondWeight;
+  const tareWeight = firstIsGross ? secondWeight : ticket.firstWeight;
+  const { firstWeight: _firstWeight, firstWeighedAt: _firstWeighedAt, ...details } = ticket;
+
+  return {
+    ...details,
+    grossWeight,
+    tareWeight,
+    netWeight: grossWeight - tareWeight,
+    manualNetWeight: false,
+    dateTimeOut: firstIsGross ? ticket.firstWeighedAt : weighedAt,
+    dateTimeIn: firstIsGross ? weighedAt : ticket.firstWeighedAt,
+    firstWeighing: firstIsGross ? 'gross' : 'tare',
+  };
+};
+
+// Returns true when a reading can be recorded (a finite, non-negative number)
+export const isValidWeight = (weight) => {
+  const value = parseFloat(weight);
+  return Number.isFinite(value) && value >= 0;
+};
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { priceReceipt } from './rates';
+import { completeTicket, createOpenTicket } from './weighing';
+
+const rateCard = {
+  vehicleClasses: [{ id: 'small', name: 'Small', fee: 30, maxGrossKg: 0 }, { id: 'truck', name: 'Truck', fee: 50, maxGrossKg: 0 }],
+  defaultClassId: 'small',
+  materialRates: [{ id: 'sand', material: 'Sand', customer: '', rate: 8, unit: 'quintal' }],
+  gstPercent: 0,
+};
+const details = { rstNo: '12', vehicleNo: 'mh17cv3329', customer: 'Shree Traders', material: 'Sand', vehicleClass: 'truck', charges: 0, chargeBreakdown: { total: 0 } };
+
+describe('two-pass tickets', () => {
+  it('records a loaded arrival as gross first', () => {
+    const open = createOpenTicket(details, 24500, '2026-03-02T08:00');
+    const done = completeTicket(open, 9200, '2026-03-02T09:30');
+    expect(done.grossWeight).toBe(24500);
+    expect(done.dateTimeOut).toBe('2026-03-02T08:00');
+    expect(done.dateTimeIn).toBe('2026-03-02T09:30');
+    expect(done.firstWeighing).toBe('gross');
+  });
+
+  it('records an empty arrival as tare first', () => {
+    const open = createOpenTicket(details, 9200, '2026-03-02T08:00');
+    const done = completeTicket(open, 24500, '2026-03-02T09:30');
+    expect(done.netWeight).toBe(15300);
+    expect(done.firstWeighing).toBe('tare');
+  });
+
+  it('carries the vehicle class but not stale charges onto the open ticket', () => {
+    const open = createOpenTicket(details, 9200, '2026-03-02T08:00');
+    expect(open.vehicleNo).toBe('MH17CV3329');
+    expect(open.vehicleClass).toBe('truck');
+    expect(open.chargeBreakdown).toBeUndefined();
+  });
+
+  it('prices the completed ticket from the rate card', () => {
+    const open = createOpenTicket(details, 9200, '2026-03-02T08:00');
+    const priced = priceReceipt(completeTicket(open, 24500, '2026-03-02T09:30'), rateCard);
+    expect(priced.netWeight).toBe(15300);
+    expect(priced.chargeBreakdown.className).toBe('Truck');
+    expect(priced.charges).toBe(50 + 153 * 8);
+  });
+
+  it('keeps charges typed over the rate card', () => {
+    const open = createOpenTicket({ ...details, charges: 500, manualCharges: true, chargesReason: 'Contract rate' }, 9200);
+    const priced = priceReceipt(completeTicket(open, 24500), rateCard);
+    expect(priced.charges).toBe(500);
+    expect(priced.chargesReason).toBe('Contract rate');
+  });
+});
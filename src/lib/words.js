@@ -0,0 +1,98 @@
+// Weight and amount wording printed on the receipt. Each company profile picks a
+// style (config.wordsStyle): digit by digit, English words in the Indian
+// lakh/crore system, or the weight in a regional script's numerals. Blank or
+// invalid values give '' so nothing is printed instead of "ZERO".
+
+const DIGITS = ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE'];
+const ONES = [
+  '', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE', 'TEN',
+  'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN',
+];
+const TENS = ['', '', 'TWENTY', 'THIRTY', 'FORTY', 'FIFTY', 'SIXTY', 'SEVENTY', 'EIGHTY', 'NINETY'];
+
+export const WORDS_STYLES = [
+  { value: 'digits', label: 'Digit by digit (ONE FOUR FOUR FOUR ZERO)' },
+  { value: 'indian', label: 'Number words, lakh/crore (FOURTEEN THOUSAND FOUR HUNDRED FORTY)' },
+  { value: 'devanagari', label: 'Devanagari numerals (१४४४०)', numerals: '०१२३४५६७८९' },
+  { value: 'gujarati', label: 'Gujarati numerals (૧૪૪૪૦)', numerals: '૦૧૨૩૪૫૬૭૮૯' },
+  { value: 'gurmukhi', label: 'Gurmukhi numerals (੧੪੪੪੦)', numerals: '੦੧੨੩੪੫੬੭੮੯' },
+  { value: 'bengali', label: 'Bengali numerals (১৪৪৪০)', numerals: '০১২৩৪৫৬৭৮৯' },
+  { value: 'kannada', label: 'Kannada numerals (೧೪೪೪೦)', numerals: '೦೧೨೩೪೫೬೭೮೯' },
+  { value: 'telugu', label: 'Telugu numerals (౧౪౪౪౦)', numerals: '౦౧౨౩౪౫౬౭౮౯' },
+  { value: 'tamil', label: 'Tamil numerals (௧௪௪௪௦)', numerals: '௦௧௨௩௪௫௬௭௮௯' },
+  { value: 'malayalam', label: 'Malayalam numerals (൧൪൪൪൦)', numerals: '൦൧൨൩൪൫൬൭൮൯' },
+];
+
+export const DEFAULT_WORDS_STYLE = 'digits';
+
+const styleOf = (value) => WORDS_STYLES.find(s => s.value === value) || WORDS_STYLES[0];
+
+// Regional numerals need a font with that script; the PDF's Courier Prime has only Latin
+export const isLatinStyle = (style) => !styleOf(style).numerals;
+
+// { negative, integer, fraction } with up to 3 decimals and no float noise
+// (14440.5 -> '14440', '5'), or null for blank and non-numeric input
+const splitNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  const [integer, fraction = ''] = Math.abs(num).toFixed(3).replace(/\.?0+$/, '').split('.');
+  return { negative: num < 0 && (integer !== '0' || fraction !== ''), integer: integer || '0', fraction };
+};
+
+const spellDigits = (digits) => digits.split('').map(d => DIGITS[d]).join(' ');
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+// 1,23,45,678 -> ONE CRORE TWENTY THREE LAKH FORTY FIVE THOUSAND SIX HUNDRED SEVENTY EIGHT
+export const indianNumberWords = (n) => {
+  if (n === 0) return 'ZERO';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  if (crore) parts.push(`${indianNumberWords(crore)} CRORE`);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  if (lakh) parts.push(`${belowHundred(lakh)} LAKH`);
+  const thousand = Math.floor((n % 100000) / 1000);
+  if (thousand) parts.push(`${belowHundred(thousand)} THOUSAND`);
+  const hundred = Math.floor((n % 1000) / 100);
+  if (hundred) parts.push(`${ONES[hundred]} HUNDRED`);
+  if (n % 100) parts.push(belowHundred(n % 100));
+  return parts.join(' ');
+};
+
+// A number in the chosen style, e.g. numberToWords(-12.5, 'indian') -> MINUS TWELVE POINT FIVE
+export const numberToWords = (value, style = DEFAULT_WORDS_STYLE) => {
+  const parts = splitNumber(value);
+  if (!parts) return '';
+  const { negative, integer, fraction } = parts;
+  const { numerals } = styleOf(style);
+
+  if (numerals) {
+    const text = `${negative ? '-' : ''}${integer}${fraction ? `.${fraction}` : ''}`;
+    return text.replace(/\d/g, d => numerals[d]);
+  }
+
+  const whole = style === 'indian' ? indianNumberWords(parseInt(integer, 10)) : spellDigits(integer);
+  return [negative && 'MINUS', whole, fraction && `POINT ${spellDigits(fraction)}`].filter(Boolean).join(' ');
+};
+
+// "<words> KG" beside the net weight, or '' when there is no valid weight
+export const weightInWords = (value, style, suffix) => {
+  const words = numberToWords(value, style);
+  return words ? `${words} ${suffix ?? ''}`.trim() : '';
+};
+
+// Charges as accounts write them: RUPEES ONE HUNDRED SEVENTY EIGHT AND PAISE TWENTY SEVEN ONLY
+export const rupeesInWords = (value) => {
+  const parts = splitNumber(value);
+  if (!parts) return '';
+  const paiseTotal = Math.round(Math.abs(Number(value)) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return [
+    parts.negative && 'MINUS',
+    `RUPEES ${indianNumberWords(rupees)}`,
+    paise && `AND PAISE ${belowHundred(paise)}`,
+    'ONLY',
+  ].filter(Boolean).join(' ');
+};
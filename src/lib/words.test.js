@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { indianNumberWords, isLatinStyle, numberToWords, rupeesInWords, weightInWords } from './words';
+
+describe('indianNumberWords', () => {
+  it('spells zero', () => {
+    expect(indianNumberWords(0)).toBe('ZERO');
+  });
+
+  it('switches to lakh and crore at their boundaries', () => {
+    expect(indianNumberWords(99999)).toBe('NINETY NINE THOUSAND NINE HUNDRED NINETY NINE');
+    expect(indianNumberWords(100000)).toBe('ONE LAKH');
+    expect(indianNumberWords(9999999)).toBe('NINETY NINE LAKH NINETY NINE THOUSAND NINE HUNDRED NINETY NINE');
+    expect(indianNumberWords(10000000)).toBe('ONE CRORE');
+    expect(indianNumberWords(12345678)).toBe('ONE CRORE TWENTY THREE LAKH FORTY FIVE THOUSAND SIX HUNDRED SEVENTY EIGHT');
+    expect(indianNumberWords(1000000000)).toBe('ONE HUNDRED CRORE');
+  });
+});
+
+describe('numberToWords', () => {
+  it('gives nothing for blank or non-numeric values', () => {
+    ['', '  ', null, undefined, 'abc', NaN, Infinity].forEach(value => expect(numberToWords(value, 'indian')).toBe(''));
+  });
+
+  it('spells zero in both word styles', () => {
+    expect(numberToWords(0, 'digits')).toBe('ZERO');
+    expect(numberToWords('0', 'indian')).toBe('ZERO');
+  });
+
+  it('reads decimals digit by digit without float noise', () => {
+    expect(numberToWords(14440.5)).toBe('ONE FOUR FOUR FOUR ZERO POINT FIVE');
+    expect(numberToWords(0.1 + 0.2, 'indian')).toBe('ZERO POINT THREE');
+    expect(numberToWords('12.340', 'indian')).toBe('TWELVE POINT THREE FOUR');
+  });
+
+  it('marks negatives, but not a value that rounds to zero', () => {
+    expect(numberToWords(-12.5, 'indian')).toBe('MINUS TWELVE POINT FIVE');
+    expect(numberToWords(-0.0001, 'indian')).toBe('ZERO');
+  });
+
+  it('writes regional numerals', () => {
+    expect(numberToWords(14440.5, 'devanagari')).toBe('१४४४०.५');
+    expect(numberToWords(-12, 'tamil')).toBe('-௧௨');
+  });
+
+  it('falls back to digit by digit for an unknown style', () => {
+    expect(numberToWords(42, 'klingon')).toBe('FOUR TWO');
+  });
+});
+
+describe('isLatinStyle', () => {
+  it('tells word styles from regional numerals', () => {
+    expect(isLatinStyle('digits')).toBe(true);
+    expect(isLatinStyle('indian')).toBe(true);
+    expect(isLatinStyle('gujarati')).toBe(false);
+  });
+});
+
+describe('weightInWords', () => {
+  it('adds the template wordsSuffix', () => {
+    expect(weightInWords(14440, 'indian', 'KG')).toBe('FOURTEEN THOUSAND FOUR HUNDRED FORTY KG');
+    expect(weightInWords(14440, 'devanagari', 'किलो')).toBe('१४४४० किलो');
+  });
+
+  it('leaves no trailing space without a suffix', () => {
+    expect(weightInWords(7, 'indian')).toBe('SEVEN');
+    expect(weightInWords(7, 'indian', '')).toBe('SEVEN');
+  });
+
+  it('prints nothing, not even the suffix, for a blank weight', () => {
+    expect(weightInWords('', 'indian', 'KG')).toBe('');
+  });
+});
+
+describe('rupeesInWords', () => {
+  it('writes rupees and paise', () => {
+    expect(rupeesInWords(178.27)).toBe('RUPEES ONE HUNDRED SEVENTY EIGHT AND PAISE TWENTY SEVEN ONLY');
+    expect(rupeesInWords('0.5')).toBe('RUPEES ZERO AND PAISE FIFTY ONLY');
+  });
+
+  it('leaves out paise for whole rupees and spells zero', () => {
+    expect(rupeesInWords(250000)).toBe('RUPEES TWO LAKH FIFTY THOUSAND ONLY');
+    expect(rupeesInWords(0)).toBe('RUPEES ZERO ONLY');
+  });
+
+  it('marks negatives and gives nothing for blank values', () => {
+    expect(rupeesInWords(-10)).toBe('MINUS RUPEES TEN ONLY');
+    expect(rupeesInWords('')).toBe('');
+    expect(rupeesInWords('n/a')).toBe('');
+  });
+});
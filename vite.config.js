@@ -1,7 +1,33 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable and fully offline: the service worker precaches the app shell,
+    // bundled fonts and icons; new versions wait for the operator to reload
+    VitePWA({
+      registerType: 'prompt',
+      manifest: {
+        name: 'Weight Receipt Maker',
+        short_name: 'Weighbridge',
+        description: 'Weighbridge receipts, history and reports that work without internet',
+        theme_color: '#4338ca',
+        background_color: '#f3f4f6',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        // Includes the lazily loaded PDF chunks, so exports work offline too
+        globPatterns: ['**/*.{js,css,html,ttf,png,svg}'],
+      },
+    }),
+  ],
 })